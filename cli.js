@@ -16,12 +16,47 @@
 
 import fs from "fs";
 import path from "path";
+import readline from "readline";
 import { fileURLToPath } from "url";
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
-import { generateDocCache } from "./lib/docCache.js";
+import {
+	generateDocCache,
+	loadDocCache,
+	detectChanges,
+} from "./lib/docCache.js";
+import {
+	pruneEmbeddingCache,
+	EMBEDDING_CACHE_FILE,
+} from "./lib/embeddingCache.js";
 import { FaissIndexer } from "./lib/faissIndexer.js";
-import { OllamaEmbedder } from "./lib/embedder.js";
+import { getDefaultPrompts, resolvePrompts } from "./lib/prompts.js";
+import { getContextLength, OVERFLOW_POLICIES } from "./lib/contextLength.js";
+import { SCHEDULING } from "./lib/hostPool.js";
+import { isFlatIndexType } from "./lib/indexFactory.js";
+import { parseFilter } from "./lib/metadataFilter.js";
+import { SEARCH_MODES, FUSION_METHODS } from "./lib/hybridSearch.js";
+import { readManifest, TOOL_VERSION } from "./lib/manifest.js";
+import {
+	checkCompatible,
+	searchIndexes,
+	searchIndexesBatch,
+} from "./lib/federatedSearch.js";
+import { getVectorsPath } from "./lib/vectorStore.js";
+import { BuildCheckpoint } from "./lib/checkpoint.js";
+import {
+	resolveIndexPath,
+	getSnapshotPaths,
+	listSnapshots,
+	rollbackSnapshot,
+	DEFAULT_KEEP_SNAPSHOTS,
+} from "./lib/snapshots.js";
+import {
+	createRequestConfig,
+	describeRequestConfig,
+	HTTP_ENV,
+} from "./lib/httpOptions.js";
+import { createEmbedder, PROVIDERS } from "./lib/providers.js";
 import { splitTextByFileType, SPLITTER_TYPES } from "./lib/textSplitter.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -33,54 +68,67 @@ const EMBEDDING_MODELS = {
 	"nomic-embed-text": {
 		name: "nomic-embed-text",
 		provider: "Ollama",
-		dimension: 768,
-		context: 8192,
 		description: "Fast, general-purpose text embeddings",
 		default: true,
 	},
 	"mxbai-embed-large": {
 		name: "mxbai-embed-large",
 		provider: "Ollama",
-		dimension: 1024,
-		context: 512,
 		description: "High-quality embeddings, larger dimension",
 	},
 	"all-minilm": {
 		name: "all-minilm",
 		provider: "Ollama",
-		dimension: 384,
-		context: 256,
 		description: "Lightweight, fast, smaller dimension",
 	},
 	"snowflake-arctic-embed": {
 		name: "snowflake-arctic-embed",
 		provider: "Ollama",
-		dimension: 1024,
-		context: 512,
 		description: "Strong retrieval performance",
 	},
 	"bge-m3": {
 		name: "bge-m3",
 		provider: "Ollama",
-		dimension: 1024,
-		context: 8192,
 		description: "Multilingual, long context",
 	},
 };
 
+// Queries embedded and searched together in batch mode
+const QUERY_BATCH_SIZE = 100;
+
 const DEFAULT_CONFIG = {
+	provider: PROVIDERS.OLLAMA,
 	model: "nomic-embed-text",
 	baseUrl: "http://localhost:11434",
 	chunkSize: 1500,
 	overlap: 200,
+	splitter: "recursive",
 	indexType: "IP",
-	extensions: [".txt", ".md"],
+	extensions: [".txt", ".md", ".js", ".json"],
+	recursive: false,
 };
 
+/**
+ * Connection options (auth, proxy, TLS) from CLI flags
+ * Unset flags fall back to the EMBEDDING_* environment variables.
+ */
+function getHttpOptions(argv) {
+	return {
+		apiKey: argv["api-key"],
+		headers: argv.header,
+		proxy: argv.proxy,
+		ca: argv["ca-cert"],
+		cert: argv["client-cert"],
+		key: argv["client-key"],
+		rejectUnauthorized: argv.insecure ? false : undefined,
+		keepAlive: argv["keep-alive"],
+	};
+}
+
 /**
  * Show configuration and available models
  */
-async function showConfig(checkOllama = false) {
+async function showConfig(checkOllama = false, argv = {}) {
 	console.log("\n" + "═".repeat(70));
 	console.log("  FAISS Index Generator - Configuration");
 	console.log("═".repeat(70));
@@ -88,6 +136,7 @@ async function showConfig(checkOllama = false) {
 	// Default Settings
 	console.log("\n📋 DEFAULT SETTINGS:");
 	console.log("─".repeat(70));
+	console.log(`  Provider:          ${DEFAULT_CONFIG.provider}`);
 	console.log(`  Embedding Model:   ${DEFAULT_CONFIG.model}`);
 	console.log(`  Ollama URL:        ${DEFAULT_CONFIG.baseUrl}`);
 	console.log(`  Chunk Size:        ${DEFAULT_CONFIG.chunkSize} characters`);
@@ -107,19 +156,21 @@ async function showConfig(checkOllama = false) {
 	console.log("─".repeat(70));
 	console.log(`  Name:        ${currentModel.name}`);
 	console.log(`  Provider:    ${currentModel.provider}`);
-	console.log(`  Dimension:   ${currentModel.dimension}`);
-	console.log(`  Context:     ${currentModel.context} tokens`);
+	console.log("  Dimension:   detected from the model at build time");
+	console.log(`  Context:     ${getContextLength(currentModel.name)} tokens`);
+	const prompts = getDefaultPrompts(currentModel.name);
+	console.log(
+		`  Prompts:     document ${JSON.stringify(
+			prompts.document
+		)}, query ${JSON.stringify(prompts.query)}`
+	);
 	console.log(`  Description: ${currentModel.description}`);
 
 	// Available Models
 	console.log("\n📦 AVAILABLE EMBEDDING MODELS (Ollama):");
 	console.log("─".repeat(70));
 	console.log(
-		"  " +
-			"Model".padEnd(25) +
-			"Dim".padEnd(8) +
-			"Context".padEnd(10) +
-			"Description"
+		"  " + "Model".padEnd(25) + "Context".padEnd(10) + "Description"
 	);
 	console.log("  " + "─".repeat(66));
 
@@ -128,8 +179,7 @@ async function showConfig(checkOllama = false) {
 		console.log(
 			"  " +
 				(model.name + isDefault).padEnd(25) +
-				String(model.dimension).padEnd(8) +
-				String(model.context).padEnd(10) +
+				String(getContextLength(model.name)).padEnd(10) +
 				model.description
 		);
 	}
@@ -146,7 +196,11 @@ async function showConfig(checkOllama = false) {
 	if (checkOllama) {
 		console.log("\n🔍 OLLAMA STATUS:");
 		console.log("─".repeat(70));
-		const embedder = new OllamaEmbedder();
+		const embedder = createEmbedder(argv.provider, {
+			model: argv.model,
+			baseUrl: argv["ollama-url"],
+			...getHttpOptions(argv),
+		});
 		const health = await embedder.healthCheck();
 		if (health.ok) {
 			console.log(`  ✅ ${health.message}`);
@@ -162,108 +216,257 @@ async function showConfig(checkOllama = false) {
 }
 
 /**
- * Run query against FAISS index
+ * Check that a directory holds an index
+ * Exits with an error message when it does not.
  */
-async function runQuery(argv) {
-	const indexDir = argv["index-dir"];
-	const query = argv.query;
-	const topK = argv["top-k"];
-	const showChunk = argv["show-chunk"];
-	const maxLength = argv["max-length"];
-	const model = argv.model || "nomic-embed-text";
-	const ollamaUrl = argv["ollama-url"] || "http://localhost:11434";
-
-	// Validate index directory
+function checkIndexDir(indexDir) {
 	const indexPath = path.join(indexDir, "index.bin");
 	const metadataPath = path.join(indexDir, "index_metadata.json");
 
-	if (!fs.existsSync(indexPath)) {
-		console.error(`❌ Index not found: ${indexPath}`);
+	// Versioned indexes keep their files in the current snapshot
+	const filePath = resolveIndexPath(indexPath);
+	if (!fs.existsSync(filePath)) {
+		console.error(`❌ Index not found: ${filePath}`);
 		console.error(`   Run: node cli.js build <input-dir> ${indexDir}`);
 		process.exit(1);
 	}
 
-	if (!fs.existsSync(metadataPath)) {
-		console.error(`❌ Metadata not found: ${metadataPath}`);
+	const storedMetadataPath = filePath.replace(".bin", "_metadata.json");
+	if (!fs.existsSync(storedMetadataPath)) {
+		console.error(`❌ Metadata not found: ${storedMetadataPath}`);
 		process.exit(1);
 	}
 
-	console.log("\n" + "═".repeat(70));
-	console.log("  FAISS Query Search");
-	console.log("═".repeat(70));
-	console.log(`  Index:     ${indexDir}`);
-	console.log(`  Query:     "${query}"`);
-	console.log(`  Top K:     ${topK}`);
-	console.log(`  Model:     ${model}`);
-	console.log("═".repeat(70) + "\n");
+	return { name: indexDir, indexPath, metadataPath };
+}
 
+/**
+ * Check query options and index files, shared by single and batch queries
+ * Several comma-separated index directories are searched together.
+ * Exits with an error message when they are unusable.
+ */
+function prepareQuery(argv) {
+	const indexDirs = argv["index-dir"]
+		.split(",")
+		.map((dir) => dir.trim())
+		.filter(Boolean);
+	// -k 0 with --min-score: every result above the threshold
+	const topK = argv["top-k"] || Infinity;
+
+	let filter;
 	try {
-		// Load and search index
-		const indexer = new FaissIndexer({
-			indexType: "IP",
-			model: model,
-			baseUrl: ollamaUrl,
-		});
+		filter = argv.filter ? parseFilter(argv.filter) : undefined;
+	} catch (error) {
+		console.error(`❌ ${error.message}`);
+		process.exit(1);
+	}
+
+	if (topK === Infinity && argv["min-score"] === undefined) {
+		console.error("❌ --top-k 0 (no limit) needs --min-score");
+		process.exit(1);
+	}
 
+	return { indexes: indexDirs.map(checkIndexDir), topK, filter };
+}
+
+/**
+ * Load the indexes to query and check they can be searched together
+ * @param {Function} log - console.log, or console.error to keep stdout for results
+ */
+async function loadQueryIndexes(argv, indexes, log) {
+	const loaded = [];
+	for (const { name, indexPath, metadataPath } of indexes) {
+		const indexer = createQueryIndexer(argv);
 		await indexer.load(indexPath, metadataPath);
 
 		const stats = indexer.getStats();
-		console.log(
-			`📊 Index loaded: ${stats.vectors} vectors, ${stats.dimension} dimensions\n`
+		log(
+			`📊 Index loaded: ${indexes.length > 1 ? `${name}: ` : ""}${
+				stats.vectors
+			} vectors, ${stats.dimension} dimensions, ${stats.type} index (${
+				stats.faissType
+			}, ${stats.metric})`
 		);
+		loaded.push({ name, indexer });
+	}
 
-		console.log("🔍 Searching...\n");
-		const startTime = Date.now();
-		const results = await indexer.search(query, topK);
-		const searchTime = Date.now() - startTime;
+	checkCompatible(loaded);
+	return loaded;
+}
 
-		console.log(`⏱️  Search completed in ${searchTime}ms\n`);
-		console.log("─".repeat(70));
+/**
+ * Create the indexer used to load and search an index
+ */
+function createQueryIndexer(argv) {
+	return new FaissIndexer({
+		model: argv.model,
+		baseUrl: argv["ollama-url"],
+		provider: argv.provider,
+		nprobe: argv.nprobe,
+		efSearch: argv["ef-search"],
+		timeout: argv.timeout,
+		retries: argv.retries,
+		queryPrompt: argv["query-prompt"],
+		...getHttpOptions(argv),
+	});
+}
 
-		if (results.length === 0) {
-			console.log("  No results found.");
-		} else {
-			results.forEach((result, i) => {
-				const scorePercent = (result.score * 100).toFixed(1);
+/**
+ * Search options from CLI flags
+ */
+function getSearchOptions(argv, filter) {
+	return {
+		filter,
+		mode: argv.mode,
+		fusion: argv.fusion,
+		alpha: argv.alpha,
+		mmr: argv.mmr,
+		lambda: argv["mmr-lambda"],
+		minScore: argv["min-score"],
+	};
+}
 
-				console.log(`\n📄 Result ${i + 1}/${results.length}`);
-				console.log("─".repeat(70));
+/**
+ * Print search results, with their chunks unless --no-show-chunk
+ */
+function printResults(results, argv) {
+	const showChunk = argv["show-chunk"];
+	const maxLength = argv["max-length"];
+
+	if (results.length === 0) {
+		console.log("  No results found.");
+	} else {
+		results.forEach((result, i) => {
+			console.log(`\n📄 Result ${i + 1}/${results.length}`);
+			console.log("─".repeat(70));
+			console.log(
+				`  Score:     ${result.score.toFixed(4)}` +
+					(result.similarity !== null
+						? ` (similarity ${result.similarity.toFixed(3)})`
+						: "")
+			);
+			if (argv.mode === SEARCH_MODES.HYBRID) {
 				console.log(
-					`  Score:     ${result.score.toFixed(
-						4
-					)} (${scorePercent}% match)`
+					`  Sources:   vector ${formatScore(
+						result.vectorScore
+					)}, keyword ${formatScore(result.keywordScore)}`
 				);
-				console.log(`  Doc:       ${result.doc}`);
-				console.log(`  Chunk ID:  ${result.chunk_id}`);
+			}
+			if (result.index !== undefined) {
+				console.log(`  Index:     ${result.index}`);
+			}
+			console.log(`  Doc:       ${result.doc}`);
+			console.log(`  Chunk ID:  ${result.chunk_id}`);
+
+			// Extra metadata fields from the build input
+			const {
+				id,
+				score,
+				similarity,
+				doc,
+				chunk_id,
+				chunk,
+				vectorScore,
+				keywordScore,
+				index,
+				...fields
+			} = result;
+			if (Object.keys(fields).length > 0) {
+				console.log(`  Fields:    ${JSON.stringify(fields)}`);
+			}
 
-				if (showChunk && result.chunk) {
-					let chunkText = result.chunk;
+			if (showChunk && result.chunk) {
+				let chunkText = result.chunk;
 
-					// Truncate if needed
-					if (maxLength > 0 && chunkText.length > maxLength) {
-						chunkText =
-							chunkText.substring(0, maxLength) +
-							"... [truncated]";
-					}
+				// Truncate if needed
+				if (maxLength > 0 && chunkText.length > maxLength) {
+					chunkText =
+						chunkText.substring(0, maxLength) + "... [truncated]";
+				}
 
-					console.log(`\n  Chunk Content:`);
-					console.log("  ┌" + "─".repeat(66) + "┐");
-
-					// Format chunk with line breaks
-					const lines = chunkText.split("\n");
-					for (const line of lines) {
-						// Wrap long lines
-						const wrappedLines = wrapText(line, 64);
-						for (const wLine of wrappedLines) {
-							console.log(`  │ ${wLine.padEnd(64)} │`);
-						}
-					}
+				console.log(`\n  Chunk Content:`);
+				console.log("  ┌" + "─".repeat(66) + "┐");
 
-					console.log("  └" + "─".repeat(66) + "┘");
+				// Format chunk with line breaks
+				const lines = chunkText.split("\n");
+				for (const line of lines) {
+					// Wrap long lines
+					const wrappedLines = wrapText(line, 64);
+					for (const wLine of wrappedLines) {
+						console.log(`  │ ${wLine.padEnd(64)} │`);
+					}
 				}
-			});
+
+				console.log("  └" + "─".repeat(66) + "┘");
+			}
+		});
+	}
+}
+
+/**
+ * Run query against FAISS index
+ */
+async function runQuery(argv) {
+	if (argv.query === undefined || argv["queries-file"] !== undefined) {
+		await runBatchQuery(argv);
+		return;
+	}
+
+	const indexDir = argv["index-dir"];
+	const query = argv.query;
+	const { indexes, topK, filter } = prepareQuery(argv);
+
+	// Without --model or --provider, the index's own are used
+	const manifest = readManifest(resolveIndexPath(indexes[0].indexPath));
+	const model = argv.model || manifest?.model || DEFAULT_CONFIG.model;
+	const provider = getProvider(argv, manifest);
+
+	console.log("\n" + "═".repeat(70));
+	console.log("  FAISS Query Search");
+	console.log("═".repeat(70));
+	console.log(`  Index:     ${indexDir}`);
+	console.log(`  Query:     "${query}"`);
+	console.log(
+		`  Top K:     ${topK === Infinity ? "all" : topK}${
+			argv["min-score"] !== undefined
+				? ` with similarity >= ${argv["min-score"]}`
+				: ""
+		}`
+	);
+	console.log(
+		`  Mode:      ${argv.mode}${
+			argv.mode === SEARCH_MODES.HYBRID ? ` (${argv.fusion})` : ""
+		}${argv.mmr ? `, MMR (lambda ${argv["mmr-lambda"]})` : ""}`
+	);
+	if (filter) console.log(`  Filter:    ${JSON.stringify(filter)}`);
+	console.log(`  Model:     ${model}`);
+	console.log(`  Provider:  ${provider}`);
+	console.log("═".repeat(70) + "\n");
+
+	try {
+		// Load and search indexes
+		const loaded = await loadQueryIndexes(argv, indexes, console.log);
+		const stats = loaded[0].indexer.getStats();
+		console.log();
+		if (stats.prompts.query) {
+			console.log(
+				`📝 Query prompt: ${JSON.stringify(stats.prompts.query)}\n`
+			);
 		}
 
+		console.log("🔍 Searching...\n");
+		const startTime = Date.now();
+		const searchOptions = getSearchOptions(argv, filter);
+		const results =
+			loaded.length === 1
+				? await loaded[0].indexer.search(query, topK, searchOptions)
+				: await searchIndexes(loaded, query, topK, searchOptions);
+		const searchTime = Date.now() - startTime;
+
+		console.log(`⏱️  Search completed in ${searchTime}ms\n`);
+		console.log("─".repeat(70));
+
+		printResults(results, argv);
 		console.log("\n" + "═".repeat(70) + "\n");
 	} catch (error) {
 		console.error(`\n❌ Query failed: ${error.message}`);
@@ -278,6 +481,374 @@ async function runQuery(argv) {
 	}
 }
 
+/**
+ * Find chunks similar to an indexed chunk
+ */
+async function runSimilar(argv) {
+	const indexDir = argv["index-dir"];
+	const chunkId = argv["chunk-id"];
+	const { indexes, topK, filter } = prepareQuery(argv);
+	if (indexes.length > 1) {
+		console.error(
+			"❌ Chunk ids belong to one index; give a single index-dir"
+		);
+		process.exit(1);
+	}
+
+	console.log("\n" + "═".repeat(70));
+	console.log("  FAISS Similar Chunks");
+	console.log("═".repeat(70));
+	console.log(`  Index:     ${indexDir}`);
+	console.log(`  Chunk ID:  ${chunkId}`);
+	console.log(
+		`  Top K:     ${topK === Infinity ? "all" : topK}${
+			argv["min-score"] !== undefined
+				? ` with similarity >= ${argv["min-score"]}`
+				: ""
+		}${argv.mmr ? `, MMR (lambda ${argv["mmr-lambda"]})` : ""}`
+	);
+	if (filter) console.log(`  Filter:    ${JSON.stringify(filter)}`);
+	console.log("═".repeat(70) + "\n");
+
+	try {
+		const [{ indexer }] = await loadQueryIndexes(
+			argv,
+			indexes,
+			console.log
+		);
+		console.log();
+
+		const startTime = Date.now();
+		const results = await indexer.searchSimilarTo(
+			chunkId,
+			topK,
+			getSearchOptions(argv, filter)
+		);
+
+		console.log(`⏱️  Search completed in ${Date.now() - startTime}ms\n`);
+		console.log("─".repeat(70));
+		printResults(results, argv);
+		console.log("\n" + "═".repeat(70) + "\n");
+	} catch (error) {
+		console.error(`\n❌ Search failed: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Combine several indexes into a new one
+ */
+async function runIndexMerge(argv) {
+	const outputDir = argv["output-dir"];
+	const indexes = argv["index-dirs"].map(checkIndexDir);
+
+	if (indexes.length < 2) {
+		console.error("❌ Give at least two index directories to merge");
+		process.exit(1);
+	}
+	if (
+		indexes.some(
+			({ name }) => path.resolve(name) === path.resolve(outputDir)
+		)
+	) {
+		console.error(
+			"❌ Merge into a new directory, not one of the merged indexes"
+		);
+		process.exit(1);
+	}
+
+	console.log("\n" + "═".repeat(70));
+	console.log("  FAISS Index Merge");
+	console.log("═".repeat(70));
+	console.log(`  Output:    ${outputDir}`);
+	console.log(`  Indexes:   ${indexes.map(({ name }) => name).join(", ")}`);
+	if (argv["index-type"]) console.log(`  Type:      ${argv["index-type"]}`);
+	console.log("═".repeat(70) + "\n");
+
+	try {
+		// Search parameters are settings of the merged index, not the sources
+		const sources = await loadQueryIndexes(
+			{ ...argv, nprobe: undefined, "ef-search": undefined },
+			indexes,
+			console.log
+		);
+
+		const indexer = new FaissIndexer({
+			indexType: argv["index-type"],
+			metric: argv.metric,
+			trainingSize: argv["training-size"],
+			nprobe: argv.nprobe,
+			efSearch: argv["ef-search"],
+			model: argv.model,
+			baseUrl: argv["ollama-url"],
+			provider: argv.provider,
+			timeout: argv.timeout,
+			retries: argv.retries,
+			cache: argv.cache,
+			keepSnapshots: argv["keep-snapshots"],
+			...getHttpOptions(argv),
+		});
+		const result = await indexer.merge(
+			sources,
+			path.join(outputDir, "index.bin")
+		);
+
+		const stats = indexer.getStats();
+		console.log(
+			`\n✅ Merged ${result.vectors} vectors into ${outputDir} (${stats.type} index, ${result.time}ms)`
+		);
+		for (const { name, vectors } of result.sources) {
+			console.log(`   ${name}: ${vectors} vectors`);
+		}
+		if (result.cacheError) {
+			console.log(
+				`   ⚠️  Embedding cache not saved: ${result.cacheError}`
+			);
+		}
+		console.log();
+	} catch (error) {
+		console.error(`\n❌ Merge failed: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Rebuild an index from its stored vectors
+ */
+async function runReindex(argv) {
+	const indexDir = argv["index-dir"];
+	const { indexPath, metadataPath } = checkIndexDir(indexDir);
+
+	console.log("\n" + "═".repeat(70));
+	console.log("  FAISS Reindex");
+	console.log("═".repeat(70));
+	console.log(`  Index:     ${indexDir}`);
+	console.log(`  Type:      ${argv["index-type"] || "(unchanged)"}`);
+	console.log("═".repeat(70) + "\n");
+
+	try {
+		const indexer = new FaissIndexer({
+			model: argv.model,
+			provider: argv.provider,
+			baseUrl: argv["ollama-url"],
+			keepSnapshots: argv["keep-snapshots"],
+			...getHttpOptions(argv),
+		});
+		await indexer.load(indexPath, metadataPath);
+		const before = indexer.getStats();
+
+		const result = await indexer.reindex(indexPath, {
+			indexType: argv["index-type"],
+			metric: argv["index-type"] ? argv.metric : undefined,
+			trainingSize: argv["training-size"],
+			nprobe: argv.nprobe,
+			efSearch: argv["ef-search"],
+		});
+
+		const stats = indexer.getStats();
+		console.log(
+			`✅ Rebuilt ${result.vectors} vectors: ${before.type} (${before.faissType}) → ${stats.type} (${stats.faissType}, ${stats.metric}) in ${result.time}ms`
+		);
+		if (result.trainingVectors > 0) {
+			console.log(`   Trained on ${result.trainingVectors} vectors`);
+		}
+		console.log();
+	} catch (error) {
+		console.error(`\n❌ Reindex failed: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Parse one line of a queries file: plain text, or JSON {"query", "id"}
+ * @returns {{query: string, id?: *}|null} - null for blank lines
+ */
+function parseQueryLine(line, lineNumber) {
+	const text = line.trim();
+	if (!text) return null;
+	if (!text.startsWith("{")) return { query: text };
+
+	let entry;
+	try {
+		entry = JSON.parse(text);
+	} catch (error) {
+		throw new Error(
+			`Invalid query on line ${lineNumber}: ${error.message}`
+		);
+	}
+	if (typeof entry.query !== "string") {
+		throw new Error(
+			`Invalid query on line ${lineNumber}: expected {"query": "...", "id": ...}`
+		);
+	}
+	return { query: entry.query, id: entry.id };
+}
+
+/**
+ * Run every query of a file (or stdin) and write one NDJSON line per query
+ * Results go to stdout; progress and errors to stderr, so output can be piped.
+ */
+async function runBatchQuery(argv) {
+	const source = argv["queries-file"] ?? "-";
+
+	if (argv.query !== undefined) {
+		console.error("❌ Give either a query or --queries-file, not both");
+		process.exit(1);
+	}
+	if (source === "-" && process.stdin.isTTY) {
+		console.error(
+			"❌ Give a query, --queries-file <file> or pipe queries on stdin"
+		);
+		process.exit(1);
+	}
+	if (source !== "-" && !fs.existsSync(source)) {
+		console.error(`❌ Queries file not found: ${source}`);
+		process.exit(1);
+	}
+
+	const { indexes, topK, filter } = prepareQuery(argv);
+	const searchOptions = getSearchOptions(argv, filter);
+
+	try {
+		const loaded = await loadQueryIndexes(argv, indexes, console.error);
+
+		const startTime = Date.now();
+		let count = 0;
+		let batch = [];
+
+		const flush = async () => {
+			const queries = batch.map((entry) => entry.query);
+			const results =
+				loaded.length === 1
+					? await loaded[0].indexer.searchBatch(
+							queries,
+							topK,
+							searchOptions
+					  )
+					: await searchIndexesBatch(
+							loaded,
+							queries,
+							topK,
+							searchOptions
+					  );
+			batch.forEach((entry, i) => {
+				const list = argv["show-chunk"]
+					? results[i]
+					: results[i].map(({ chunk, ...result }) => result);
+				process.stdout.write(
+					JSON.stringify({ ...entry, results: list }) + "\n"
+				);
+			});
+			count += batch.length;
+			batch = [];
+		};
+
+		const input =
+			source === "-" ? process.stdin : fs.createReadStream(source);
+		let lineNumber = 0;
+		for await (const line of readline.createInterface({
+			input,
+			crlfDelay: Infinity,
+		})) {
+			const entry = parseQueryLine(line, ++lineNumber);
+			if (!entry) continue;
+			batch.push(entry);
+			if (batch.length >= QUERY_BATCH_SIZE) await flush();
+		}
+		if (batch.length > 0) await flush();
+
+		console.error(`⏱️  ${count} queries in ${Date.now() - startTime}ms`);
+	} catch (error) {
+		console.error(`❌ Query failed: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Prune embedding cache entries not referenced by the index
+ */
+async function runCachePrune(argv) {
+	const indexDir = argv["index-dir"];
+
+	try {
+		const { kept, removed } = await pruneEmbeddingCache(indexDir, {
+			model: argv.model,
+		});
+		console.log(
+			`\n🧹 ${path.join(
+				indexDir,
+				EMBEDDING_CACHE_FILE
+			)}: removed ${removed}, kept ${kept}\n`
+		);
+	} catch (error) {
+		console.error(`❌ Cache prune failed: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * List the snapshots of an index, or switch back to one
+ */
+function runSnapshots(argv) {
+	const indexDir = argv["index-dir"];
+	const indexPath = path.join(indexDir, "index.bin");
+
+	if (argv.action === "rollback") {
+		if (!argv.id) {
+			console.error("❌ Rollback needs a snapshot id");
+			console.error(`   Run: node cli.js snapshots list ${indexDir}`);
+			process.exit(1);
+		}
+		try {
+			const { previous, current } = rollbackSnapshot(indexPath, argv.id);
+			console.log(
+				`\n⏪ ${indexDir}: snapshot ${current} is current (was ${
+					previous || "none"
+				})`
+			);
+			console.log(
+				"   💡 doc_index_cache.json is not rolled back: run build, not update, to catch up with the documents\n"
+			);
+		} catch (error) {
+			console.error(`❌ Rollback failed: ${error.message}`);
+			process.exit(1);
+		}
+		return;
+	}
+
+	const snapshots = listSnapshots(indexPath);
+	if (snapshots.length === 0) {
+		console.log(
+			`\nNo snapshots in ${indexDir} (not built yet, or saved with --keep-snapshots 0)\n`
+		);
+		return;
+	}
+
+	console.log("\n" + "═".repeat(70));
+	console.log(`  Snapshots: ${indexDir}`);
+	console.log("═".repeat(70));
+	for (const snapshot of snapshots) {
+		const details = snapshot.complete
+			? `${snapshot.vectors ?? "?"} vectors, ${snapshot.indexType}, ${
+					snapshot.model
+			  }`
+			: "incomplete";
+		console.log(
+			`${snapshot.current ? "➜" : " "} ${
+				snapshot.id
+			}  ${snapshot.created.toLocaleString()}  ${details}`
+		);
+	}
+	console.log("═".repeat(70) + "\n");
+}
+
+/**
+ * Format a score that may be missing
+ */
+function formatScore(score) {
+	return score === null || score === undefined ? "-" : score.toFixed(4);
+}
+
 /**
  * Wrap text to specified width
  */
@@ -300,6 +871,53 @@ function wrapText(text, width) {
 	return lines;
 }
 
+/**
+ * Result options shared by query and similar
+ */
+function addResultOptions(yargs) {
+	return yargs
+		.option("top-k", {
+			alias: "k",
+			type: "number",
+			description:
+				"Number of results to return (0 = all above --min-score)",
+			default: 5,
+		})
+		.option("min-score", {
+			type: "number",
+			description:
+				"Only return results with similarity >= this (0..1, cosine mapped to 0..1)",
+		})
+		.option("show-chunk", {
+			type: "boolean",
+			description: "Show full chunk content",
+			default: true,
+		})
+		.option("max-length", {
+			type: "number",
+			description: "Max characters to show per chunk (0 = no limit)",
+			default: 500,
+		})
+		.option("filter", {
+			alias: "f",
+			type: "array",
+			description:
+				"Metadata filter: field=value, field>=n, field=a|b, doc=glob/*.md or JSON (repeatable)",
+		})
+		.option("mmr", {
+			type: "boolean",
+			description:
+				"Diversify results so near-duplicate chunks of one file do not crowd the top k",
+			default: false,
+		})
+		.option("mmr-lambda", {
+			type: "number",
+			description:
+				"MMR trade-off (1 = relevance only, 0 = diversity only)",
+			default: 0.5,
+		});
+}
+
 // Parse arguments with yargs
 const argv = yargs(hideBin(process.argv))
 	.scriptName("faiss-gen")
@@ -315,41 +933,51 @@ const argv = yargs(hideBin(process.argv))
 			});
 		},
 		async (argv) => {
-			await showConfig(argv.check);
+			await showConfig(argv.check, argv);
 			process.exit(0);
 		}
 	)
 	.command(
-		"query <index-dir> <query>",
-		"Search the FAISS index with a query",
+		"query <index-dir> [query]",
+		"Search the FAISS index with a query, or a file of queries",
 		(yargs) => {
 			yargs
 				.positional("index-dir", {
-					describe: "Directory containing the FAISS index files",
+					describe:
+						"Directory containing the FAISS index files (comma-separated to search several)",
 					type: "string",
 					demandOption: true,
 				})
 				.positional("query", {
-					describe: "Search query text",
+					describe:
+						"Search query text (omit to read queries from stdin)",
 					type: "string",
-					demandOption: true,
 				})
-				.option("top-k", {
-					alias: "k",
-					type: "number",
-					description: "Number of results to return",
-					default: 5,
+				.option("queries-file", {
+					type: "string",
+					description:
+						"File with one query per line (text or JSON {query, id}), '-' for stdin; prints NDJSON",
+				});
+			addResultOptions(yargs)
+				.option("mode", {
+					type: "string",
+					description:
+						"vector (embeddings), keyword (BM25, exact terms) or hybrid (both)",
+					choices: Object.values(SEARCH_MODES),
+					default: SEARCH_MODES.VECTOR,
 				})
-				.option("show-chunk", {
-					type: "boolean",
-					description: "Show full chunk content",
-					default: true,
+				.option("fusion", {
+					type: "string",
+					description:
+						"Hybrid ranking: rrf (reciprocal rank fusion) or weighted",
+					choices: Object.values(FUSION_METHODS),
+					default: FUSION_METHODS.RRF,
 				})
-				.option("max-length", {
+				.option("alpha", {
 					type: "number",
 					description:
-						"Max characters to show per chunk (0 = no limit)",
-					default: 500,
+						"Vector weight for weighted fusion (0 = keyword only, 1 = vector only)",
+					default: 0.5,
 				});
 		},
 		async (argv) => {
@@ -357,6 +985,129 @@ const argv = yargs(hideBin(process.argv))
 			process.exit(0);
 		}
 	)
+	.command(
+		"similar <index-dir> <chunk-id>",
+		"Find chunks similar to an indexed chunk (related docs, duplicates)",
+		(yargs) => {
+			yargs
+				.positional("index-dir", {
+					describe: "Directory containing the FAISS index files",
+					type: "string",
+				})
+				.positional("chunk-id", {
+					describe: "chunk_id of an indexed chunk",
+					type: "string",
+				});
+			addResultOptions(yargs);
+		},
+		async (argv) => {
+			await runSimilar(argv);
+			process.exit(0);
+		}
+	)
+	.command(
+		"cache <action> <index-dir>",
+		"Manage the embedding cache (action: prune)",
+		(yargs) => {
+			yargs
+				.positional("action", {
+					describe: "prune: drop entries not referenced by the index",
+					type: "string",
+					choices: ["prune"],
+				})
+				.positional("index-dir", {
+					describe: "Directory containing the FAISS index files",
+					type: "string",
+				});
+		},
+		async (argv) => {
+			await runCachePrune(argv);
+			process.exit(0);
+		}
+	)
+	.command(
+		"snapshots <action> <index-dir> [id]",
+		"List saved index versions or switch back to one (action: list, rollback)",
+		(yargs) => {
+			yargs
+				.positional("action", {
+					describe:
+						"list: show snapshots; rollback: make snapshot <id> current",
+					type: "string",
+					choices: ["list", "rollback"],
+				})
+				.positional("index-dir", {
+					describe: "Directory containing the FAISS index files",
+					type: "string",
+				})
+				.positional("id", {
+					describe: "Snapshot id to roll back to (see list)",
+					type: "string",
+				});
+		},
+		(argv) => {
+			runSnapshots(argv);
+			process.exit(0);
+		}
+	)
+	.command(
+		"index <action> <output-dir> <index-dirs..>",
+		"Combine built indexes into one (action: merge)",
+		(yargs) => {
+			yargs
+				.positional("action", {
+					describe: "merge: combine indexes and their metadata",
+					type: "string",
+					choices: ["merge"],
+				})
+				.positional("output-dir", {
+					describe: "New directory for the merged index",
+					type: "string",
+				})
+				.positional("index-dirs", {
+					describe: "Directories containing the indexes to merge",
+					type: "string",
+				});
+		},
+		async (argv) => {
+			await runIndexMerge(argv);
+			process.exit(0);
+		}
+	)
+	.command(
+		"reindex <index-dir>",
+		"Rebuild index.bin from stored vectors (new --index-type, --nprobe, ...) without re-embedding",
+		(yargs) => {
+			yargs.positional("index-dir", {
+				describe: "Directory containing the FAISS index files",
+				type: "string",
+			});
+		},
+		async (argv) => {
+			await runReindex(argv);
+			process.exit(0);
+		}
+	)
+	.command(
+		"update <input-dir> [output-dir]",
+		"Re-embed only files changed since the last build",
+		(yargs) => {
+			yargs
+				.positional("input-dir", {
+					describe: "Directory containing documents to index",
+					type: "string",
+				})
+				.positional("output-dir", {
+					describe: "Directory containing the index to update",
+					type: "string",
+					default: "./faiss_output",
+				});
+		},
+		async (argv) => {
+			await runUpdate(argv);
+			process.exit(0);
+		}
+	)
 	.command(
 		["build <input-dir> [output-dir]", "$0 <input-dir> [output-dir]"],
 		"Generate FAISS index from documents",
@@ -370,6 +1121,18 @@ const argv = yargs(hideBin(process.argv))
 					describe: "Output directory for index files",
 					type: "string",
 					default: "./faiss_output",
+				})
+				.option("resume", {
+					type: "boolean",
+					description:
+						"Continue an interrupted build from its checkpoint",
+					default: false,
+				})
+				.option("checkpoint-interval", {
+					type: "number",
+					description:
+						"Seconds between progress checkpoints (0: every batch)",
+					default: 30,
 				});
 		},
 		async (argv) => {
@@ -383,45 +1146,177 @@ const argv = yargs(hideBin(process.argv))
 		alias: "c",
 		type: "number",
 		description: "Chunk size in characters",
-		default: 1500,
+		defaultDescription: `${DEFAULT_CONFIG.chunkSize}, update: the index's`,
 	})
 	.option("overlap", {
 		alias: "o",
 		type: "number",
 		description: "Overlap between chunks",
-		default: 200,
+		defaultDescription: `${DEFAULT_CONFIG.overlap}, update: the index's`,
 	})
 	.option("extensions", {
 		alias: "e",
 		type: "string",
 		description: "Comma-separated file extensions",
-		default: ".txt,.md,.js,.json",
+		defaultDescription: `${DEFAULT_CONFIG.extensions.join(
+			","
+		)}, update: the index's`,
 		coerce: (val) => val.split(",").map((e) => e.trim()),
 	})
 	.option("recursive", {
 		alias: "r",
 		type: "boolean",
 		description: "Scan directories recursively",
-		default: false,
+		defaultDescription: `${DEFAULT_CONFIG.recursive}, update: the index's`,
 	})
 	.option("index-type", {
 		alias: "t",
 		type: "string",
-		description: "FAISS index type (IP for cosine, L2 for euclidean)",
+		description:
+			"FAISS index type: IP (cosine), L2 (euclidean) or a factory string for approximate search (HNSW32, IVF1024,Flat, IVF1024,PQ64)",
+		defaultDescription: `${DEFAULT_CONFIG.indexType}, query/update: the index's`,
+	})
+	.option("metric", {
+		type: "string",
+		description: "Metric for factory index types (IP or L2)",
 		choices: ["IP", "L2"],
 		default: "IP",
 	})
+	.option("training-size", {
+		type: "number",
+		description:
+			"Vectors used to train IVF/PQ indexes (default: 39 per IVF list)",
+	})
+	.option("nprobe", {
+		type: "number",
+		description:
+			"IVF lists searched per query (stored with the index, overridable at query time)",
+	})
+	.option("ef-search", {
+		type: "number",
+		description:
+			"HNSW candidate list size per query (stored with the index, overridable at query time)",
+	})
 	.option("model", {
 		alias: "m",
 		type: "string",
-		description: "Ollama embedding model to use",
-		default: "nomic-embed-text",
-		choices: Object.keys(EMBEDDING_MODELS),
+		description: "Embedding model to use (see: faiss-gen config)",
+		defaultDescription: `${DEFAULT_CONFIG.model}, query/update: the index's`,
+	})
+	.option("provider", {
+		alias: "p",
+		type: "string",
+		description:
+			"Embedding provider (ollama, openai for any /v1/embeddings server, or mock for offline runs)",
+		choices: Object.values(PROVIDERS),
+		defaultDescription: `${DEFAULT_CONFIG.provider}, query/update: the index's`,
 	})
 	.option("ollama-url", {
+		alias: "base-url",
+		type: "string",
+		description:
+			"Embedding server URL, or comma-separated Ollama hosts to load-balance (default depends on provider)",
+	})
+	.option("api-key", {
+		type: "string",
+		description: `Bearer token for the embedding server (env: ${HTTP_ENV.apiKey})`,
+	})
+	.option("header", {
+		alias: "H",
+		type: "string",
+		array: true,
+		description: `Extra request header 'Name: value', repeatable (env: ${HTTP_ENV.headers})`,
+	})
+	.option("proxy", {
+		type: "string",
+		description: `HTTP(S) proxy URL (env: ${HTTP_ENV.proxy}, HTTPS_PROXY)`,
+	})
+	.option("ca-cert", {
+		type: "string",
+		description: `CA certificate PEM file for private CAs (env: ${HTTP_ENV.ca})`,
+	})
+	.option("client-cert", {
+		type: "string",
+		description: `Client certificate PEM file for mutual TLS (env: ${HTTP_ENV.cert})`,
+	})
+	.option("client-key", {
+		type: "string",
+		description: `Client key PEM file for mutual TLS (env: ${HTTP_ENV.key})`,
+	})
+	.option("insecure", {
+		type: "boolean",
+		description: `Skip TLS certificate verification (env: ${HTTP_ENV.rejectUnauthorized}=false)`,
+		default: false,
+	})
+	.option("keep-alive", {
+		type: "boolean",
+		description: `Reuse connections to the embedding server (--no-keep-alive to disable, env: ${HTTP_ENV.keepAlive})`,
+		defaultDescription: "true",
+	})
+	.option("scheduling", {
+		type: "string",
+		description: "How requests are spread over multiple Ollama hosts",
+		choices: Object.values(SCHEDULING),
+		default: SCHEDULING.ROUND_ROBIN,
+	})
+	.option("batch-size", {
+		alias: "b",
+		type: "number",
+		description: "Chunks per embedding request",
+		default: 32,
+	})
+	.option("concurrency", {
+		type: "number",
+		description: "Parallel embedding requests",
+		default: 2,
+	})
+	.option("timeout", {
+		type: "number",
+		description: "Embedding request timeout in ms",
+		default: 30000,
+	})
+	.option("retries", {
+		type: "number",
+		description: "Retries per embedding request on timeouts/5xx",
+		default: 3,
+	})
+	.option("cache", {
+		type: "boolean",
+		description: `Reuse embeddings from ${EMBEDDING_CACHE_FILE} (--no-cache to disable)`,
+		default: true,
+	})
+	.option("keep-snapshots", {
+		type: "number",
+		description:
+			"Index versions kept in index_snapshots/ by build, update, reindex and merge (0: write in place)",
+		default: DEFAULT_KEEP_SNAPSHOTS,
+	})
+	.option("dimensions", {
+		type: "number",
+		description:
+			"Keep only the first N embedding dimensions (Matryoshka models, e.g. 256 or 512 for nomic-embed-text)",
+	})
+	.option("overflow", {
 		type: "string",
-		description: "Ollama server URL",
-		default: "http://localhost:11434",
+		description:
+			"Chunks longer than the model context: split, pool (mean of sub-windows) or warn",
+		choices: Object.values(OVERFLOW_POLICIES),
+		defaultDescription: `${OVERFLOW_POLICIES.SPLIT}, update: the index's`,
+	})
+	.option("context-length", {
+		type: "number",
+		description:
+			"Model context window in tokens (default per model, 0 to skip checks)",
+	})
+	.option("document-prompt", {
+		type: "string",
+		description:
+			"Template for indexed chunks, prefix or {text} (default per model, '' to disable)",
+	})
+	.option("query-prompt", {
+		type: "string",
+		description:
+			"Template for queries, prefix or {text} (default: the one stored with the index)",
 	})
 	.option("splitter", {
 		alias: "s",
@@ -429,7 +1324,7 @@ const argv = yargs(hideBin(process.argv))
 		description:
 			"Text splitter type (recursive, character, markdown, code)",
 		choices: ["recursive", "character", "markdown", "code"],
-		default: "recursive",
+		defaultDescription: `${DEFAULT_CONFIG.splitter}, update: the index's`,
 	})
 	.option("verbose", {
 		alias: "v",
@@ -441,23 +1336,114 @@ const argv = yargs(hideBin(process.argv))
 	.example("$0 config --check", "Check Ollama connection status")
 	.example("$0 query ./faiss_output 'find orders'", "Search index with query")
 	.example(
-		"$0 query ./faiss_output 'user login' -k 10",
-		"Return top 10 results"
+		"$0 query ./faiss_output 'user login' -k 10",
+		"Return top 10 results"
+	)
+	.example(
+		"$0 query ./faiss_output 'login' -f lang=en -f 'doc=guides/**'",
+		"Only search English chunks under guides/"
+	)
+	.example(
+		"$0 query ./faiss_output 'ERR_CONN_RESET' --mode hybrid",
+		"Combine exact keyword matches with semantic search"
+	)
+	.example(
+		"$0 query ./faiss_output 'refunds' -k 0 --min-score 0.8",
+		"Every chunk with similarity 0.8 or higher"
+	)
+	.example(
+		"$0 query ./faiss_output 'login' --mmr",
+		"Diverse results instead of overlapping chunks of one file"
+	)
+	.example(
+		"$0 query ./faiss_output --queries-file queries.txt > results.ndjson",
+		"Run many queries at once, one JSON line of results per query"
+	)
+	.example(
+		"$0 similar ./faiss_output guides_login_0 --min-score 0.95",
+		"Near-duplicates of a chunk"
+	)
+	.example(
+		"$0 query ./billing,./support 'refunds'",
+		"Search several indexes, merged by similarity"
+	)
+	.example(
+		"$0 index merge ./all ./billing ./support",
+		"Combine indexes into one"
+	)
+	.example(
+		"$0 reindex ./faiss_output -t HNSW32",
+		"Switch an index to HNSW without re-embedding"
+	)
+	.example(
+		"$0 update ./documents ./faiss_output",
+		"Re-embed only added and modified files"
+	)
+	.example(
+		"$0 cache prune ./faiss_output",
+		"Drop cached embeddings no longer in the index"
+	)
+	.example("$0 ./documents", "Index documents in ./documents")
+	.example("$0 ./docs ./output -c 1000", "Custom chunk size of 1000")
+	.example("$0 ./src -e .js,.ts,.py", "Index source code files")
+	.example("$0 ./data -r", "Recursively scan subdirectories")
+	.example("$0 ./docs -m mxbai-embed-large", "Use different embedding model")
+	.example(
+		"$0 ./docs --dimensions 256",
+		"Smaller, faster index from truncated Matryoshka embeddings"
+	)
+	.example(
+		"$0 ./docs -t HNSW32 --ef-search 64",
+		"Approximate HNSW index for large corpora"
+	)
+	.example(
+		"$0 query ./faiss_output 'user login' --nprobe 32",
+		"Search more IVF lists for better recall"
+	)
+	.example(
+		"$0 ./docs -m bge-m3 --document-prompt '' --query-prompt ''",
+		"Embed raw text without instruction prompts"
+	)
+	.example(
+		"$0 ./docs --base-url http://gpu1:11434,http://gpu2:11434 --concurrency 4",
+		"Load-balance embedding across two Ollama hosts"
+	)
+	.example(
+		"$0 ./docs --base-url https://embed.internal --api-key $TOKEN --ca-cert ./ca.pem",
+		"Use a remote Ollama behind an authenticating reverse proxy"
+	)
+	.example(
+		"$0 snapshots rollback ./faiss_output 20250101T120000000Z",
+		"Serve an earlier version of the index again after a bad rebuild"
+	)
+	.example(
+		"$0 build ./docs --resume",
+		"Continue an interrupted build where its last checkpoint left off"
+	)
+	.example(
+		"$0 ./docs --provider mock",
+		"Dry run with deterministic offline embeddings (no server)"
+	)
+	.example(
+		"$0 ./docs --provider openai --base-url http://localhost:8080",
+		"Use an OpenAI-compatible server (llama.cpp, vLLM, LM Studio)"
 	)
-	.example("$0 ./documents", "Index documents in ./documents")
-	.example("$0 ./docs ./output -c 1000", "Custom chunk size of 1000")
-	.example("$0 ./src -e .js,.ts,.py", "Index source code files")
-	.example("$0 ./data -r", "Recursively scan subdirectories")
-	.example("$0 ./docs -m mxbai-embed-large", "Use different embedding model")
 	.epilogue(
 		"Output Files:\n" +
 			"  doc_index_cache.json    MD5 hashes for change detection\n" +
+			"  embedding_cache.bin     Cached embeddings reused on rebuild\n" +
 			"  index_metadata.json     Chunk metadata (doc, chunk, chunk_id)\n" +
-			"  index.bin               FAISS binary index"
+			"  index_manifest.json     Model, dimension, index type, prompts, chunking and version used\n" +
+			"  index_bm25.json         Keyword index for --mode keyword/hybrid\n" +
+			"  index_vectors.fvecs     Raw vectors for reindex and merge\n" +
+			"  index_checkpoint.*      Progress of an unfinished build (--resume)\n" +
+			"  index.bin               FAISS binary index\n" +
+			"  index_snapshots/<id>/   Versions of index.bin and its index_* files\n" +
+			"  index_current           Id of the snapshot queries load"
 	)
 	.help()
 	.alias("help", "h")
-	.version("1.0.0")
+	.version(TOOL_VERSION)
 	.wrap(80)
 	.strict()
 	.parse();
@@ -524,22 +1510,222 @@ function getFiles(dir, extensions, recursive = false) {
 }
 
 /**
- * Run build command
+ * Provider from --provider, else the index's (when it is a built-in one)
  */
-async function runBuild(argv) {
-	const options = {
+function getProvider(argv, manifest) {
+	if (argv.provider) return argv.provider;
+	return Object.values(PROVIDERS).includes(manifest?.provider)
+		? manifest.provider
+		: DEFAULT_CONFIG.provider;
+}
+
+/**
+ * Build and update options from CLI flags
+ * Unset flags fall back to the index manifest (updates), then the defaults.
+ */
+function getBuildOptions(argv, manifest = {}) {
+	const model = argv.model ?? manifest.model ?? DEFAULT_CONFIG.model;
+	return {
 		inputDir: argv["input-dir"],
 		outputDir: argv["output-dir"],
-		chunkSize: argv["chunk-size"],
-		overlap: argv.overlap,
-		extensions: argv.extensions,
-		recursive: argv.recursive,
-		indexType: argv["index-type"],
-		model: argv.model,
+		chunkSize:
+			argv["chunk-size"] ??
+			manifest.chunking?.chunkSize ??
+			DEFAULT_CONFIG.chunkSize,
+		overlap:
+			argv.overlap ??
+			manifest.chunking?.chunkOverlap ??
+			DEFAULT_CONFIG.overlap,
+		extensions:
+			argv.extensions ??
+			manifest.chunking?.extensions ??
+			DEFAULT_CONFIG.extensions,
+		recursive:
+			argv.recursive ??
+			manifest.chunking?.recursive ??
+			DEFAULT_CONFIG.recursive,
+		indexType:
+			argv["index-type"] ??
+			manifest.indexType ??
+			DEFAULT_CONFIG.indexType,
+		metric: argv.metric,
+		trainingSize: argv["training-size"],
+		nprobe: argv.nprobe,
+		efSearch: argv["ef-search"],
+		model,
+		provider: getProvider(argv, manifest),
 		ollamaUrl: argv["ollama-url"],
-		splitter: argv.splitter,
+		scheduling: argv.scheduling,
+		batchSize: argv["batch-size"],
+		concurrency: argv.concurrency,
+		timeout: argv.timeout,
+		retries: argv.retries,
+		cache: argv.cache,
+		keepSnapshots: argv["keep-snapshots"],
+		resume: argv.resume,
+		checkpointInterval: argv["checkpoint-interval"],
+		documentPrompt: argv["document-prompt"],
+		queryPrompt: argv["query-prompt"],
+		contextLength: argv["context-length"],
+		overflow: argv.overflow ?? manifest.overflow ?? OVERFLOW_POLICIES.SPLIT,
+		dimensions: argv.dimensions,
+		http: getHttpOptions(argv),
+		splitter:
+			argv.splitter ??
+			manifest.chunking?.splitter ??
+			DEFAULT_CONFIG.splitter,
 		verbose: argv.verbose,
 	};
+}
+
+/**
+ * Create the indexer for build and update
+ */
+function createIndexer(options) {
+	return new FaissIndexer({
+		indexType: options.indexType,
+		metric: options.metric,
+		trainingSize: options.trainingSize,
+		nprobe: options.nprobe,
+		efSearch: options.efSearch,
+		model: options.model,
+		baseUrl: options.ollamaUrl,
+		provider: options.provider,
+		scheduling: options.scheduling,
+		batchSize: options.batchSize,
+		concurrency: options.concurrency,
+		timeout: options.timeout,
+		retries: options.retries,
+		cache: options.cache,
+		keepSnapshots: options.keepSnapshots,
+		resume: options.resume,
+		checkpointInterval:
+			options.checkpointInterval === undefined
+				? undefined
+				: options.checkpointInterval * 1000,
+		documentPrompt: options.documentPrompt,
+		queryPrompt: options.queryPrompt,
+		contextLength: options.contextLength,
+		overflow: options.overflow,
+		dimensions: options.dimensions,
+		chunking: {
+			splitter: options.splitter,
+			chunkSize: options.chunkSize,
+			chunkOverlap: options.overlap,
+			extensions: options.extensions,
+			recursive: options.recursive,
+		},
+		...options.http,
+	});
+}
+
+/**
+ * Print embedding progress on one line
+ */
+function showProgress(current, total) {
+	const pct = Math.floor((current / total) * 100);
+	process.stdout.write(
+		`\r   [${pct.toString().padStart(3)}%] ${current}/${total} vectors`
+	);
+}
+
+/**
+ * Print retries, per-host, oversized-chunk and cache stats of a build or update
+ */
+function printEmbeddingReport(result, options) {
+	console.log(`   🔁 Retries: ${result.retries}`);
+	if (result.hosts && result.hosts.length > 1) {
+		console.log(`   🖥️  Hosts (${options.scheduling}):`);
+		for (const host of result.hosts) {
+			const rate = (host.items / (result.time / 1000 || 1)).toFixed(1);
+			console.log(
+				`      ${host.url}: ${host.items} chunks (${rate}/s), ${host.requests} requests, avg ${host.avgLatency}ms` +
+					(host.failures ? `, ${host.failures} failures` : "") +
+					(host.healthy ? "" : ` [removed: ${host.removedReason}]`)
+			);
+		}
+	}
+	if (result.oversized.count > 0) {
+		const action = {
+			split: "re-split",
+			pool: "mean-pooled",
+			warn: "truncated by the model",
+		}[result.oversized.policy];
+		console.log(
+			`   ✂️  Oversized: ${result.oversized.count} chunks exceeded the context window (${action})`
+		);
+		if (options.verbose) {
+			console.log(
+				`      ${result.oversized.chunkIds.slice(0, 10).join(", ")}`
+			);
+		}
+	}
+	if (result.cache) {
+		console.log(
+			`   💾 Cache: ${result.cache.hits} hits, ${result.cache.misses} misses`
+		);
+		if (result.cache.error) {
+			console.log(`   ⚠️  Cache not saved: ${result.cache.error}`);
+		}
+	}
+}
+
+/**
+ * Split files into chunks with ids derived from their relative path
+ */
+async function chunkFiles(files, options) {
+	const metadata = [];
+	const chunkIds = new Set();
+
+	for (const filePath of files) {
+		const relativePath = path.relative(options.inputDir, filePath);
+		const content = readFileContent(filePath);
+
+		if (!content) {
+			if (options.verbose) {
+				console.log(`   ⚠️  Skipping: ${relativePath}`);
+			}
+			continue;
+		}
+
+		// Use LangChain text splitter
+		const chunks = await splitTextByFileType(content, filePath, {
+			chunkSize: options.chunkSize,
+			chunkOverlap: options.overlap,
+			type: options.splitter,
+		});
+		console.log(`   📄 ${relativePath}: ${chunks.length} chunk(s)`);
+
+		for (let i = 0; i < chunks.length; i++) {
+			// Use relative path for chunk_id to avoid conflicts
+			const baseId = relativePath
+				.replace(/[\/\\]/g, "_")
+				.replace(/\.[^/.]+$/, "");
+			const chunkId = `${baseId}_${i}`;
+
+			if (chunkIds.has(chunkId)) {
+				console.error(`   ❌ Duplicate chunk_id: ${chunkId}`);
+				process.exit(1);
+			}
+
+			metadata.push({
+				doc: relativePath,
+				chunk: chunks[i],
+				chunk_id: chunkId,
+			});
+
+			chunkIds.add(chunkId);
+		}
+	}
+
+	return metadata;
+}
+
+/**
+ * Run build command
+ */
+async function runBuild(argv) {
+	const options = getBuildOptions(argv);
 
 	// Validate input directory
 	if (!fs.existsSync(options.inputDir)) {
@@ -551,12 +1737,6 @@ async function runBuild(argv) {
 	const docCachePath = path.join(options.outputDir, "doc_index_cache.json");
 	const metadataPath = path.join(options.outputDir, "metadata.json");
 	const indexPath = path.join(options.outputDir, "index.bin");
-	const indexMetadataPath = path.join(
-		options.outputDir,
-		"index_metadata.json"
-	);
-
-	const modelInfo = EMBEDDING_MODELS[options.model] || { dimension: 768 };
 
 	console.log("\n" + "═".repeat(60));
 	console.log("  FAISS Index Generator CLI");
@@ -568,11 +1748,51 @@ async function runBuild(argv) {
 	console.log(`  Splitter:    ${options.splitter} (LangChain)`);
 	console.log(`  Extensions:  ${options.extensions.join(", ")}`);
 	console.log(`  Recursive:   ${options.recursive}`);
-	console.log(`  Index Type:  ${options.indexType}`);
+	console.log(
+		`  Index Type:  ${options.indexType}${
+			isFlatIndexType(options.indexType)
+				? ""
+				: ` (${options.metric}, approximate)`
+		}`
+	);
 	console.log("─".repeat(60));
+	console.log(`  Provider:    ${options.provider}`);
 	console.log(`  Model:       ${options.model}`);
-	console.log(`  Dimension:   ${modelInfo.dimension}`);
-	console.log(`  Ollama URL:  ${options.ollamaUrl}`);
+	console.log(
+		`  Dimension:   auto-detect${
+			options.dimensions ? ` (truncated to ${options.dimensions})` : ""
+		}`
+	);
+	const prompts = resolvePrompts(options.model, {
+		document: options.documentPrompt,
+		query: options.queryPrompt,
+	});
+	console.log(
+		`  Prompts:     document ${JSON.stringify(
+			prompts.document
+		)}, query ${JSON.stringify(prompts.query)}`
+	);
+	console.log(`  Server URL:  ${options.ollamaUrl || "(provider default)"}`);
+	try {
+		console.log(
+			`  Connection:  ${describeRequestConfig(
+				createRequestConfig(options.http)
+			)}`
+		);
+	} catch (error) {
+		console.error(`❌ Error: ${error.message}`);
+		process.exit(1);
+	}
+	console.log(
+		`  Batching:    ${options.batchSize} per request, ${options.concurrency} in parallel`
+	);
+	const contextLength =
+		options.contextLength ?? getContextLength(options.model);
+	console.log(
+		`  Context:     ${
+			contextLength ? `${contextLength} tokens` : "not checked"
+		} (overflow: ${options.overflow})`
+	);
 	console.log("═".repeat(60) + "\n");
 
 	// Create output directory
@@ -600,57 +1820,13 @@ async function runBuild(argv) {
 	console.log("─".repeat(60));
 	console.log("📝 [2/3] Generating metadata.json...\n");
 
-	const metadata = [];
-	const chunkIds = new Set();
-
 	// Get files (with optional recursion)
 	const files = getFiles(
 		options.inputDir,
 		options.extensions,
 		options.recursive
 	);
-
-	for (const filePath of files) {
-		const fileName = path.basename(filePath);
-		const relativePath = path.relative(options.inputDir, filePath);
-		const content = readFileContent(filePath);
-
-		if (!content) {
-			if (options.verbose) {
-				console.log(`   ⚠️  Skipping: ${relativePath}`);
-			}
-			continue;
-		}
-
-		// Use LangChain text splitter
-		const chunks = await splitTextByFileType(content, filePath, {
-			chunkSize: options.chunkSize,
-			chunkOverlap: options.overlap,
-			type: options.splitter,
-		});
-		console.log(`   📄 ${relativePath}: ${chunks.length} chunk(s)`);
-
-		for (let i = 0; i < chunks.length; i++) {
-			// Use relative path for chunk_id to avoid conflicts
-			const baseId = relativePath
-				.replace(/[\/\\]/g, "_")
-				.replace(/\.[^/.]+$/, "");
-			const chunkId = `${baseId}_${i}`;
-
-			if (chunkIds.has(chunkId)) {
-				console.error(`   ❌ Duplicate chunk_id: ${chunkId}`);
-				process.exit(1);
-			}
-
-			metadata.push({
-				doc: relativePath,
-				chunk: chunks[i],
-				chunk_id: chunkId,
-			});
-
-			chunkIds.add(chunkId);
-		}
-	}
+	const metadata = await chunkFiles(files, options);
 
 	fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
 	console.log(`\n   ✅ Total chunks: ${metadata.length}`);
@@ -667,32 +1843,48 @@ async function runBuild(argv) {
 	console.log("─".repeat(60));
 	console.log("🔍 [3/3] Building FAISS index...\n");
 
+	const checkpoint = new BuildCheckpoint(indexPath);
+	// index.bin as saved: inside the new snapshot unless written in place
+	let savedPath = indexPath;
+	if (options.resume) {
+		console.log(
+			checkpoint.exists()
+				? `   ⏩ Resuming from ${checkpoint.paths.state}\n`
+				: "   ⚠️  No checkpoint found, starting from the beginning\n"
+		);
+	}
+
 	try {
-		const indexer = new FaissIndexer({
-			indexType: options.indexType,
-			model: options.model,
-			baseUrl: options.ollamaUrl,
-		});
+		const indexer = createIndexer(options);
 
 		const result = await indexer.build(
 			metadataPath,
 			indexPath,
-			(current, total) => {
-				const pct = Math.floor((current / total) * 100);
-				process.stdout.write(
-					`\r   [${pct
-						.toString()
-						.padStart(3)}%] ${current}/${total} vectors`
-				);
-			}
+			showProgress
 		);
 
 		console.log("\n");
 		console.log(`   ✅ Index built successfully!`);
 		console.log(`   📊 Vectors: ${result.vectors}`);
+		console.log(`   📐 Dimension: ${result.dimension}`);
 		console.log(`   ⏱️  Time: ${(result.time / 1000).toFixed(2)}s`);
-		console.log(`   📄 Saved: ${indexPath}`);
-		console.log(`   📄 Saved: ${indexMetadataPath}\n`);
+		if (result.resumed > 0) {
+			console.log(
+				`   ⏩ Resumed: ${result.resumed} chunks from checkpoint`
+			);
+		}
+		if (result.trainingVectors > 0) {
+			console.log(`   🎓 Trained on: ${result.trainingVectors} vectors`);
+		}
+		printEmbeddingReport(result, options);
+		savedPath = resolveIndexPath(indexPath);
+		if (indexer.snapshot) {
+			console.log(`   📸 Snapshot: ${indexer.snapshot}`);
+		}
+		console.log(`   📄 Saved: ${savedPath}`);
+		console.log(
+			`   📄 Saved: ${savedPath.replace(".bin", "_metadata.json")}\n`
+		);
 	} catch (error) {
 		console.error(`\n   ❌ Failed: ${error.message}`);
 
@@ -701,6 +1893,14 @@ async function runBuild(argv) {
 			console.error("      ollama serve");
 			console.error("      ollama pull nomic-embed-text");
 		}
+		if (
+			checkpoint.exists() &&
+			!error.message.includes("does not match this build")
+		) {
+			console.error(
+				`\n   💡 Progress saved to ${checkpoint.paths.state}. Run the same command with --resume to continue`
+			);
+		}
 
 		process.exit(1);
 	}
@@ -710,7 +1910,158 @@ async function runBuild(argv) {
 	console.log("  ✅ Complete! Generated files:");
 	console.log("═".repeat(60));
 	console.log(`  1. ${docCachePath}`);
-	console.log(`  2. ${indexMetadataPath}`);
-	console.log(`  3. ${indexPath}`);
+	console.log(`  2. ${savedPath.replace(".bin", "_metadata.json")}`);
+	console.log(`  3. ${savedPath}`);
+	console.log(`  4. ${savedPath.replace(".bin", "_manifest.json")}`);
+	console.log(`  5. ${savedPath.replace(".bin", "_bm25.json")}`);
+	console.log(`  6. ${getVectorsPath(savedPath)}`);
+	if (options.cache) {
+		console.log(
+			`  7. ${path.join(options.outputDir, EMBEDDING_CACHE_FILE)}`
+		);
+	}
+	if (savedPath !== indexPath) {
+		console.log(
+			`  ➜  ${
+				getSnapshotPaths(indexPath).current
+			} points to this snapshot`
+		);
+	}
+	console.log("═".repeat(60) + "\n");
+}
+
+/**
+ * Run update command
+ */
+async function runUpdate(argv) {
+	// Chunk and embed like the build did, unless flags say otherwise
+	const manifest = readManifest(
+		resolveIndexPath(path.join(argv["output-dir"], "index.bin"))
+	);
+	const options = getBuildOptions(argv, manifest || {});
+
+	if (!fs.existsSync(options.inputDir)) {
+		console.error(`❌ Error: Directory not found: ${options.inputDir}`);
+		process.exit(1);
+	}
+
+	// Paths
+	const docCachePath = path.join(options.outputDir, "doc_index_cache.json");
+	const metadataPath = path.join(options.outputDir, "metadata.json");
+	const indexPath = path.join(options.outputDir, "index.bin");
+	const previous = fs.existsSync(metadataPath)
+		? JSON.parse(fs.readFileSync(metadataPath, "utf-8"))
+		: [];
+	const docCache = loadDocCache(
+		docCachePath,
+		previous.map((item) => item.doc)
+	);
+
+	if (!fs.existsSync(resolveIndexPath(indexPath)) || !docCache) {
+		console.error(`❌ No index to update in ${options.outputDir}`);
+		console.error(
+			`   Run: node cli.js build ${options.inputDir} ${options.outputDir}`
+		);
+		process.exit(1);
+	}
+
+	console.log("\n" + "═".repeat(60));
+	console.log("  FAISS Index Update");
+	console.log("═".repeat(60));
+	console.log(`  Input:       ${options.inputDir}`);
+	console.log(`  Index:       ${options.outputDir}`);
+	console.log(`  Provider:    ${options.provider}`);
+	console.log(`  Model:       ${options.model}`);
+	console.log(
+		`  Chunking:    ${options.splitter}, ${options.chunkSize} chars, ${options.overlap} overlap`
+	);
 	console.log("═".repeat(60) + "\n");
+
+	// ═══════════════════════════════════════════════════════════
+	// STEP 1: Detect Changes
+	// ═══════════════════════════════════════════════════════════
+	console.log("📁 [1/3] Detecting changes...\n");
+
+	const changes = await detectChanges(options.inputDir, docCache, {
+		extensions: options.extensions,
+		recursive: options.recursive,
+	});
+
+	for (const [label, files] of [
+		["Added", changes.added],
+		["Modified", changes.modified],
+		["Removed", changes.removed],
+	]) {
+		console.log(`   ${label.padEnd(9)} ${files.length}`);
+		if (options.verbose) {
+			files.forEach((file) => console.log(`      ${file}`));
+		}
+	}
+	console.log(`   Unchanged ${changes.unchanged.length}\n`);
+
+	const changed = [...changes.added, ...changes.modified];
+	const removeDocs = [...changes.modified, ...changes.removed];
+
+	if (changed.length === 0 && removeDocs.length === 0) {
+		console.log("   ✅ Index is up to date\n");
+		return;
+	}
+
+	// ═══════════════════════════════════════════════════════════
+	// STEP 2: Chunk Changed Files
+	// ═══════════════════════════════════════════════════════════
+	console.log("─".repeat(60));
+	console.log("📝 [2/3] Chunking changed files...\n");
+
+	const added = await chunkFiles(
+		changed.map((file) => path.join(options.inputDir, file)),
+		options
+	);
+	console.log(`\n   ✅ New chunks: ${added.length}\n`);
+
+	// ═══════════════════════════════════════════════════════════
+	// STEP 3: Update FAISS Index
+	// ═══════════════════════════════════════════════════════════
+	console.log("─".repeat(60));
+	console.log("🔍 [3/3] Updating FAISS index...\n");
+
+	try {
+		const indexer = createIndexer(options);
+		const result = await indexer.update(
+			indexPath,
+			{ add: added, removeDocs },
+			showProgress
+		);
+
+		console.log("\n");
+		console.log(`   ✅ Index updated successfully!`);
+		console.log(
+			`   📊 Vectors: ${result.vectors} (+${result.added}, -${result.removed})`
+		);
+		if (result.trainingVectors > 0) {
+			console.log(`   🎯 Retrained on ${result.trainingVectors} vectors`);
+		}
+		console.log(`   ⏱️  Time: ${(result.time / 1000).toFixed(2)}s`);
+		printEmbeddingReport(result, options);
+		if (indexer.snapshot) {
+			console.log(`   📸 Snapshot: ${indexer.snapshot}`);
+		}
+	} catch (error) {
+		console.error(`\n   ❌ Failed: ${error.message}`);
+		process.exit(1);
+	}
+
+	// Keep the raw chunks and file hashes in step with the index
+	const metadata = previous
+		.filter((item) => !removeDocs.includes(item.doc))
+		.concat(added);
+	fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+	await generateDocCache(options.inputDir, docCachePath, {
+		extensions: options.extensions,
+		recursive: options.recursive,
+	});
+
+	console.log(`   📄 Saved: ${resolveIndexPath(indexPath)}`);
+	console.log(`   📄 Saved: ${metadataPath}`);
+	console.log(`   📄 Saved: ${docCachePath}\n`);
 }
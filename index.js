@@ -9,11 +9,53 @@
  *
  *   // Build index programmatically
  *   await build('./documents', './output');
+ *
+ *   // Re-embed only files changed since the last build
+ *   await update('./documents', './output');
  */
 
 // Core exports
 export { FaissIndexer, buildIndex } from "./lib/faissIndexer.js";
 export { OllamaEmbedder } from "./lib/embedder.js";
+export { OpenAIEmbedder } from "./lib/openaiEmbedder.js";
+export { MockEmbedder } from "./lib/mockEmbedder.js";
+export { BaseEmbedder, normalizeVector } from "./lib/baseEmbedder.js";
+export { createEmbedder, PROVIDERS } from "./lib/providers.js";
+export {
+	EmbeddingCache,
+	getEmbeddingKey,
+	pruneEmbeddingCache,
+} from "./lib/embeddingCache.js";
+export {
+	getContextLength,
+	estimateTokens,
+	OVERFLOW_POLICIES,
+} from "./lib/contextLength.js";
+export {
+	getDefaultPrompts,
+	resolvePrompts,
+	applyPrompt,
+	PROMPT_TEMPLATES,
+} from "./lib/prompts.js";
+export {
+	createIndex,
+	detectIndexType,
+	getTrainingSize,
+	getSearchParams,
+	setSearchParams,
+} from "./lib/indexFactory.js";
+export { BM25Index, tokenize } from "./lib/bm25.js";
+export { maximalMarginalRelevance } from "./lib/mmr.js";
+export {
+	fuseResults,
+	SEARCH_MODES,
+	FUSION_METHODS,
+} from "./lib/hybridSearch.js";
+export {
+	compileFilter,
+	parseFilter,
+	globToRegExp,
+} from "./lib/metadataFilter.js";
 export {
 	generateDocCache,
 	loadDocCache,
@@ -27,53 +69,345 @@ export {
 	createSplitter,
 	SPLITTER_TYPES,
 } from "./lib/textSplitter.js";
+export {
+	readManifest,
+	writeManifest,
+	checkManifest,
+	TOOL_VERSION,
+} from "./lib/manifest.js";
+export {
+	getVectorsPath,
+	writeVectors,
+	appendVectors,
+	readVectors,
+} from "./lib/vectorStore.js";
+export {
+	BuildCheckpoint,
+	getCheckpointPaths,
+	getFingerprint,
+} from "./lib/checkpoint.js";
+export {
+	getSnapshotPaths,
+	getCurrentSnapshot,
+	resolveIndexPath,
+	listSnapshots,
+	rollbackSnapshot,
+	pruneSnapshots,
+	DEFAULT_KEEP_SNAPSHOTS,
+} from "./lib/snapshots.js";
+export {
+	checkCompatible,
+	mergeResults,
+	searchIndexes,
+	searchIndexesBatch,
+} from "./lib/federatedSearch.js";
 
 import { FaissIndexer } from "./lib/faissIndexer.js";
 import { splitTextByFileType } from "./lib/textSplitter.js";
+import { readManifest } from "./lib/manifest.js";
+import {
+	resolveIndexPath,
+	listSnapshots,
+	rollbackSnapshot,
+	DEFAULT_KEEP_SNAPSHOTS,
+} from "./lib/snapshots.js";
+import {
+	checkCompatible,
+	searchIndexes,
+	searchIndexesBatch,
+} from "./lib/federatedSearch.js";
+import {
+	generateDocCache,
+	loadDocCache,
+	detectChanges,
+} from "./lib/docCache.js";
 import fs from "fs";
 import path from "path";
 
 /**
  * Query an existing FAISS index
  *
- * @param {string} indexDir - Directory containing index.bin and index_metadata.json
+ * @param {string|string[]} indexDir - Directory containing index.bin and index_metadata.json,
+ *   or several to search together (they must share model and dimension)
  * @param {string} queryText - Search query
  * @param {Object} [options]
- * @param {number} [options.topK=5] - Number of results
- * @param {string} [options.model='nomic-embed-text'] - Embedding model
- * @param {string} [options.baseUrl='http://localhost:11434'] - Ollama URL
- * @returns {Promise<Array<{id, score, doc, chunk_id, chunk}>>}
+ * @param {number} [options.topK=5] - Number of results (Infinity with minScore: all above it)
+ * @param {string} [options.model] - Embedding model (default: the one the index was built with; others throw)
+ * @param {string} [options.baseUrl] - Embedding server URL (provider default if omitted)
+ * @param {string|Function|Object} [options.provider='ollama'] - Provider name, embedder class or instance
+ * @param {Object} [options.embedder] - Embedder instance or provider options
+ * @param {number} [options.timeout=30000] - Embedding request timeout (ms)
+ * @param {number} [options.retries=3] - Retries on transient embedding errors
+ * @param {string} [options.apiKey] - Bearer token (also headers, proxy, ca, cert, key; see httpOptions.js)
+ * @param {string} [options.queryPrompt] - Query template (default: the one the index was built with)
+ * @param {number} [options.nprobe] - IVF lists searched per query (default: stored with the index)
+ * @param {number} [options.efSearch] - HNSW candidates per query (default: stored with the index)
+ * @param {Object} [options.filter] - Metadata filter, e.g. { lang: 'en', year: { $gte: 2020 }, doc: 'guides/*.md' }
+ * @param {string} [options.mode='vector'] - 'vector', 'keyword' (BM25) or 'hybrid'
+ * @param {string} [options.fusion='rrf'] - Hybrid fusion: 'rrf' or 'weighted'
+ * @param {number} [options.alpha=0.5] - Vector weight for weighted fusion
+ * @param {boolean} [options.mmr=false] - Diversify results (maximal marginal relevance)
+ * @param {number} [options.lambda=0.5] - MMR trade-off: 1 = relevance only, 0 = diversity only
+ * @param {number} [options.minScore] - Only results with similarity >= minScore (0..1)
+ * @returns {Promise<Array<{id, score, similarity, doc, chunk_id, chunk}>>} - Plus any extra metadata fields,
+ *   and `index` (the directory) when several were searched
  *
  * @example
  * const results = await query('./faiss_output', 'find orders by status');
  * results.forEach(r => console.log(r.score, r.chunk_id, r.chunk));
+ *
+ * // Only English guides
+ * await query('./faiss_output', 'login', { filter: { lang: 'en', doc: 'guides/**' } });
+ *
+ * // Exact identifiers and error codes, plus semantic matches
+ * await query('./faiss_output', 'ERR_CONN_RESET', { mode: 'hybrid' });
+ *
+ * // Every chunk at least this similar
+ * await query('./faiss_output', 'refunds', { topK: Infinity, minScore: 0.8 });
+ *
+ * // Several indexes, merged by similarity
+ * await query(['./billing_index', './support_index'], 'refunds');
  */
 export async function query(indexDir, queryText, options = {}) {
+	const { topK, searchOptions, indexerOptions } = splitQueryOptions(options);
+	if (Array.isArray(indexDir)) {
+		const indexes = await loadIndexes(indexDir, indexerOptions);
+		return searchIndexes(indexes, queryText, topK, searchOptions);
+	}
+
+	const indexer = await loadIndex(indexDir, indexerOptions);
+	return indexer.search(queryText, topK, searchOptions);
+}
+
+/**
+ * Query an existing FAISS index with many queries at once
+ * Loads the index once, embeds the queries in batches and runs them as one
+ * multi-query search where the options allow.
+ *
+ * @param {string|string[]} indexDir - Directory containing index.bin and index_metadata.json, or several
+ * @param {string[]} queries - Search queries
+ * @param {Object} [options] - Same as query()
+ * @returns {Promise<Array<Array<Object>>>} - Results per query, in query order
+ *
+ * @example
+ * const [orders, login] = await queryBatch('./faiss_output', ['orders', 'login']);
+ */
+export async function queryBatch(indexDir, queries, options = {}) {
+	const { topK, searchOptions, indexerOptions } = splitQueryOptions(options);
+	if (Array.isArray(indexDir)) {
+		const indexes = await loadIndexes(indexDir, indexerOptions);
+		return searchIndexesBatch(indexes, queries, topK, searchOptions);
+	}
+
+	const indexer = await loadIndex(indexDir, indexerOptions);
+	return indexer.searchBatch(queries, topK, searchOptions);
+}
+
+/**
+ * Query an existing FAISS index with an embedding instead of text
+ *
+ * @param {string} indexDir - Directory containing index.bin and index_metadata.json
+ * @param {number[]|Float32Array} vector - Embedding from the index's model
+ * @param {Object} [options] - Same as query() (vector mode only)
+ * @returns {Promise<Array<Object>>} - Same as query()
+ */
+export async function queryByVector(indexDir, vector, options = {}) {
+	const { topK, searchOptions, indexerOptions } = splitQueryOptions(options);
+	const indexer = await loadIndex(indexDir, indexerOptions);
+	return indexer.searchByVector(vector, topK, searchOptions);
+}
+
+/**
+ * Find chunks similar to an indexed chunk ("more like this")
+ * Related documents and near-duplicates, without an embedding request on
+ * flat indexes.
+ *
+ * @param {string} indexDir - Directory containing index.bin and index_metadata.json
+ * @param {string} chunkId - chunk_id of an indexed chunk
+ * @param {Object} [options] - Same as query() (vector mode only)
+ * @returns {Promise<Array<Object>>} - Same as query(), without the chunk itself
+ *
+ * @example
+ * const duplicates = await similar('./faiss_output', 'guides_login_0', { minScore: 0.95 });
+ */
+export async function similar(indexDir, chunkId, options = {}) {
+	const { topK, searchOptions, indexerOptions } = splitQueryOptions(options);
+	const indexer = await loadIndex(indexDir, indexerOptions);
+	return indexer.searchSimilarTo(chunkId, topK, searchOptions);
+}
+
+/**
+ * Combine several built indexes into one
+ * Chunks keep their metadata plus `index`, the directory they came from.
+ * The indexes must share model and dimension.
+ *
+ * @param {string[]} indexDirs - Directories containing index.bin and index_metadata.json
+ * @param {string} outputDir - New directory for the merged index
+ * @param {Object} [options] - FaissIndexer options (provider, cache, ...)
+ * @param {string} [options.indexType] - Index type of the merged index (default: the first index's)
+ * @param {number} [options.keepSnapshots=5] - Snapshots kept in outputDir (0 writes the files in place)
+ * @returns {Promise<{vectors: number, sources: Array<{name: string, vectors: number}>, time: number}>}
+ *
+ * @example
+ * await mergeIndexes(['./billing_index', './support_index'], './all_index');
+ */
+export async function mergeIndexes(indexDirs, outputDir, options = {}) {
+	if (indexDirs.length < 2) {
+		throw new Error("Merging needs at least two indexes");
+	}
+	if (
+		indexDirs.some((dir) => path.resolve(dir) === path.resolve(outputDir))
+	) {
+		throw new Error(
+			"Merge into a new directory, not one of the merged indexes"
+		);
+	}
+
+	// Settings of the merged index; the sources load with their own
+	const { indexType, trainingSize, nprobe, efSearch, metric, ...rest } =
+		options;
+	const sources = await loadIndexes(indexDirs, rest);
+	const indexer = new FaissIndexer({
+		keepSnapshots: DEFAULT_KEEP_SNAPSHOTS,
+		...options,
+	});
+	return indexer.merge(sources, path.join(outputDir, "index.bin"));
+}
+
+/**
+ * Rebuild an index from its stored raw vectors, without re-embedding
+ *
+ * @param {string} indexDir - Directory containing index.bin and index_vectors.fvecs
+ * @param {Object} [options]
+ * @param {string} [options.indexType] - New type: 'IP', 'L2' or a faiss factory string (default: unchanged)
+ * @param {string} [options.metric] - Metric for factory index types: 'IP' or 'L2'
+ * @param {number} [options.trainingSize] - Vectors used to train IVF/PQ indexes
+ * @param {number} [options.nprobe] - IVF lists searched per query
+ * @param {number} [options.efSearch] - HNSW candidates per query
+ * @param {number} [options.keepSnapshots=5] - Snapshots kept (0 writes the files in place)
+ * @returns {Promise<{vectors: number, indexType: string, trainingVectors: number, time: number}>}
+ *
+ * @example
+ * await reindex('./faiss_output', { indexType: 'IVF256,Flat', nprobe: 16 });
+ */
+export async function reindex(indexDir, options = {}) {
+	const { indexType, metric, trainingSize, nprobe, efSearch, ...rest } =
+		options;
+	const indexer = await loadIndex(indexDir, {
+		keepSnapshots: DEFAULT_KEEP_SNAPSHOTS,
+		...rest,
+	});
+	return indexer.reindex(path.join(indexDir, "index.bin"), {
+		indexType,
+		metric,
+		trainingSize,
+		nprobe,
+		efSearch,
+	});
+}
+
+/**
+ * List the saved versions of an index, oldest first
+ *
+ * @param {string} indexDir - Directory containing the index
+ * @returns {Array<{id: string, current: boolean, complete: boolean, created: Date, model: string|null, indexType: string|null, vectors: number|null}>}
+ *   - Empty for indexes saved in place
+ */
+export function listIndexSnapshots(indexDir) {
+	return listSnapshots(path.join(indexDir, "index.bin"));
+}
+
+/**
+ * Switch an index back to one of its snapshots
+ * Queries load the snapshot from then on; the next build or update saves a
+ * new one as usual. doc_index_cache.json is not rolled back, so rebuild
+ * rather than update to bring the index in line with the documents again.
+ *
+ * @param {string} indexDir - Directory containing the index
+ * @param {string} id - Snapshot id from listIndexSnapshots()
+ * @returns {{previous: string|null, current: string}}
+ *
+ * @example
+ * const [previous] = listIndexSnapshots('./faiss_output').slice(-2);
+ * rollbackIndex('./faiss_output', previous.id);
+ */
+export function rollbackIndex(indexDir, id) {
+	return rollbackSnapshot(path.join(indexDir, "index.bin"), id);
+}
+
+/**
+ * Split the options of the query functions into search and indexer options
+ * @private
+ */
+function splitQueryOptions(options) {
+	// Remaining options (provider, baseUrl, retries, ...) go to FaissIndexer
 	const {
 		topK = 5,
-		model = "nomic-embed-text",
-		baseUrl = "http://localhost:11434",
+		filter,
+		mode,
+		fusion,
+		alpha,
+		mmr,
+		lambda,
+		minScore,
+		...indexerOptions
 	} = options;
 
+	return {
+		topK,
+		searchOptions: { filter, mode, fusion, alpha, mmr, lambda, minScore },
+		indexerOptions,
+	};
+}
+
+/**
+ * Load the index in a directory
+ * @private
+ */
+async function loadIndex(indexDir, indexerOptions) {
 	const indexPath = path.join(indexDir, "index.bin");
 	const metadataPath = path.join(indexDir, "index_metadata.json");
 
-	if (!fs.existsSync(indexPath)) {
-		throw new Error(`Index not found: ${indexPath}`);
+	// Versioned indexes keep their files in the current snapshot
+	const filePath = resolveIndexPath(indexPath);
+	if (!fs.existsSync(filePath)) {
+		throw new Error(`Index not found: ${filePath}`);
 	}
 
-	if (!fs.existsSync(metadataPath)) {
-		throw new Error(`Metadata not found: ${metadataPath}`);
+	const storedMetadataPath = path.join(
+		path.dirname(filePath),
+		path.basename(metadataPath)
+	);
+	if (!fs.existsSync(storedMetadataPath)) {
+		throw new Error(`Metadata not found: ${storedMetadataPath}`);
 	}
 
-	const indexer = new FaissIndexer({
-		indexType: "IP",
-		model,
-		baseUrl,
-	});
+	// Model, index type and prompts come from the index manifest
+	const indexer = new FaissIndexer(indexerOptions);
 
 	await indexer.load(indexPath, metadataPath);
-	return indexer.search(queryText, topK);
+	return indexer;
+}
+
+/**
+ * Load several indexes, named by their directory, and check they can be
+ * searched together
+ * @private
+ */
+async function loadIndexes(indexDirs, indexerOptions) {
+	if (indexDirs.length === 0) {
+		throw new Error("No index directories given");
+	}
+
+	const indexes = [];
+	for (const indexDir of indexDirs) {
+		indexes.push({
+			name: indexDir,
+			indexer: await loadIndex(indexDir, indexerOptions),
+		});
+	}
+	checkCompatible(indexes);
+	return indexes;
 }
 
 /**
@@ -87,9 +421,31 @@ export async function query(indexDir, queryText, options = {}) {
  * @param {string[]} [options.extensions=['.txt','.md']] - File extensions
  * @param {boolean} [options.recursive=false] - Scan recursively
  * @param {string} [options.model='nomic-embed-text'] - Embedding model
+ * @param {string} [options.baseUrl] - Embedding server URL (provider default if omitted)
+ * @param {string|Function|Object} [options.provider='ollama'] - Provider name, embedder class or instance
+ * @param {Object} [options.embedder] - Embedder instance or provider options
+ * @param {number} [options.batchSize=32] - Chunks per embedding request
+ * @param {number} [options.concurrency=2] - Parallel embedding requests
+ * @param {number} [options.timeout=30000] - Embedding request timeout (ms)
+ * @param {number} [options.retries=3] - Retries on transient embedding errors
+ * @param {string} [options.apiKey] - Bearer token (also headers, proxy, ca, cert, key; see httpOptions.js)
+ * @param {boolean|string} [options.cache=true] - Reuse embeddings from embedding_cache.bin (false to disable)
+ * @param {string} [options.documentPrompt] - Template for chunks (default per model, e.g. 'search_document: ')
+ * @param {string} [options.queryPrompt] - Template for queries (default per model, e.g. 'search_query: ')
+ * @param {number} [options.contextLength] - Model context window in tokens (default per model)
+ * @param {string} [options.overflow='split'] - Chunks over the context window: 'split', 'pool' or 'warn'
+ * @param {number} [options.dimensions] - Keep only the first N embedding dimensions (Matryoshka models)
+ * @param {string} [options.indexType='IP'] - 'IP', 'L2' or a faiss factory string ('HNSW32', 'IVF1024,PQ64')
+ * @param {string} [options.metric='IP'] - Metric for factory index types: 'IP' or 'L2'
+ * @param {number} [options.trainingSize] - Vectors used to train IVF/PQ indexes
+ * @param {number} [options.nprobe] - IVF lists searched per query
+ * @param {number} [options.efSearch] - HNSW candidates per query
  * @param {string} [options.splitter='recursive'] - Splitter type (recursive, character, markdown, code)
+ * @param {boolean} [options.resume=false] - Continue an interrupted build from its checkpoint
+ * @param {number} [options.checkpointInterval=30000] - Minimum time between checkpoints (ms)
+ * @param {number} [options.keepSnapshots=5] - Save into versioned snapshots and keep this many (0 writes the files in place)
  * @param {Function} [options.onProgress] - Progress callback(current, total)
- * @returns {Promise<{vectors, time}>}
+ * @returns {Promise<{vectors, time, retries, resumed, cache, oversized}>}
  *
  * @example
  * const result = await build('./documents', './output', { chunkSize: 1000 });
@@ -102,9 +458,10 @@ export async function build(inputDir, outputDir, options = {}) {
 		extensions = [".txt", ".md"],
 		recursive = false,
 		model = "nomic-embed-text",
-		baseUrl = "http://localhost:11434",
 		splitter = "recursive",
 		onProgress,
+		// Remaining options (provider, baseUrl, batchSize, ...) go to FaissIndexer
+		...indexerOptions
 	} = options;
 
 	// Create output directory
@@ -112,9 +469,123 @@ export async function build(inputDir, outputDir, options = {}) {
 		fs.mkdirSync(outputDir, { recursive: true });
 	}
 
+	// Hashes let update() find changed files later
+	const docCachePath = path.join(outputDir, "doc_index_cache.json");
+	await generateDocCache(inputDir, docCachePath, { extensions, recursive });
+
 	// Generate metadata
-	const metadata = [];
 	const files = getFiles(inputDir, extensions, recursive);
+	const metadata = await chunkFiles(inputDir, files, {
+		chunkSize,
+		chunkOverlap,
+		splitter,
+	});
+
+	// Save metadata
+	const metadataPath = path.join(outputDir, "metadata.json");
+	fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+
+	// Build index
+	const indexer = new FaissIndexer({
+		indexType: "IP",
+		keepSnapshots: DEFAULT_KEEP_SNAPSHOTS,
+		...indexerOptions,
+		model,
+		chunking: { splitter, chunkSize, chunkOverlap, extensions, recursive },
+	});
+
+	const indexPath = path.join(outputDir, "index.bin");
+	return indexer.build(metadataPath, indexPath, onProgress);
+}
+
+/**
+ * Update an index built with build(), re-embedding only changed files
+ * Chunks of modified and deleted files are removed from the index, added and
+ * modified files are re-chunked and embedded, and index_metadata.json,
+ * metadata.json and doc_index_cache.json are rewritten to match.
+ * Approximate indexes (IVF, HNSW) are retrained on the updated vectors.
+ *
+ * @param {string} inputDir - Directory containing documents
+ * @param {string} outputDir - Directory containing the index to update
+ * @param {Object} [options] - Same as build(); model, index type, chunking and
+ *   the files scanned (extensions, recursive) default to the ones recorded in
+ *   the index manifest
+ * @returns {Promise<{vectors, added, removed, time, retries, cache, oversized, changes}>}
+ *
+ * @example
+ * const result = await update('./documents', './output');
+ * console.log(`${result.changes.modified.length} files changed`);
+ */
+export async function update(inputDir, outputDir, options = {}) {
+	const indexPath = path.join(outputDir, "index.bin");
+	const { chunking = {} } = readManifest(resolveIndexPath(indexPath)) || {};
+	const {
+		chunkSize = chunking.chunkSize ?? 1500,
+		chunkOverlap = chunking.chunkOverlap ?? 200,
+		extensions = chunking.extensions ?? [".txt", ".md"],
+		recursive = chunking.recursive ?? false,
+		splitter = chunking.splitter ?? "recursive",
+		onProgress,
+		...indexerOptions
+	} = options;
+
+	const docCachePath = path.join(outputDir, "doc_index_cache.json");
+	const metadataPath = path.join(outputDir, "metadata.json");
+	const previous = fs.existsSync(metadataPath)
+		? JSON.parse(fs.readFileSync(metadataPath, "utf-8"))
+		: [];
+	const docCache = loadDocCache(
+		docCachePath,
+		previous.map((item) => item.doc)
+	);
+
+	if (!fs.existsSync(resolveIndexPath(indexPath)) || !docCache) {
+		throw new Error(
+			`No index to update in ${outputDir}. Run build() first`
+		);
+	}
+
+	const changes = await detectChanges(inputDir, docCache, {
+		extensions,
+		recursive,
+	});
+	const changed = [...changes.added, ...changes.modified];
+	const removeDocs = [...changes.modified, ...changes.removed];
+
+	const added = await chunkFiles(
+		inputDir,
+		changed.map((file) => path.join(inputDir, file)),
+		{ chunkSize, chunkOverlap, splitter }
+	);
+
+	const indexer = new FaissIndexer({
+		keepSnapshots: DEFAULT_KEEP_SNAPSHOTS,
+		...indexerOptions,
+		chunking: { splitter, chunkSize, chunkOverlap, extensions, recursive },
+	});
+	const result = await indexer.update(
+		indexPath,
+		{ add: added, removeDocs },
+		onProgress
+	);
+
+	// Keep the raw chunks and file hashes in step with the index
+	const metadata = previous
+		.filter((item) => !removeDocs.includes(item.doc))
+		.concat(added);
+	fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+	await generateDocCache(inputDir, docCachePath, { extensions, recursive });
+
+	return { ...result, changes };
+}
+
+// Helper: split files into chunks with ids derived from their relative path
+async function chunkFiles(
+	inputDir,
+	files,
+	{ chunkSize, chunkOverlap, splitter }
+) {
+	const metadata = [];
 
 	for (const filePath of files) {
 		const relativePath = path.relative(inputDir, filePath);
@@ -139,19 +610,7 @@ export async function build(inputDir, outputDir, options = {}) {
 		}
 	}
 
-	// Save metadata
-	const metadataPath = path.join(outputDir, "metadata.json");
-	fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
-
-	// Build index
-	const indexer = new FaissIndexer({
-		indexType: "IP",
-		model,
-		baseUrl,
-	});
-
-	const indexPath = path.join(outputDir, "index.bin");
-	return indexer.build(metadataPath, indexPath, onProgress);
+	return metadata;
 }
 
 // Helper: get files from directory
@@ -0,0 +1,233 @@
+/**
+ * Base Embedder
+ * Defines the embedding provider interface used by FaissIndexer.
+ *
+ * A provider must implement:
+ * - embed(text)              -> Promise<Float32Array>
+ * - embedBatch(texts, cb)    -> Promise<Float32Array[]>
+ * - healthCheck()            -> Promise<{ok: boolean, message: string}>
+ * - dimension                -> number (vector size, null until detected)
+ *
+ * Extend this class to get default embedBatch/healthCheck/normalize.
+ * Providers with a native batch endpoint override _embedMany(texts).
+ * HTTP providers wrap requests in _withRetry(fn) for backoff and circuit breaking.
+ */
+
+import { withRetry, CircuitBreaker } from "./retry.js";
+
+export class BaseEmbedder {
+	/**
+	 * Create a BaseEmbedder instance
+	 * @param {Object} [options]
+	 * @param {string} [options.model] - Embedding model
+	 * @param {number} [options.dimension] - Embedding dimension (detected by probing if omitted)
+	 * @param {number} [options.batchSize=32] - Texts per embedding request
+	 * @param {number} [options.concurrency=2] - Parallel in-flight requests
+	 * @param {number} [options.timeout=30000] - Per-request timeout (ms)
+	 * @param {number} [options.retries=3] - Retries per request on transient errors
+	 * @param {number} [options.retryDelay=500] - Base backoff delay (ms)
+	 * @param {number} [options.maxRetryDelay=10000] - Maximum backoff delay (ms)
+	 * @param {number} [options.circuitBreakerThreshold=5] - Consecutive failed requests before failing fast (0 disables)
+	 * @param {number} [options.circuitBreakerCooldown=30000] - Time to fail fast before trying again (ms)
+	 */
+	constructor(options = {}) {
+		this.model = options.model;
+		this.dimension = options.dimension || null;
+		this._dimensionProbed = false;
+		this.batchSize = Math.max(1, options.batchSize || 32);
+		this.concurrency = Math.max(1, options.concurrency || 2);
+		this.timeout = options.timeout || 30000;
+		this.retryPolicy = {
+			retries: options.retries ?? 3,
+			retryDelay: options.retryDelay ?? 500,
+			maxRetryDelay: options.maxRetryDelay ?? 10000,
+		};
+		this.circuitBreaker = new CircuitBreaker({
+			threshold: options.circuitBreakerThreshold,
+			cooldown: options.circuitBreakerCooldown,
+		});
+		this.retryStats = { requests: 0, retries: 0, failures: 0 };
+	}
+
+	/**
+	 * Generate embedding for text
+	 * @param {string} text
+	 * @returns {Promise<Float32Array>}
+	 */
+	async embed(text) {
+		throw new Error(`${this.constructor.name} must implement embed()`);
+	}
+
+	/**
+	 * Learn the real embedding dimension by embedding a probe text once
+	 * @returns {Promise<number>}
+	 */
+	async detectDimension() {
+		if (this._dimensionProbed) return this.dimension;
+
+		const probe = await this.embed("dimension probe");
+		if (!probe || !probe.length) {
+			throw new Error(
+				`Could not detect embedding dimension: '${this.model}' returned an empty embedding`
+			);
+		}
+
+		this.dimension = probe.length;
+		this._dimensionProbed = true;
+		return this.dimension;
+	}
+
+	/**
+	 * Generate embeddings for multiple texts
+	 * Splits texts into batches of batchSize and runs up to
+	 * concurrency batches in parallel. Results keep input order.
+	 *
+	 * @param {string[]} texts
+	 * @param {Function} [onProgress] - Callback (current, total)
+	 * @returns {Promise<Float32Array[]>}
+	 */
+	async embedBatch(texts, onProgress) {
+		const batches = [];
+		for (let i = 0; i < texts.length; i += this.batchSize) {
+			batches.push(texts.slice(i, i + this.batchSize));
+		}
+
+		let done = 0;
+		const results = await mapWithConcurrency(
+			batches,
+			this.concurrency,
+			async (batch) => {
+				const embeddings = await this._embedMany(batch);
+				if (embeddings.length !== batch.length) {
+					throw new Error(
+						`Invalid response: expected ${batch.length} embeddings, got ${embeddings.length}`
+					);
+				}
+				done += batch.length;
+				if (onProgress) onProgress(done, texts.length);
+				return embeddings;
+			}
+		);
+
+		return results.flat();
+	}
+
+	/**
+	 * Embed one batch of texts
+	 * Default implementation calls embed() for each text.
+	 * @protected
+	 * @param {string[]} texts
+	 * @returns {Promise<Float32Array[]>}
+	 */
+	async _embedMany(texts) {
+		const embeddings = [];
+		for (const text of texts) {
+			embeddings.push(await this.embed(text));
+		}
+		return embeddings;
+	}
+
+	/**
+	 * Run a request with the retry policy and circuit breaker
+	 * @protected
+	 * @param {Function} fn - Async request function
+	 * @returns {Promise<*>}
+	 */
+	async _withRetry(fn) {
+		this.circuitBreaker.check();
+		this.retryStats.requests++;
+
+		try {
+			const result = await withRetry(fn, {
+				...this.retryPolicy,
+				onRetry: () => this.retryStats.retries++,
+			});
+			this.circuitBreaker.recordSuccess();
+			return result;
+		} catch (error) {
+			this.retryStats.failures++;
+			this.circuitBreaker.recordFailure(error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Check if the provider is reachable
+	 * @returns {Promise<{ok: boolean, message: string}>}
+	 */
+	async healthCheck() {
+		return { ok: true, message: `${this.constructor.name} ready` };
+	}
+
+	/**
+	 * Normalize vector for cosine similarity
+	 * @param {Float32Array} vec
+	 * @returns {Float32Array}
+	 */
+	normalize(vec) {
+		return normalizeVector(vec);
+	}
+}
+
+/**
+ * Normalize vector to unit length
+ * @param {Float32Array} vec
+ * @returns {Float32Array}
+ */
+export function normalizeVector(vec) {
+	let norm = 0;
+	for (let i = 0; i < vec.length; i++) {
+		norm += vec[i] * vec[i];
+	}
+	norm = Math.sqrt(norm);
+
+	if (norm === 0) return vec;
+
+	const result = new Float32Array(vec.length);
+	for (let i = 0; i < vec.length; i++) {
+		result[i] = vec[i] / norm;
+	}
+	return result;
+}
+
+/**
+ * Map items through an async function with at most `limit` in flight
+ * @param {Array} items
+ * @param {number} limit - Maximum parallel calls
+ * @param {Function} fn - Async mapper (item, index)
+ * @returns {Promise<Array>} - Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+	const results = new Array(items.length);
+	let next = 0;
+
+	async function worker() {
+		while (next < items.length) {
+			const i = next++;
+			results[i] = await fn(items[i], i);
+		}
+	}
+
+	const workers = [];
+	for (let w = 0; w < Math.min(limit, items.length); w++) {
+		workers.push(worker());
+	}
+	await Promise.all(workers);
+
+	return results;
+}
+
+/**
+ * Check whether a value implements the embedder interface
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isEmbedder(value) {
+	return (
+		value != null &&
+		typeof value === "object" &&
+		typeof value.embed === "function"
+	);
+}
+
+export default BaseEmbedder;
@@ -0,0 +1,164 @@
+/**
+ * BM25 Keyword Index
+ * Inverted index over chunk text for exact terms that embeddings miss:
+ * identifiers, error codes, function names.
+ *
+ * Saved as index_bm25.json next to index.bin and rebuilt from the chunk
+ * metadata whenever the index is saved, so ids always match faiss ids.
+ */
+
+// Okapi BM25 defaults
+const DEFAULT_K1 = 1.2;
+const DEFAULT_B = 0.75;
+
+/**
+ * Split text into lowercase search terms
+ * Identifiers are kept whole and also split into their parts, so
+ * 'getUserById' matches 'getUserById', 'user' and 'id', and
+ * 'ERR_CONN_RESET' matches 'err_conn_reset' and 'reset'.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+	const terms = [];
+	for (const word of String(text || "").match(/[\p{L}\p{N}_]+/gu) || []) {
+		terms.push(word.toLowerCase());
+
+		const parts = word
+			.replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, "$1 $2")
+			.replace(/(\p{Lu})(\p{Lu}\p{Ll})/gu, "$1 $2")
+			.split(/[\s_]+/)
+			.filter(Boolean);
+		if (parts.length > 1) {
+			terms.push(...parts.map((part) => part.toLowerCase()));
+		}
+	}
+	return terms;
+}
+
+export class BM25Index {
+	/**
+	 * Create a BM25Index instance
+	 * @param {Object} [options]
+	 * @param {number} [options.k1=1.2] - Term frequency saturation
+	 * @param {number} [options.b=0.75] - Length normalization
+	 */
+	constructor(options = {}) {
+		this.k1 = options.k1 ?? DEFAULT_K1;
+		this.b = options.b ?? DEFAULT_B;
+		this.lengths = [];
+		this.postings = new Map(); // term -> [[id, tf], ...]
+		this.totalLength = 0;
+	}
+
+	/**
+	 * Build an index over texts, using their positions as ids
+	 * @param {string[]} texts
+	 * @param {Object} [options] - See constructor
+	 * @returns {BM25Index}
+	 */
+	static fromTexts(texts, options = {}) {
+		const index = new BM25Index(options);
+		texts.forEach((text) => index.add(text));
+		return index;
+	}
+
+	/**
+	 * Number of indexed texts
+	 * @returns {number}
+	 */
+	get size() {
+		return this.lengths.length;
+	}
+
+	/**
+	 * Add a text; its id is the next position
+	 * @param {string} text
+	 * @returns {number} - Id of the text
+	 */
+	add(text) {
+		const id = this.lengths.length;
+		const terms = tokenize(text);
+
+		const counts = new Map();
+		for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+		for (const [term, tf] of counts) {
+			if (!this.postings.has(term)) this.postings.set(term, []);
+			this.postings.get(term).push([id, tf]);
+		}
+
+		this.lengths.push(terms.length);
+		this.totalLength += terms.length;
+		return id;
+	}
+
+	/**
+	 * Rank texts by BM25 score
+	 *
+	 * @param {string} query
+	 * @param {number} [k=5] - Number of results
+	 * @param {Function} [accept] - (id) => boolean, to restrict results
+	 * @returns {Array<{id: number, score: number}>} - Best first, only texts sharing a term
+	 */
+	search(query, k = 5, accept) {
+		const n = this.size;
+		if (n === 0) return [];
+
+		const avgLength = this.totalLength / n || 1;
+		const scores = new Map();
+
+		for (const term of new Set(tokenize(query))) {
+			const postings = this.postings.get(term);
+			if (!postings) continue;
+
+			const idf = Math.log(
+				1 + (n - postings.length + 0.5) / (postings.length + 0.5)
+			);
+			for (const [id, tf] of postings) {
+				if (accept && !accept(id)) continue;
+				const norm =
+					tf +
+					this.k1 *
+						(1 - this.b + (this.b * this.lengths[id]) / avgLength);
+				scores.set(
+					id,
+					(scores.get(id) || 0) + (idf * (tf * (this.k1 + 1))) / norm
+				);
+			}
+		}
+
+		return [...scores]
+			.map(([id, score]) => ({ id, score }))
+			.sort((a, b) => b.score - a.score || a.id - b.id)
+			.slice(0, k);
+	}
+
+	/**
+	 * Serializable form
+	 * @returns {Object}
+	 */
+	toJSON() {
+		return {
+			k1: this.k1,
+			b: this.b,
+			lengths: this.lengths,
+			postings: Object.fromEntries(this.postings),
+		};
+	}
+
+	/**
+	 * Restore from toJSON() output
+	 * @param {Object} data
+	 * @returns {BM25Index}
+	 */
+	static fromJSON(data) {
+		const index = new BM25Index(data);
+		index.lengths = data.lengths;
+		index.postings = new Map(Object.entries(data.postings));
+		index.totalLength = data.lengths.reduce((sum, len) => sum + len, 0);
+		return index;
+	}
+}
+
+export default BM25Index;
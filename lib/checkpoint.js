@@ -0,0 +1,202 @@
+/**
+ * Build Checkpoint
+ * Progress of a running build, saved periodically next to index.bin so an
+ * interrupted build can be resumed: index_checkpoint.jsonl (metadata of the
+ * processed chunks, one JSON line each), index_checkpoint.fvecs (their
+ * vectors) and index_checkpoint.json (a small progress record). Each save
+ * appends what was added since the last one and then replaces the progress
+ * record, so saves stay cheap however large the build grows.
+ *
+ * Checkpoints carry a fingerprint of the input metadata and the settings
+ * that shape the vectors; a build only resumes from a matching one. Both
+ * files are removed once the index is saved.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { writeVectors, appendVectors, readVectors } from "./vectorStore.js";
+
+const CHECKPOINT_VERSION = 2;
+
+/**
+ * Paths of the checkpoint files belonging to an index file
+ * @param {string} indexPath - Path to index.bin
+ * @returns {{state: string, metadata: string, vectors: string}}
+ */
+export function getCheckpointPaths(indexPath) {
+	return {
+		state: indexPath.replace(".bin", "_checkpoint.json"),
+		metadata: indexPath.replace(".bin", "_checkpoint.jsonl"),
+		vectors: indexPath.replace(".bin", "_checkpoint.fvecs"),
+	};
+}
+
+/**
+ * Fingerprint of a build's input
+ * @param {Array<Object>} metadata - Parsed metadata.json
+ * @param {Object} settings - Settings that change the vectors (model, prompt, ...)
+ * @returns {string} - SHA-256 hex digest
+ */
+export function getFingerprint(metadata, settings) {
+	return crypto
+		.createHash("sha256")
+		.update(JSON.stringify({ settings, metadata }))
+		.digest("hex");
+}
+
+/**
+ * Cut a checkpoint file back to the size its progress record names
+ * @private
+ */
+function truncateTo(filePath, size) {
+	const actual = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+	if (actual < size) {
+		throw new Error(`Checkpoint file is incomplete: ${filePath}`);
+	}
+	if (actual > size) fs.truncateSync(filePath, size);
+}
+
+export class BuildCheckpoint {
+	/**
+	 * Create a BuildCheckpoint instance
+	 * @param {string} indexPath - Path to the index.bin being built
+	 */
+	constructor(indexPath) {
+		this.paths = getCheckpointPaths(indexPath);
+		// Entries already in the files; later saves only append
+		this.saved = { metadata: 0, metadataBytes: 0, vectors: 0 };
+	}
+
+	/**
+	 * Check whether a checkpoint exists on disk
+	 * @returns {boolean}
+	 */
+	exists() {
+		return fs.existsSync(this.paths.state);
+	}
+
+	/**
+	 * Read the checkpoint
+	 * Entries appended after the last progress record are dropped.
+	 *
+	 * @returns {{fingerprint: string, dimension: number, done: number, metadata: Array<Object>, vectors: Float32Array[]}|null}
+	 *   - done: pending chunks processed; null when there is no checkpoint
+	 */
+	load() {
+		if (!this.exists()) return null;
+
+		let state;
+		try {
+			state = JSON.parse(fs.readFileSync(this.paths.state, "utf-8"));
+		} catch (error) {
+			throw new Error(
+				`Invalid checkpoint ${this.paths.state}: ${error.message}`
+			);
+		}
+		if (state.version !== CHECKPOINT_VERSION) {
+			throw new Error(
+				`Unsupported checkpoint version ${state.version} in ${this.paths.state}`
+			);
+		}
+
+		const size = state.vectors * (4 + state.dimension * 4);
+		truncateTo(this.paths.vectors, size);
+		truncateTo(this.paths.metadata, state.metadataBytes);
+
+		const vectors = size > 0 ? readVectors(this.paths.vectors) : [];
+		const metadata =
+			state.metadataBytes > 0
+				? fs
+						.readFileSync(this.paths.metadata, "utf-8")
+						.split("\n")
+						.filter(Boolean)
+						.map((line) => JSON.parse(line))
+				: [];
+		this.saved = {
+			metadata: metadata.length,
+			metadataBytes: state.metadataBytes,
+			vectors: vectors.length,
+		};
+
+		return {
+			fingerprint: state.fingerprint,
+			dimension: state.dimension,
+			done: state.done,
+			metadata,
+			vectors,
+		};
+	}
+
+	/**
+	 * Save progress
+	 * Only metadata and vectors added since the last save are written; the
+	 * progress record is replaced atomically afterwards, so a crash mid-save
+	 * leaves the previous checkpoint.
+	 *
+	 * @param {Object} state
+	 * @param {string} state.fingerprint - From getFingerprint()
+	 * @param {number} state.dimension - Vector dimension
+	 * @param {number} state.done - Pending chunks processed
+	 * @param {Array<Object>} state.metadata - Index metadata so far
+	 * @param {Float32Array[]} state.vectors - Vectors so far, aligned with metadata
+	 * @param {number} [state.count] - Entries of metadata and vectors to save (default: all)
+	 */
+	save({ fingerprint, dimension, done, metadata, vectors, count }) {
+		const dir = path.dirname(this.paths.state);
+		if (!fs.existsSync(dir)) {
+			fs.mkdirSync(dir, { recursive: true });
+		}
+
+		const metadataEnd = Math.min(count ?? Infinity, metadata.length);
+		const vectorsEnd = Math.min(count ?? Infinity, vectors.length);
+
+		// Start over after a checkpoint written by another run
+		if (this.saved.vectors === 0) writeVectors(this.paths.vectors, []);
+		if (this.saved.metadata === 0) {
+			fs.writeFileSync(this.paths.metadata, "");
+			this.saved.metadataBytes = 0;
+		}
+
+		appendVectors(
+			this.paths.vectors,
+			vectors.slice(this.saved.vectors, vectorsEnd)
+		);
+		const lines = metadata
+			.slice(this.saved.metadata, metadataEnd)
+			.map((item) => JSON.stringify(item) + "\n")
+			.join("");
+		fs.appendFileSync(this.paths.metadata, lines);
+		this.saved = {
+			metadata: metadataEnd,
+			metadataBytes: this.saved.metadataBytes + Buffer.byteLength(lines),
+			vectors: vectorsEnd,
+		};
+
+		const tmpPath = `${this.paths.state}.tmp`;
+		fs.writeFileSync(
+			tmpPath,
+			JSON.stringify({
+				version: CHECKPOINT_VERSION,
+				fingerprint,
+				dimension,
+				done,
+				vectors: this.saved.vectors,
+				metadataBytes: this.saved.metadataBytes,
+			})
+		);
+		fs.renameSync(tmpPath, this.paths.state);
+	}
+
+	/**
+	 * Delete the checkpoint files
+	 */
+	remove() {
+		for (const filePath of Object.values(this.paths)) {
+			fs.rmSync(filePath, { force: true });
+		}
+		this.saved = { metadata: 0, metadataBytes: 0, vectors: 0 };
+	}
+}
+
+export default BuildCheckpoint;
@@ -0,0 +1,130 @@
+/**
+ * Context Length
+ * Embedding models silently truncate input beyond their context window.
+ * Detects oversized chunks and re-splits or pools them so no text is lost.
+ */
+
+import { findModelFamily, applyPrompt } from "./prompts.js";
+import { splitTextByFileType } from "./textSplitter.js";
+
+/**
+ * Rough characters per token. Deliberately low so estimates err on the
+ * side of treating a chunk as too long (code and non-English text tokenize densely).
+ */
+export const CHARS_PER_TOKEN = 3;
+
+/**
+ * Context window in tokens by model family
+ */
+export const MODEL_CONTEXT_LENGTHS = {
+	"nomic-embed-text": 8192,
+	"mxbai-embed-large": 512,
+	"all-minilm": 256,
+	"snowflake-arctic-embed": 512,
+	"bge-m3": 8192,
+};
+
+/**
+ * What to do with chunks that exceed the context window
+ */
+export const OVERFLOW_POLICIES = {
+	SPLIT: "split", // Re-split into smaller chunks, each indexed separately
+	POOL: "pool", // Embed sub-windows and index their mean as one vector
+	WARN: "warn", // Embed as-is (provider truncates) and report
+};
+
+/**
+ * Get the context window of a model
+ * @param {string} model - Embedding model name
+ * @returns {number|null} - Tokens, or null if unknown
+ */
+export function getContextLength(model) {
+	const family = findModelFamily(model, Object.keys(MODEL_CONTEXT_LENGTHS));
+	return family ? MODEL_CONTEXT_LENGTHS[family] : null;
+}
+
+/**
+ * Estimate the token count of text
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+	return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Tokens left for chunk text once the document prompt is applied
+ * @param {number} contextLength - Context window in tokens
+ * @param {string} [prompt=''] - Document prompt
+ * @returns {number}
+ */
+export function getChunkBudget(contextLength, prompt = "") {
+	return Math.max(1, contextLength - estimateTokens(applyPrompt(prompt, "")));
+}
+
+/**
+ * Texts a chunk is embedded as under the pool policy: its sub-windows when
+ * it exceeds maxTokens, else the chunk itself
+ * Builds, re-embedding and cache pruning all go through this, so the
+ * embedding cache keys of pooled chunks always match.
+ *
+ * @param {string} text - Chunk text
+ * @param {number} maxTokens - Token budget per window, from getChunkBudget()
+ * @param {string} [filePath] - Source file (selects the splitter)
+ * @returns {Promise<string[]>}
+ */
+export async function getPoolWindows(text, maxTokens, filePath = "") {
+	if (estimateTokens(text) <= maxTokens) return [text];
+	return splitToContext(text, maxTokens, filePath);
+}
+
+/**
+ * Split text into pieces that each fit within maxTokens
+ *
+ * @param {string} text - Text to split
+ * @param {number} maxTokens - Token budget per piece
+ * @param {string} [filePath] - Source file (selects the splitter)
+ * @returns {Promise<string[]>}
+ */
+export async function splitToContext(text, maxTokens, filePath = "") {
+	const maxChars = Math.max(1, maxTokens * CHARS_PER_TOKEN);
+	const pieces = await splitTextByFileType(text, filePath, {
+		chunkSize: maxChars,
+		chunkOverlap: Math.floor(maxChars / 10),
+	});
+
+	// Splitters can leave long runs without separators intact
+	return pieces.flatMap((piece) => {
+		if (piece.length <= maxChars) return [piece];
+		const slices = [];
+		for (let i = 0; i < piece.length; i += maxChars) {
+			slices.push(piece.slice(i, i + maxChars));
+		}
+		return slices;
+	});
+}
+
+/**
+ * Average vectors element-wise
+ * @param {Array<Float32Array|number[]>} vectors - Non-empty, same length
+ * @returns {Float32Array}
+ */
+export function meanPool(vectors) {
+	const pooled = new Float32Array(vectors[0].length);
+	for (const vec of vectors) {
+		for (let i = 0; i < pooled.length; i++) pooled[i] += vec[i];
+	}
+	for (let i = 0; i < pooled.length; i++) pooled[i] /= vectors.length;
+	return pooled;
+}
+
+export default {
+	getContextLength,
+	estimateTokens,
+	getChunkBudget,
+	getPoolWindows,
+	splitToContext,
+	meanPool,
+	MODEL_CONTEXT_LENGTHS,
+	OVERFLOW_POLICIES,
+};
@@ -1,6 +1,8 @@
 /**
  * Document Cache Generator
  * Generates MD5 hashes for files to detect changes.
+ * Files are keyed by their path relative to the scanned directory,
+ * matching the `doc` field of the index metadata.
  */
 
 import fs from "fs";
@@ -30,7 +32,7 @@ export async function getFileHash(filePath) {
  * @param {Object} [options] - Options
  * @param {string[]} [options.extensions] - File extensions to include
  * @param {boolean} [options.recursive=false] - Scan subdirectories
- * @returns {Promise<Object>} - Cache object { filename: hash }
+ * @returns {Promise<Object>} - Cache object { relativePath: hash }
  *
  * @example
  * const cache = await generateDocCache('./documents', './cache.json', {
@@ -49,7 +51,7 @@ export async function generateDocCache(dirPath, outputPath, options = {}) {
 
 	for (const filePath of files) {
 		const hash = await getFileHash(filePath);
-		const key = path.basename(filePath);
+		const key = path.relative(dirPath, filePath);
 		cache[key] = hash;
 	}
 
@@ -65,16 +67,41 @@ export async function generateDocCache(dirPath, outputPath, options = {}) {
 
 /**
  * Load existing cache file
+ * Caches of earlier versions are keyed by file name; given the indexed
+ * documents, those keys are moved to the documents' relative paths.
  * @param {string} cachePath - Path to cache file
+ * @param {string[]} [docs] - Relative paths of the indexed documents
  * @returns {Object|null} - Cache object or null
  */
-export function loadDocCache(cachePath) {
+export function loadDocCache(cachePath, docs = []) {
 	if (fs.existsSync(cachePath)) {
-		return JSON.parse(fs.readFileSync(cachePath, "utf-8"));
+		return migrateDocCache(
+			JSON.parse(fs.readFileSync(cachePath, "utf-8")),
+			docs
+		);
 	}
 	return null;
 }
 
+/**
+ * Re-key file-name entries by the relative path of the documents they belong to
+ * Documents sharing a file name all get its one hash; those that differ are
+ * reported as modified and re-indexed.
+ */
+function migrateDocCache(cache, docs) {
+	const indexed = new Set(docs);
+	const migrated = { ...cache };
+
+	for (const doc of indexed) {
+		const name = path.basename(doc);
+		if (name === doc || doc in cache || !(name in cache)) continue;
+		migrated[doc] = cache[name];
+		if (!indexed.has(name)) delete migrated[name];
+	}
+
+	return migrated;
+}
+
 /**
  * Detect changes between files and cached hashes
  * @param {string} dirPath - Directory to scan
@@ -90,7 +117,7 @@ export async function detectChanges(dirPath, existingCache, options = {}) {
 	const currentFiles = new Set();
 
 	for (const filePath of files) {
-		const key = path.basename(filePath);
+		const key = path.relative(dirPath, filePath);
 		currentFiles.add(key);
 
 		const hash = await getFileHash(filePath);
@@ -1,21 +1,48 @@
 /**
  * Ollama Embedder
  * Uses nomic-embed-text model for generating embeddings.
+ * Several Ollama hosts can share the load (see HostPool).
  */
 
 import axios from "axios";
+import { BaseEmbedder } from "./baseEmbedder.js";
+import { HostPool, parseHosts } from "./hostPool.js";
+import { createRequestConfig } from "./httpOptions.js";
 
-export class OllamaEmbedder {
+export class OllamaEmbedder extends BaseEmbedder {
 	/**
 	 * Create an OllamaEmbedder instance
 	 * @param {Object} [options]
-	 * @param {string} [options.baseUrl='http://localhost:11434'] - Ollama server URL
+	 * @param {string|string[]} [options.baseUrl='http://localhost:11434'] - Ollama server URL,
+	 *   or several as an array / comma-separated list
+	 * @param {string} [options.scheduling='round-robin'] - Host choice: 'round-robin' or 'least-busy'
+	 * @param {number} [options.maxHostFailures=3] - Consecutive failures before a host is taken out of rotation
 	 * @param {string} [options.model='nomic-embed-text'] - Embedding model
+	 * @param {number} [options.batchSize=32] - Texts per /api/embed request
+	 * @param {number} [options.concurrency=2] - Parallel in-flight requests
+	 * @param {number} [options.timeout=30000] - Per-request timeout (ms)
+	 * @param {number} [options.retries=3] - Retries on timeouts, 5xx and model loading
+	 * @param {string} [options.apiKey] - Bearer token (env: EMBEDDING_API_KEY)
+	 * @param {Object|string} [options.headers] - Extra request headers (env: EMBEDDING_HEADERS)
+	 * @param {string|false} [options.proxy] - HTTP(S) proxy URL (env: EMBEDDING_PROXY, HTTPS_PROXY)
+	 * @param {string} [options.ca] - CA certificate, PEM path or text (env: EMBEDDING_CA_CERT)
+	 * @param {string} [options.cert] - Client certificate (env: EMBEDDING_CLIENT_CERT)
+	 * @param {string} [options.key] - Client key (env: EMBEDDING_CLIENT_KEY)
+	 * @param {boolean} [options.rejectUnauthorized=true] - Verify server certificates
+	 * @param {boolean} [options.keepAlive=true] - Reuse connections between requests
 	 */
 	constructor(options = {}) {
-		this.baseUrl = options.baseUrl || "http://localhost:11434";
+		super(options);
+		this.hostPool = new HostPool(
+			parseHosts(options.baseUrl || "http://localhost:11434"),
+			{
+				scheduling: options.scheduling,
+				maxFailures: options.maxHostFailures,
+			}
+		);
+		this.baseUrl = this.hostPool.hosts[0].url;
 		this.model = options.model || "nomic-embed-text";
-		this.dimension = 768;
+		this.requestConfig = createRequestConfig(options);
 	}
 
 	/**
@@ -25,10 +52,14 @@ export class OllamaEmbedder {
 	 */
 	async embed(text) {
 		try {
-			const response = await axios.post(
-				`${this.baseUrl}/api/embeddings`,
-				{ model: this.model, prompt: text },
-				{ timeout: 30000 }
+			const response = await this._withRetry(() =>
+				this.hostPool.run((url) =>
+					axios.post(
+						`${url}/api/embeddings`,
+						{ model: this.model, prompt: text },
+						{ ...this.requestConfig, timeout: this.timeout }
+					)
+				)
 			);
 
 			if (!response.data?.embedding) {
@@ -37,44 +68,114 @@ export class OllamaEmbedder {
 
 			return new Float32Array(response.data.embedding);
 		} catch (error) {
-			if (error.code === "ECONNREFUSED") {
-				throw new Error(
-					`Ollama not running at ${this.baseUrl}. Start with: ollama serve`
-				);
-			}
-			if (error.response?.status === 404) {
-				throw new Error(
-					`Model '${this.model}' not found. Run: ollama pull ${this.model}`
-				);
-			}
-			throw new Error(`Embedding failed: ${error.message}`);
+			throw this._wrapError(error);
 		}
 	}
 
 	/**
-	 * Generate embeddings for multiple texts
+	 * Embed one batch of texts with a single /api/embed request
+	 * @protected
 	 * @param {string[]} texts
-	 * @param {Function} [onProgress] - Callback (current, total)
 	 * @returns {Promise<Float32Array[]>}
 	 */
-	async embedBatch(texts, onProgress) {
-		const embeddings = [];
+	async _embedMany(texts) {
+		try {
+			const response = await this._withRetry(() =>
+				this.hostPool.run(
+					(url) =>
+						axios.post(
+							`${url}/api/embed`,
+							{ model: this.model, input: texts },
+							{ ...this.requestConfig, timeout: this.timeout }
+						),
+					texts.length
+				)
+			);
 
-		for (let i = 0; i < texts.length; i++) {
-			embeddings.push(await this.embed(texts[i]));
-			if (onProgress) onProgress(i + 1, texts.length);
+			const embeddings = response.data?.embeddings;
+			if (!Array.isArray(embeddings)) {
+				throw new Error("Invalid response: missing embeddings");
+			}
+
+			return embeddings.map((e) => new Float32Array(e));
+		} catch (error) {
+			throw this._wrapError(error);
 		}
+	}
 
-		return embeddings;
+	/**
+	 * Convert axios errors into actionable messages
+	 * @private
+	 */
+	_wrapError(error) {
+		if (error.code === "ECONNREFUSED") {
+			return new Error(
+				`Ollama not running at ${
+					error.host || this.baseUrl
+				}. Start with: ollama serve`
+			);
+		}
+		if (error.response?.status === 404) {
+			return new Error(
+				`Model '${this.model}' not found. Run: ollama pull ${this.model}`
+			);
+		}
+		if ([401, 403].includes(error.response?.status)) {
+			return new Error(
+				`Authentication failed at ${error.host || this.baseUrl} (${
+					error.response.status
+				}). Check the API key or headers`
+			);
+		}
+		return new Error(`Embedding failed: ${error.message}`);
 	}
 
 	/**
-	 * Check if Ollama is running
+	 * Check every host via /api/tags and take failing ones out of rotation
 	 * @returns {Promise<{ok: boolean, message: string}>}
 	 */
 	async healthCheck() {
+		const hosts = this.hostPool.healthyHosts;
+		const results = await Promise.all(
+			hosts.map((host) => this._checkHost(host.url))
+		);
+
+		const failed = hosts.filter((host, i) => !results[i].ok);
+		if (failed.length === hosts.length) return results[0];
+
+		failed.forEach((host) =>
+			this.hostPool.remove(host, results[hosts.indexOf(host)].message)
+		);
+
+		if (hosts.length === 1) return results[0];
+		return {
+			ok: true,
+			message:
+				`Ollama ready with ${this.model} on ${
+					hosts.length - failed.length
+				}/${hosts.length} hosts` +
+				(failed.length
+					? ` (removed: ${failed.map((h) => h.url).join(", ")})`
+					: ""),
+		};
+	}
+
+	/**
+	 * Per-host request counters
+	 * @returns {Array<{url, healthy, removedReason, requests, items, failures, avgLatency}>}
+	 */
+	getHostStats() {
+		return this.hostPool.getStats();
+	}
+
+	/**
+	 * Check one Ollama host
+	 * @private
+	 */
+	async _checkHost(url) {
 		try {
-			const response = await axios.get(`${this.baseUrl}/api/tags`, {
+			const response = await axios.get(`${url}/api/tags`, {
+				...this.requestConfig,
 				timeout: 5000,
 			});
 
@@ -90,33 +191,22 @@ export class OllamaEmbedder {
 
 			return { ok: true, message: `Ollama ready with ${this.model}` };
 		} catch (error) {
+			if (error.response) {
+				return {
+					ok: false,
+					message: this._wrapError(
+						Object.assign(error, { host: url })
+					).message,
+				};
+			}
 			return {
 				ok: false,
-				message: `Ollama not running: ${error.message}`,
+				message: `Ollama not running${
+					this.hostPool.hosts.length > 1 ? ` at ${url}` : ""
+				}: ${error.message}`,
 			};
 		}
 	}
-
-	/**
-	 * Normalize vector for cosine similarity
-	 * @param {Float32Array} vec
-	 * @returns {Float32Array}
-	 */
-	normalize(vec) {
-		let norm = 0;
-		for (let i = 0; i < vec.length; i++) {
-			norm += vec[i] * vec[i];
-		}
-		norm = Math.sqrt(norm);
-
-		if (norm === 0) return vec;
-
-		const result = new Float32Array(vec.length);
-		for (let i = 0; i < vec.length; i++) {
-			result[i] = vec[i] / norm;
-		}
-		return result;
-	}
 }
 
 export default OllamaEmbedder;
@@ -0,0 +1,444 @@
+/**
+ * Embedding Cache
+ * Persists embeddings on disk keyed by hash(model + prompt prefix + chunk text)
+ * so unchanged chunks are not re-embedded on rebuild.
+ *
+ * embedding_cache.bin is an append-only log: after a short file header, each
+ * record is the key (length byte + UTF-8), the dimension as int32 and that
+ * many float32 values. A save appends only the entries added since the last
+ * one, so its cost does not grow with the cache, and the file has no size
+ * limit beyond the disk. Vectors are read from the file when requested; a
+ * record cut off by an interrupted save is ignored and overwritten by the
+ * next save. prune() rewrites the file without the dropped entries.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { readManifest } from "./manifest.js";
+import { resolveIndexPath } from "./snapshots.js";
+import {
+	getContextLength,
+	getChunkBudget,
+	getPoolWindows,
+	OVERFLOW_POLICIES,
+} from "./contextLength.js";
+
+export const EMBEDDING_CACHE_FILE = "embedding_cache.bin";
+
+// JSON cache written by earlier versions, converted on the next save
+const LEGACY_CACHE_FILE = "embedding_cache.json";
+
+const FILE_HEADER = Buffer.from("FECACHE1");
+
+/**
+ * Compute the cache key for a chunk
+ * @param {string} model - Embedding model
+ * @param {string} text - Chunk text
+ * @param {string} [prefix=''] - Prompt prefix applied before embedding
+ * @returns {string} - SHA-256 hex digest
+ */
+export function getEmbeddingKey(model, text, prefix = "") {
+	return crypto
+		.createHash("sha256")
+		.update(`${model}\0${prefix}\0${text}`)
+		.digest("hex");
+}
+
+/**
+ * Name a model in cache keys
+ * The same model name served by another provider (the mock in particular)
+ * gives other vectors, so the provider is part of the name. Ollama's is
+ * left out to keep caches from before providers valid.
+ * @param {string} provider - Provider name
+ * @param {string} model - Embedding model
+ * @returns {string}
+ */
+export function getCacheModel(provider, model) {
+	return provider && provider !== "ollama" ? `${provider}:${model}` : model;
+}
+
+/**
+ * Encode one cache record
+ * @private
+ */
+function encodeRecord(key, embedding) {
+	const keyBytes = Buffer.from(key, "utf-8");
+	if (keyBytes.length > 255) {
+		throw new Error(`Cache key too long: ${key.slice(0, 32)}...`);
+	}
+	const buf = Buffer.alloc(1 + keyBytes.length + 4 + embedding.length * 4);
+	buf.writeUInt8(keyBytes.length, 0);
+	keyBytes.copy(buf, 1);
+	let offset = 1 + keyBytes.length;
+	buf.writeInt32LE(embedding.length, offset);
+	offset += 4;
+	for (let i = 0; i < embedding.length; i++) {
+		buf.writeFloatLE(embedding[i], offset + i * 4);
+	}
+	return buf;
+}
+
+/**
+ * Check whether a cache file uses the JSON format of earlier versions
+ * @private
+ */
+function isJsonFile(filePath) {
+	const fd = fs.openSync(filePath, "r");
+	try {
+		const first = Buffer.alloc(1);
+		fs.readSync(fd, first, 0, 1, 0);
+		return first[0] === 0x7b; // "{"
+	} finally {
+		fs.closeSync(fd);
+	}
+}
+
+export class EmbeddingCache {
+	/**
+	 * Create an EmbeddingCache instance
+	 * @param {string} cachePath - Path to embedding_cache.bin
+	 */
+	constructor(cachePath) {
+		this.cachePath = cachePath;
+		// key -> Float32Array (not saved yet) or {offset, dimension} in the file
+		this.entries = new Map();
+		this.unsaved = new Set();
+		this.hits = 0;
+		this.misses = 0;
+		// Bytes of complete records; anything after it is rewritten on save
+		this.fileSize = 0;
+		// Set when the file must be rewritten rather than appended to
+		this.rewrite = false;
+		this.legacyPath = null;
+	}
+
+	/**
+	 * Load the cache index from disk (missing file = empty cache)
+	 * Only keys and file offsets are read; vectors stay on disk.
+	 * @returns {EmbeddingCache}
+	 */
+	load() {
+		this.entries.clear();
+		this.unsaved.clear();
+		this.fileSize = 0;
+		this.rewrite = false;
+
+		const legacyPath = path.join(
+			path.dirname(this.cachePath),
+			LEGACY_CACHE_FILE
+		);
+		if (fs.existsSync(this.cachePath)) {
+			if (isJsonFile(this.cachePath)) {
+				this._importLegacy(this.cachePath);
+			} else {
+				this._readIndex();
+			}
+		} else if (fs.existsSync(legacyPath)) {
+			this._importLegacy(legacyPath);
+			this.legacyPath = legacyPath;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Scan the record headers of the cache file
+	 * @private
+	 */
+	_readIndex() {
+		const fd = fs.openSync(this.cachePath, "r");
+		try {
+			const size = fs.fstatSync(fd).size;
+			const head = Buffer.alloc(1 + 255 + 4);
+			fs.readSync(fd, head, 0, FILE_HEADER.length, 0);
+			if (!head.subarray(0, FILE_HEADER.length).equals(FILE_HEADER)) {
+				throw new Error(`Invalid embedding cache: ${this.cachePath}`);
+			}
+
+			let position = FILE_HEADER.length;
+			while (position < size) {
+				const read = fs.readSync(fd, head, 0, head.length, position);
+				const keyLength = head.readUInt8(0);
+				if (read < 1 + keyLength + 4) break;
+				const dimension = head.readInt32LE(1 + keyLength);
+				const offset = position + 1 + keyLength + 4;
+				if (dimension <= 0 || offset + dimension * 4 > size) break;
+
+				const key = head.toString("utf-8", 1, 1 + keyLength);
+				this.entries.set(key, { offset, dimension });
+				position = offset + dimension * 4;
+			}
+			this.fileSize = position;
+		} finally {
+			fs.closeSync(fd);
+		}
+	}
+
+	/**
+	 * Read a JSON cache of an earlier version into memory
+	 * @private
+	 */
+	_importLegacy(legacyPath) {
+		const data = JSON.parse(fs.readFileSync(legacyPath, "utf-8"));
+		for (const [key, value] of Object.entries(data.entries || {})) {
+			const buf = Buffer.from(value, "base64");
+			this.entries.set(
+				key,
+				new Float32Array(
+					buf.buffer.slice(
+						buf.byteOffset,
+						buf.byteOffset + buf.byteLength
+					)
+				)
+			);
+			this.unsaved.add(key);
+		}
+		this.rewrite = true;
+	}
+
+	/**
+	 * Read an entry without counting a hit or miss
+	 * @private
+	 */
+	_read(key, fd) {
+		const value = this.entries.get(key);
+		if (!value || value instanceof Float32Array) return value || null;
+
+		const buf = Buffer.alloc(value.dimension * 4);
+		const file = fd ?? fs.openSync(this.cachePath, "r");
+		try {
+			fs.readSync(file, buf, 0, buf.length, value.offset);
+		} finally {
+			if (fd === undefined) fs.closeSync(file);
+		}
+		return new Float32Array(
+			buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength)
+		);
+	}
+
+	/**
+	 * Look up a cached embedding
+	 * @param {string} key - Key from getEmbeddingKey()
+	 * @returns {Float32Array|null}
+	 */
+	get(key) {
+		const embedding = this._read(key);
+		if (!embedding) {
+			this.misses++;
+			return null;
+		}
+
+		this.hits++;
+		return embedding;
+	}
+
+	/**
+	 * Store an embedding
+	 * @param {string} key - Key from getEmbeddingKey()
+	 * @param {Float32Array|number[]} embedding
+	 */
+	set(key, embedding) {
+		this.entries.set(key, Float32Array.from(embedding));
+		this.unsaved.add(key);
+	}
+
+	/**
+	 * Drop every entry whose key is not in keepKeys
+	 * @param {Iterable<string>} keepKeys
+	 * @returns {{kept: number, removed: number}}
+	 */
+	prune(keepKeys) {
+		const keep = new Set(keepKeys);
+		let removed = 0;
+
+		for (const key of [...this.entries.keys()]) {
+			if (!keep.has(key)) {
+				this.entries.delete(key);
+				this.unsaved.delete(key);
+				removed++;
+			}
+		}
+
+		if (removed > 0) this.rewrite = true;
+		return { kept: this.entries.size, removed };
+	}
+
+	/**
+	 * Copy the entries of another cache (entries already present are kept)
+	 * @param {EmbeddingCache} other
+	 * @returns {number} - Entries added
+	 */
+	merge(other) {
+		let added = 0;
+		for (const key of other.entries.keys()) {
+			if (this.entries.has(key)) continue;
+			this.set(key, other._read(key));
+			added++;
+		}
+		return added;
+	}
+
+	/**
+	 * Write entries added since the last save
+	 * Appends them to the file, or rewrites it after prune() and when
+	 * converting a JSON cache.
+	 */
+	save() {
+		if (this.unsaved.size === 0 && !this.rewrite) return;
+
+		const dir = path.dirname(this.cachePath);
+		if (!fs.existsSync(dir)) {
+			fs.mkdirSync(dir, { recursive: true });
+		}
+
+		if (this.rewrite) {
+			this._rewrite();
+		} else {
+			this._append();
+		}
+		this.unsaved.clear();
+
+		if (this.legacyPath) {
+			fs.rmSync(this.legacyPath, { force: true });
+			this.legacyPath = null;
+		}
+	}
+
+	/**
+	 * Append unsaved entries after the last complete record
+	 * @private
+	 */
+	_append() {
+		const exists = fs.existsSync(this.cachePath);
+		const fd = fs.openSync(this.cachePath, exists ? "r+" : "w");
+		try {
+			if (!exists || this.fileSize === 0) {
+				fs.writeSync(fd, FILE_HEADER, 0, FILE_HEADER.length, 0);
+				this.fileSize = FILE_HEADER.length;
+			}
+			// Drop a record cut off by an interrupted save
+			fs.ftruncateSync(fd, this.fileSize);
+
+			for (const key of this.unsaved) {
+				const embedding = this.entries.get(key);
+				const record = encodeRecord(key, embedding);
+				fs.writeSync(fd, record, 0, record.length, this.fileSize);
+				this.entries.set(key, {
+					offset:
+						this.fileSize + record.length - embedding.length * 4,
+					dimension: embedding.length,
+				});
+				this.fileSize += record.length;
+			}
+		} finally {
+			fs.closeSync(fd);
+		}
+	}
+
+	/**
+	 * Write all entries to a new file and replace the old one
+	 * @private
+	 */
+	_rewrite() {
+		const tmpPath = `${this.cachePath}.tmp`;
+		const source = fs.existsSync(this.cachePath)
+			? fs.openSync(this.cachePath, "r")
+			: undefined;
+		const fd = fs.openSync(tmpPath, "w");
+		const written = new Map();
+		let size = FILE_HEADER.length;
+
+		try {
+			fs.writeSync(fd, FILE_HEADER);
+			for (const key of this.entries.keys()) {
+				const embedding = this._read(key, source);
+				const record = encodeRecord(key, embedding);
+				fs.writeSync(fd, record);
+				written.set(key, {
+					offset: size + record.length - embedding.length * 4,
+					dimension: embedding.length,
+				});
+				size += record.length;
+			}
+		} finally {
+			fs.closeSync(fd);
+			if (source !== undefined) fs.closeSync(source);
+		}
+
+		fs.renameSync(tmpPath, this.cachePath);
+		this.entries = written;
+		this.fileSize = size;
+		this.rewrite = false;
+	}
+
+	get size() {
+		return this.entries.size;
+	}
+
+	/**
+	 * Get hit/miss counters
+	 */
+	getStats() {
+		return { hits: this.hits, misses: this.misses, entries: this.size };
+	}
+}
+
+/**
+ * Prune an index directory's embedding cache to the chunks in its metadata
+ *
+ * Provider, model, document prompt, context length and overflow policy are
+ * read from index_manifest.json when present. Chunks pooled at build time
+ * were cached per sub-window, so those keys are kept.
+ *
+ * @param {string} indexDir - Directory containing index_metadata.json and embedding_cache.bin
+ * @param {Object} [options]
+ * @param {string} [options.provider='ollama'] - Provider the index was built with
+ * @param {string} [options.model='nomic-embed-text'] - Model the index was built with
+ * @param {string} [options.prefix=''] - Document prompt the index was built with
+ * @param {number} [options.contextLength] - Context window the index was built with (default per model)
+ * @param {string} [options.overflow='split'] - Overflow policy the index was built with
+ * @returns {Promise<{kept: number, removed: number}>}
+ */
+export async function pruneEmbeddingCache(indexDir, options = {}) {
+	// Versioned indexes: the chunks of the current snapshot
+	const indexPath = resolveIndexPath(path.join(indexDir, "index.bin"));
+	const manifest = readManifest(indexPath) || {};
+	const {
+		provider = manifest.provider || "ollama",
+		model = manifest.model || "nomic-embed-text",
+		prefix = manifest.prompts?.document || "",
+		contextLength = manifest.contextLength ?? getContextLength(model),
+		overflow = manifest.overflow || OVERFLOW_POLICIES.SPLIT,
+	} = options;
+
+	const metadataPath = indexPath.replace(".bin", "_metadata.json");
+	if (!fs.existsSync(metadataPath)) {
+		throw new Error(`Metadata not found: ${metadataPath}`);
+	}
+
+	const metadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
+	const cache = new EmbeddingCache(
+		path.join(indexDir, EMBEDDING_CACHE_FILE)
+	).load();
+
+	const cacheModel = getCacheModel(provider, model);
+	const pooled = overflow === OVERFLOW_POLICIES.POOL && contextLength;
+	const budget = pooled ? getChunkBudget(contextLength, prefix) : 0;
+	const keys = [];
+	for (const item of metadata) {
+		const chunk = item.chunk || "";
+		const texts = pooled
+			? await getPoolWindows(chunk, budget, item.doc)
+			: [chunk];
+		for (const text of texts) {
+			keys.push(getEmbeddingKey(cacheModel, text, prefix));
+		}
+	}
+	const result = cache.prune(keys);
+	cache.save();
+
+	return result;
+}
+
+export default EmbeddingCache;
@@ -5,53 +5,280 @@
 
 import fs from "fs";
 import path from "path";
-import faiss from "faiss-node";
-import { OllamaEmbedder } from "./embedder.js";
+import { isEmbedder, normalizeVector } from "./baseEmbedder.js";
+import { createEmbedder, getProviderName, PROVIDERS } from "./providers.js";
+import {
+	EmbeddingCache,
+	EMBEDDING_CACHE_FILE,
+	getEmbeddingKey,
+	getCacheModel,
+} from "./embeddingCache.js";
+import { resolvePrompts, applyPrompt } from "./prompts.js";
+import { compileFilter } from "./metadataFilter.js";
+import { BM25Index } from "./bm25.js";
+import {
+	fuseResults,
+	validateSearchOptions,
+	SEARCH_MODES,
+} from "./hybridSearch.js";
+import {
+	createIndex,
+	readIndex,
+	detectIndexType,
+	trainIndex,
+	getTrainingSize,
+	sampleTrainingVectors,
+	setSearchParams,
+	getVectorReader,
+	isFlatIndexType,
+} from "./indexFactory.js";
+import { maximalMarginalRelevance, dot, DEFAULT_MMR_LAMBDA } from "./mmr.js";
+import { readManifest, writeManifest, checkManifest } from "./manifest.js";
+import { checkCompatible } from "./federatedSearch.js";
+import { getVectorsPath, writeVectors, readVectors } from "./vectorStore.js";
+import { BuildCheckpoint, getFingerprint } from "./checkpoint.js";
+import {
+	getCurrentSnapshot,
+	getSnapshotIndexPath,
+	createSnapshot,
+	commitSnapshot,
+	DEFAULT_KEEP_SNAPSHOTS,
+} from "./snapshots.js";
+import {
+	getContextLength,
+	estimateTokens,
+	getChunkBudget,
+	getPoolWindows,
+	splitToContext,
+	meanPool,
+	OVERFLOW_POLICIES,
+} from "./contextLength.js";
 
-const { IndexFlatL2, IndexFlatIP } = faiss;
+// Hybrid search fuses the top k * HYBRID_DEPTH (at least HYBRID_MIN_DEPTH) of each ranking
+const HYBRID_DEPTH = 4;
+const HYBRID_MIN_DEPTH = 20;
+
+// MMR re-ranks the top k * MMR_DEPTH (at least MMR_MIN_DEPTH) candidates
+const MMR_DEPTH = 4;
+const MMR_MIN_DEPTH = 20;
+
+// Range search fetches this many results first, then doubles
+const RANGE_BATCH = 64;
+
+// Stored vectors added per call when rebuilding an index
+const REINDEX_BATCH = 1024;
+
+// Builds save a checkpoint at most this often (ms)
+const DEFAULT_CHECKPOINT_INTERVAL = 30000;
+
+/**
+ * Map cosine similarity (-1..1) to 0..1
+ */
+function toSimilarity(cosine) {
+	return Math.min(1, Math.max(0, (1 + cosine) / 2));
+}
+
+/**
+ * Whether a search needs the query embedding (keyword search alone does not)
+ */
+function needsQueryVector({ mode = SEARCH_MODES.VECTOR, mmr } = {}) {
+	return mode !== SEARCH_MODES.KEYWORD || Boolean(mmr);
+}
+
+/**
+ * Throw for thresholds and limits search() cannot apply
+ */
+function validateMinScore(minScore, mode, k) {
+	if (minScore === undefined) {
+		if (!Number.isFinite(k)) {
+			throw new Error("Searching without a result limit needs minScore");
+		}
+		return;
+	}
+	if (!(minScore >= 0 && minScore <= 1)) {
+		throw new Error(
+			`minScore is a similarity between 0 and 1, got ${minScore}`
+		);
+	}
+	if (mode === SEARCH_MODES.KEYWORD) {
+		throw new Error(
+			"minScore applies to vector similarity; use mode 'vector' or 'hybrid'"
+		);
+	}
+}
+
+// Options forwarded to the embedder when FaissIndexer creates it
+const EMBEDDER_OPTIONS = [
+	"dimension",
+	"batchSize",
+	"concurrency",
+	"timeout",
+	"retries",
+	"retryDelay",
+	"maxRetryDelay",
+	"circuitBreakerThreshold",
+	"circuitBreakerCooldown",
+	"scheduling",
+	"maxHostFailures",
+	"apiKey",
+	"headers",
+	"proxy",
+	"ca",
+	"cert",
+	"key",
+	"rejectUnauthorized",
+	"keepAlive",
+];
 
 export class FaissIndexer {
 	/**
 	 * Create a FaissIndexer instance
 	 * @param {Object} [options]
-	 * @param {string} [options.indexType='IP'] - 'IP' (cosine) or 'L2' (euclidean)
-	 * @param {string} [options.model='nomic-embed-text'] - Ollama embedding model
-	 * @param {string} [options.baseUrl='http://localhost:11434'] - Ollama server URL
-	 * @param {Object} [options.embedder] - Custom embedder options (overrides model/baseUrl)
+	 * @param {string} [options.indexType='IP'] - 'IP' (cosine), 'L2' (euclidean) or a faiss
+	 *   factory string for approximate search ('HNSW32', 'IVF1024,Flat', 'IVF1024,PQ64')
+	 * @param {string} [options.metric='IP'] - Metric for factory index types: 'IP' or 'L2'
+	 * @param {number} [options.trainingSize] - Vectors used to train IVF/PQ indexes (default: 39 per centroid)
+	 * @param {number} [options.nprobe] - IVF lists visited per query (stored with the index)
+	 * @param {number} [options.efSearch] - HNSW candidates per query (stored with the index)
+	 * @param {string} [options.model='nomic-embed-text'] - Ollama embedding model (load() uses the index's when omitted)
+	 * @param {string|string[]} [options.baseUrl='http://localhost:11434'] - Embedding server URL (Ollama: several as array or comma-separated)
+	 * @param {string} [options.scheduling='round-robin'] - Multi-host scheduling: 'round-robin' or 'least-busy'
+	 * @param {string} [options.apiKey] - Bearer token for the embedding server (also: headers, proxy,
+	 *   ca, cert, key, rejectUnauthorized, keepAlive; see httpOptions.js for env variables)
+	 * @param {string|Function|Object} [options.provider='ollama'] - Provider name ('ollama', 'openai'), embedder class or instance;
+	 *   load() uses the index's provider when none is given
+	 * @param {Object} [options.embedder] - Embedder instance, or provider constructor options (overrides model/baseUrl)
+	 * @param {number} [options.dimension] - Output dimension for providers that take one (mock); others are probed
+	 * @param {number} [options.dimensions] - Keep only the first N dimensions of each embedding (Matryoshka models)
+	 * @param {number} [options.batchSize=32] - Chunks per embedding request
+	 * @param {number} [options.concurrency=2] - Parallel embedding requests during build
+	 * @param {number} [options.timeout=30000] - Per-request embedding timeout (ms)
+	 * @param {number} [options.retries=3] - Retries per embedding request on transient errors
+	 * @param {number} [options.retryDelay=500] - Base backoff delay (ms)
+	 * @param {number} [options.maxRetryDelay=10000] - Maximum backoff delay (ms)
+	 * @param {number} [options.circuitBreakerThreshold=5] - Consecutive failed requests before failing fast
+	 * @param {number} [options.circuitBreakerCooldown=30000] - Fail-fast period (ms)
+	 * @param {boolean|string|EmbeddingCache} [options.cache=true] - Embedding cache: true for
+	 *   embedding_cache.bin next to the index, a file path, an EmbeddingCache, or false to disable
+	 * @param {string} [options.documentPrompt] - Template for indexed chunks (default per model, '' for raw text)
+	 * @param {string} [options.queryPrompt] - Template for queries (default per model, '' for raw text)
+	 * @param {number} [options.contextLength] - Model context window in tokens (default per model, 0 to disable checks)
+	 * @param {string} [options.overflow='split'] - Oversized chunks: 'split' into smaller chunks,
+	 *   'pool' sub-window embeddings into one vector, or 'warn' and let the provider truncate
+	 * @param {Object} [options.chunking] - How the chunks were split ({splitter, chunkSize, chunkOverlap})
+	 *   and which files were scanned ({extensions, recursive}), recorded in the manifest so updates
+	 *   scan and split the same way
+	 * @param {boolean} [options.resume=false] - Let build() continue from the checkpoint of an interrupted build
+	 * @param {number} [options.checkpointInterval=30000] - Minimum time between build checkpoints (ms, 0 after every batch)
+	 * @param {number} [options.keepSnapshots=5] - Save into versioned snapshots next to the index and keep this
+	 *   many (0 writes the files in place; indexes that already have snapshots always get a new one)
 	 */
 	constructor(options = {}) {
 		this.indexType = options.indexType || "IP";
+		this.metric = isFlatIndexType(this.indexType)
+			? this.indexType
+			: options.metric || "IP";
+		this.trainingSize = options.trainingSize;
+		this.searchParams = {
+			nprobe: options.nprobe,
+			efSearch: options.efSearch,
+		};
 		this.model = options.model || "nomic-embed-text";
-		this.baseUrl = options.baseUrl || "http://localhost:11434";
-
-		// Model dimension mapping
-		const modelDimensions = {
-			"nomic-embed-text": 768,
-			"mxbai-embed-large": 1024,
-			"all-minilm": 384,
-			"snowflake-arctic-embed": 1024,
-			"bge-m3": 1024,
+		this.provider = options.provider || "ollama";
+
+		// Create embedder with model settings (options kept so load() can switch models)
+		this.embedderOptions = isEmbedder(options.embedder)
+			? null
+			: options.embedder || {
+					model: this.model,
+					baseUrl: options.baseUrl,
+					...Object.fromEntries(
+						EMBEDDER_OPTIONS.filter(
+							(k) => options[k] !== undefined
+						).map((k) => [k, options[k]])
+					),
+			  };
+		this.embedder = this.embedderOptions
+			? createEmbedder(this.provider, this.embedderOptions)
+			: options.embedder;
+		// Settings chosen by the caller; load() checks them against the
+		// manifest and takes the rest from it
+		this.overrides = {
+			provider:
+				options.provider === undefined
+					? undefined
+					: getProviderName(options.provider),
+			model: options.model ?? options.embedder?.model,
+			indexType: options.indexType,
+			dimensions: options.dimensions,
+			contextLength: options.contextLength,
+			overflow: options.overflow,
 		};
-		this.dimension = modelDimensions[this.model] || 768;
+		this.batchSize = options.batchSize || this.embedder.batchSize || 32;
+		this.concurrency =
+			options.concurrency || this.embedder.concurrency || 2;
+		this.baseUrl =
+			options.baseUrl ||
+			this.embedder.baseUrl ||
+			"http://localhost:11434";
 
-		// Create embedder with model settings
-		this.embedder = new OllamaEmbedder(
-			options.embedder || {
-				model: this.model,
-				baseUrl: this.baseUrl,
-			}
-		);
+		// Detected by probing the embedder at build time, or read from the index on load
+		this.dimension = this.embedder.dimension || null;
+
+		// Matryoshka truncation; load() switches to what the index was built with
+		this.dimensions = options.dimensions || null;
+
+		// Document/query prompt templates; load() switches to the ones the index was built with
+		this.promptOverrides = {
+			document: options.documentPrompt,
+			query: options.queryPrompt,
+		};
+		this.prompts = resolvePrompts(this.model, this.promptOverrides);
+
+		// Chunks longer than the context window are handled per overflow policy
+		this.contextLength =
+			options.contextLength !== undefined
+				? options.contextLength
+				: getContextLength(this.model);
+		this.overflow = options.overflow || OVERFLOW_POLICIES.SPLIT;
+		if (!Object.values(OVERFLOW_POLICIES).includes(this.overflow)) {
+			throw new Error(
+				`Unknown overflow policy '${
+					this.overflow
+				}'. Available: ${Object.values(OVERFLOW_POLICIES).join(", ")}`
+			);
+		}
+		this.chunking = options.chunking || null;
+		this.cache = options.cache ?? true;
+		this.resume = options.resume ?? false;
+		this.checkpointInterval =
+			options.checkpointInterval ?? DEFAULT_CHECKPOINT_INTERVAL;
+		this.keepSnapshots = options.keepSnapshots ?? DEFAULT_KEEP_SNAPSHOTS;
 		this.index = null;
 		this.metadata = [];
+		this.bm25 = null;
+		this.indexPath = null;
+		this.vectorReader = null;
+		this.faissType = null;
+
+		// Snapshot the index was loaded from or saved to (null when saved in place)
+		this.snapshot = null;
+
+		// Raw vectors by id, saved as index_vectors.fvecs (null until needed after load)
+		this.vectors = null;
 	}
 
 	/**
 	 * Build FAISS index from metadata.json
+	 * Progress is checkpointed next to the index while embedding (and when the
+	 * build fails). With `resume`, a build of the same metadata and embedding
+	 * settings continues from the checkpoint instead of starting over.
 	 *
 	 * @param {string} metadataPath - Path to metadata.json
 	 * @param {string} outputPath - Path to save index.bin
 	 * @param {Function} [onProgress] - Callback (current, total, item)
-	 * @returns {Promise<{vectors: number, time: number}>}
+	 * @returns {Promise<{vectors: number, dimension: number, time: number, retries: number, resumed: number, cache: {hits: number, misses: number, error?: string}|null}>}
+	 *   - resumed: chunks restored from a checkpoint; cache.error: why the embedding cache could not be saved
 	 *
 	 * @example
 	 * const indexer = new FaissIndexer();
@@ -72,91 +299,896 @@ export class FaissIndexer {
 			throw new Error("Metadata must be a non-empty array");
 		}
 
+		// Learn the real dimension from the provider
+		const embeddingDimension = await this._detectDimension();
+		if (this.dimensions && this.dimensions > embeddingDimension) {
+			throw new Error(
+				`Cannot truncate to ${this.dimensions} dimensions: model '${this.model}' returns ${embeddingDimension}`
+			);
+		}
+		this.dimension = this.dimensions || embeddingDimension;
+
 		// Initialize index
-		this.index =
-			this.indexType === "L2"
-				? new IndexFlatL2(this.dimension)
-				: new IndexFlatIP(this.dimension);
+		this.index = createIndex(this.dimension, this.indexType, this.metric);
 		this.metadata = [];
+		this.vectors = [];
+
+		// Checkpoints only resume builds of the same input and vectors
+		const checkpoint = {
+			file: new BuildCheckpoint(outputPath),
+			fingerprint: getFingerprint(metadata, {
+				provider: getProviderName(this.provider),
+				model: this.embedder.model || this.model,
+				dimension: this.dimension,
+				prompt: this.prompts.document,
+				contextLength: this.contextLength,
+				overflow: this.overflow,
+			}),
+		};
+		if (!this.resume) checkpoint.file.remove();
 
 		const startTime = Date.now();
+		const startRetries = this.embedder.retryStats?.retries || 0;
 
-		// Process chunks
-		for (let i = 0; i < metadata.length; i++) {
-			const item = metadata[i];
-			const chunk = item.chunk || "";
-
-			if (!chunk.trim()) continue;
-
-			// Generate and normalize embedding
-			let embedding = await this.embedder.embed(chunk);
-			embedding = this.embedder.normalize(embedding);
-
-			// Add to index (convert Float32Array to Array for faiss-node)
-			this.index.add(Array.from(embedding));
-
-			// Store metadata (full chunk, plus any extra fields from input)
-			this.metadata.push({
-				id: this.metadata.length,
-				doc: item.doc,
-				chunk_id: item.chunk_id,
-				chunk: chunk,
-				...Object.fromEntries(
-					Object.entries(item).filter(
-						([k]) => !["doc", "chunk_id", "chunk"].includes(k)
-					)
-				),
-			});
+		const { oversized, trainingVectors, cache, resumed } =
+			await this._indexChunks(
+				metadata,
+				outputPath,
+				embeddingDimension,
+				onProgress,
+				checkpoint
+			);
 
-			if (onProgress) onProgress(i + 1, metadata.length, item);
-		}
+		this.index = setSearchParams(this.index, this.searchParams);
 
 		// Save index
 		this._save(outputPath);
+		checkpoint.file.remove();
+
+		return {
+			vectors: this.index.ntotal(),
+			dimension: this.dimension,
+			time: Date.now() - startTime,
+			retries: (this.embedder.retryStats?.retries || 0) - startRetries,
+			resumed,
+			oversized,
+			trainingVectors,
+			cache,
+			// Per-host counters for providers that spread load over several servers
+			hosts:
+				typeof this.embedder.getHostStats === "function"
+					? this.embedder.getHostStats()
+					: null,
+		};
+	}
+
+	/**
+	 * Update an existing index in place
+	 * Vectors of removed documents are deleted and new chunks are embedded and
+	 * appended. Metadata ids mirror faiss ids: flat indexes compact on removal,
+	 * so the remaining entries are renumbered in order. Approximate indexes
+	 * (IVF, HNSW) cannot delete in place, so they are retrained and rebuilt
+	 * from the stored vectors (index_vectors.fvecs) with the same ids.
+	 *
+	 * @param {string} indexPath - Path to index.bin (loaded if not already)
+	 * @param {Object} changes
+	 * @param {Array<{doc: string, chunk: string, chunk_id: string}>} [changes.add] - New chunks
+	 * @param {string[]} [changes.removeDocs] - Documents whose chunks are removed
+	 * @param {Function} [onProgress] - Callback (current, total, item)
+	 * @returns {Promise<{vectors: number, added: number, removed: number, trainingVectors: number, time: number, retries: number, cache: {hits: number, misses: number}|null}>}
+	 *
+	 * @example
+	 * await indexer.update('./index.bin', {
+	 *   add: [{ doc: 'new.md', chunk: '...', chunk_id: 'new_0' }],
+	 *   removeDocs: ['old.md'],
+	 * });
+	 */
+	async update(indexPath, { add = [], removeDocs = [] } = {}, onProgress) {
+		if (!this.index) {
+			await this.load(
+				indexPath,
+				indexPath.replace(".bin", "_metadata.json")
+			);
+		}
+
+		const startTime = Date.now();
+		const startRetries = this.embedder.retryStats?.retries || 0;
+
+		// Remove vectors of deleted and modified documents
+		const remove = new Set(removeDocs);
+		this.vectors = this._loadVectors().filter(
+			(_, id) => !remove.has(this.metadata[id].doc)
+		);
+		const removedIds = this.metadata
+			.filter((item) => remove.has(item.doc))
+			.map((item) => item.id);
+		// Approximate indexes collect the new vectors in a flat one and are
+		// rebuilt from all of them at the end
+		const approximate = !isFlatIndexType(this.indexType);
+		if (approximate) {
+			this.index = createIndex(this.dimension, this.metric);
+		} else if (removedIds.length > 0) {
+			this.index.removeIds(removedIds);
+		}
+		this.metadata = this.metadata
+			.filter((item) => !remove.has(item.doc))
+			.map((item, id) => ({ ...item, id }));
+		const kept = this.metadata.length;
+
+		let result = {
+			oversized: { policy: this.overflow, count: 0, chunkIds: [] },
+			cache: null,
+		};
+		if (add.length > 0) {
+			const health = await this.embedder.healthCheck();
+			if (!health.ok) throw new Error(health.message);
+
+			const embeddingDimension = await this._detectDimension();
+			result = await this._indexChunks(
+				add,
+				indexPath,
+				embeddingDimension,
+				onProgress
+			);
+		}
+
+		const trainingVectors = approximate ? this._fillIndex(this.vectors) : 0;
+		this._save(indexPath);
+
+		return {
+			vectors: this.index.ntotal(),
+			added: this.metadata.length - kept,
+			removed: removedIds.length,
+			trainingVectors,
+			time: Date.now() - startTime,
+			retries: (this.embedder.retryStats?.retries || 0) - startRetries,
+			oversized: result.oversized,
+			cache: result.cache,
+			hosts:
+				typeof this.embedder.getHostStats === "function"
+					? this.embedder.getHostStats()
+					: null,
+		};
+	}
+
+	/**
+	 * Combine built indexes into one new index
+	 * Vectors are read back from flat indexes or index_vectors.fvecs (and
+	 * re-embedded, normally from the embedding cache, for indexes without
+	 * one), then added to a fresh index. Provider, model, prompts and index type are taken from the first index
+	 * unless indexType was given. Every chunk keeps its metadata plus `index`,
+	 * the name of the index it came from.
+	 *
+	 * @param {Array<{name: string, indexer: FaissIndexer}>} sources - Loaded indexes sharing model and dimension
+	 * @param {string} outputPath - Path to save index.bin
+	 * @returns {Promise<{vectors: number, sources: Array<{name: string, vectors: number}>, time: number, cacheError: string|null}>}
+	 *   - cacheError: why the combined embedding cache could not be saved
+	 *
+	 * @example
+	 * await new FaissIndexer().merge(
+	 *   [{ name: 'billing', indexer: billing }, { name: 'support', indexer: support }],
+	 *   './all/index.bin'
+	 * );
+	 */
+	async merge(sources, outputPath) {
+		checkCompatible(sources);
+		const startTime = Date.now();
+		const { indexer: first } = sources[0];
+
+		if (!this.overrides.provider)
+			this._useProvider(getProviderName(first.provider));
+		if (first.model !== this.model) this._useModel(first.model);
+		if (!this.overrides.indexType) {
+			this.indexType = first.indexType;
+			this.metric = first.metric;
+			this.searchParams = {
+				nprobe: this.searchParams.nprobe ?? first.searchParams.nprobe,
+				efSearch:
+					this.searchParams.efSearch ?? first.searchParams.efSearch,
+			};
+		}
+		this.dimension = first.dimension;
+		this.dimensions = first.dimensions;
+		this.prompts = first.prompts;
+		this.chunking = this.chunking || first.chunking;
+		if (this.overrides.contextLength === undefined) {
+			this.contextLength = first.contextLength;
+		}
+		if (!this.overrides.overflow) this.overflow = first.overflow;
+
+		this.index = createIndex(this.dimension, this.indexType, this.metric);
+		this.metadata = [];
+		this.vectors = [];
+		const cache = this._openCache(outputPath);
+
+		for (const { name, indexer } of sources) {
+			const vectors = await indexer._getVectors(
+				indexer.metadata.map((_, id) => indexer._toResult(id, 0))
+			);
+			this._addVectors(vectors);
+			this.vectors.push(
+				...vectors.map((vector) => Float32Array.from(vector))
+			);
+			for (const item of indexer.metadata) {
+				this.metadata.push({
+					...item,
+					id: this.metadata.length,
+					index: item.index ?? name,
+				});
+			}
+
+			// Later rebuilds and re-embedding reuse the sources' embeddings
+			const sourceCache = indexer.indexPath
+				? indexer._openCache(indexer.indexPath)
+				: null;
+			if (cache && sourceCache) cache.merge(sourceCache);
+		}
+		const cacheError = cache ? this._saveCache(cache) : null;
+
+		if (this.index.isTrained()) {
+			this.index = setSearchParams(this.index, this.searchParams);
+		} else {
+			this._fillIndex(this.vectors);
+		}
+		this._save(outputPath);
+
+		return {
+			vectors: this.index.ntotal(),
+			sources: sources.map(({ name, indexer }) => ({
+				name,
+				vectors: indexer.metadata.length,
+			})),
+			time: Date.now() - startTime,
+			cacheError,
+		};
+	}
+
+	/**
+	 * Rebuild index.bin from the stored raw vectors, without re-embedding
+	 * Use it to switch index type or retrain with other parameters. Metadata,
+	 * model and prompts stay the same.
+	 *
+	 * @param {string} indexPath - Path to index.bin (loaded if not already)
+	 * @param {Object} [settings] - Unset values keep the index's
+	 * @param {string} [settings.indexType] - 'IP', 'L2' or a faiss factory string
+	 * @param {string} [settings.metric] - Metric for factory index types: 'IP' or 'L2'
+	 * @param {number} [settings.trainingSize] - Vectors used to train IVF/PQ indexes
+	 * @param {number} [settings.nprobe] - IVF lists searched per query
+	 * @param {number} [settings.efSearch] - HNSW candidates per query
+	 * @returns {Promise<{vectors: number, indexType: string, trainingVectors: number, time: number}>}
+	 *
+	 * @example
+	 * await new FaissIndexer().reindex('./index.bin', { indexType: 'HNSW32' });
+	 */
+	async reindex(indexPath, settings = {}) {
+		if (!this.index) {
+			await this.load(
+				indexPath,
+				indexPath.replace(".bin", "_metadata.json")
+			);
+		}
+
+		const startTime = Date.now();
+		const vectors = this._loadVectors();
+
+		const indexType = settings.indexType || this.indexType;
+		const sameType = indexType === this.indexType;
+		this.indexType = indexType;
+		this.metric = isFlatIndexType(indexType)
+			? indexType
+			: settings.metric || this.metric;
+		this.trainingSize = settings.trainingSize ?? this.trainingSize;
+
+		// Search parameters of another index type do not carry over
+		this.searchParams = {
+			nprobe:
+				settings.nprobe ??
+				(sameType ? this.searchParams.nprobe : undefined),
+			efSearch:
+				settings.efSearch ??
+				(sameType ? this.searchParams.efSearch : undefined),
+		};
+
+		const trainingVectors = this._fillIndex(vectors);
+		this._save(indexPath);
 
 		return {
 			vectors: this.index.ntotal(),
+			indexType: this.indexType,
+			trainingVectors,
 			time: Date.now() - startTime,
 		};
 	}
 
+	/**
+	 * Replace the index with a new one of the current type holding the
+	 * given vectors, in order. Indexes that need training (IVF, PQ) are
+	 * trained on a random sample of trainingSize of them first.
+	 * @private
+	 * @returns {number} - Vectors it was trained on
+	 */
+	_fillIndex(vectors) {
+		this.index = createIndex(this.dimension, this.indexType, this.metric);
+
+		let trainingVectors = 0;
+		if (!this.index.isTrained() && vectors.length > 0) {
+			const sample = sampleTrainingVectors(
+				vectors,
+				this.trainingSize || getTrainingSize(this.indexType).recommended
+			);
+			trainIndex(
+				this.index,
+				sample.flatMap((vector) => Array.from(vector)),
+				this.indexType
+			);
+			trainingVectors = sample.length;
+		}
+
+		for (let start = 0; start < vectors.length; start += REINDEX_BATCH) {
+			this._addVectors(vectors.slice(start, start + REINDEX_BATCH));
+		}
+		this.index = setSearchParams(this.index, this.searchParams);
+		return trainingVectors;
+	}
+
+	/**
+	 * Embed chunks and add them to the index, appending to this.metadata
+	 * With a checkpoint ({file, fingerprint}), progress is saved every
+	 * checkpointInterval and on failure, and restored first when resuming.
+	 * @private
+	 */
+	async _indexChunks(
+		metadata,
+		outputPath,
+		embeddingDimension,
+		onProgress,
+		checkpoint = null
+	) {
+		// Skip empty chunks
+		let pending = [];
+		for (let i = 0; i < metadata.length; i++) {
+			const chunk = metadata[i].chunk || "";
+			if (chunk.trim()) pending.push({ position: i, chunk });
+		}
+
+		// Keep chunks within the model's context window
+		let oversized;
+		({ pending, oversized } = await this._fitToContext(pending, metadata));
+
+		// Reuse embeddings from previous builds
+		const cache = this._openCache(outputPath);
+		const startCache = cache ? cache.getStats() : null;
+
+		// Pending chunks processed so far, and the metadata entries they produced
+		const progress = { done: 0, kept: this.metadata.length };
+		const resumed =
+			this.resume && checkpoint ? checkpoint.file.load() : null;
+		if (resumed) {
+			if (resumed.fingerprint !== checkpoint.fingerprint) {
+				throw new Error(
+					`Checkpoint ${checkpoint.file.paths.state} does not match this build: metadata or embedding settings changed since it was saved. Build without resuming to start over`
+				);
+			}
+			this.metadata = resumed.metadata;
+			this.vectors = [...resumed.vectors];
+			for (let i = 0; i < this.vectors.length; i += REINDEX_BATCH) {
+				this._addVectors(this.vectors.slice(i, i + REINDEX_BATCH));
+			}
+			progress.done = resumed.done;
+			progress.kept = this.metadata.length;
+		}
+
+		const saveCheckpoint = () => {
+			checkpoint.file.save({
+				fingerprint: checkpoint.fingerprint,
+				dimension: this.dimension,
+				done: progress.done,
+				metadata: this.metadata,
+				vectors: this.vectors,
+				count: progress.kept,
+			});
+			// A failed cache write is retried and reported at the end
+			if (cache) this._saveCache(cache);
+		};
+		let lastCheckpoint = Date.now();
+		let cacheError = null;
+		let trainingVectors = 0;
+
+		try {
+			// Embed in windows so the embedder can batch and run requests in parallel
+			const windowSize = this.batchSize * this.concurrency;
+
+			for (
+				let start = progress.done;
+				start < pending.length;
+				start += windowSize
+			) {
+				const window = pending.slice(start, start + windowSize);
+
+				const vectors = await this._embedPending(
+					window,
+					cache,
+					embeddingDimension
+				);
+				this._addVectors(vectors);
+				this.vectors.push(
+					...vectors.map((vector) => Float32Array.from(vector))
+				);
+
+				for (const { position, chunk, part } of window) {
+					const item = metadata[position];
+
+					// Store metadata (full chunk, plus any extra fields from input)
+					this.metadata.push({
+						id: this.metadata.length,
+						doc: item.doc,
+						chunk_id:
+							part === undefined
+								? item.chunk_id
+								: `${item.chunk_id}_part${part}`,
+						chunk: chunk,
+						...Object.fromEntries(
+							Object.entries(item).filter(
+								([k]) =>
+									!["doc", "chunk_id", "chunk"].includes(k)
+							)
+						),
+					});
+
+					if (onProgress)
+						onProgress(position + 1, metadata.length, item);
+				}
+
+				progress.done = start + window.length;
+				progress.kept = this.metadata.length;
+				if (
+					checkpoint &&
+					Date.now() - lastCheckpoint >= this.checkpointInterval
+				) {
+					saveCheckpoint();
+					lastCheckpoint = Date.now();
+				}
+			}
+
+			// Indexes that need training get every vector once all are embedded
+			if (!this.index.isTrained()) {
+				trainingVectors = this._fillIndex(this.vectors);
+			}
+		} catch (error) {
+			// Keep the chunks done so far for a resumed build
+			if (checkpoint && progress.done > 0) saveCheckpoint();
+			throw error;
+		} finally {
+			// Keep embeddings computed so far even if the build fails
+			if (cache) cacheError = this._saveCache(cache);
+		}
+
+		return {
+			resumed: resumed ? resumed.vectors.length : 0,
+			oversized,
+			trainingVectors,
+			cache: cache
+				? {
+						hits: cache.hits - startCache.hits,
+						misses: cache.misses - startCache.misses,
+						...(cacheError && { error: cacheError }),
+				  }
+				: null,
+		};
+	}
+
+	/**
+	 * Add vectors to the index as they are embedded. Indexes that need
+	 * training are filled by _fillIndex() once every vector is known.
+	 * @private
+	 */
+	_addVectors(vectors) {
+		if (vectors.length === 0 || !this.index.isTrained()) return;
+		// faiss-node takes one flat Array
+		this.index.add(vectors.flatMap((vector) => Array.from(vector)));
+	}
+
+	/**
+	 * Apply the overflow policy to chunks that exceed the context window
+	 * Split chunks become several pending entries; pooled chunks carry their sub-windows.
+	 * @private
+	 */
+	async _fitToContext(pending, metadata) {
+		const oversized = { policy: this.overflow, count: 0, chunkIds: [] };
+		if (!this.contextLength) return { pending, oversized };
+
+		// The document prompt counts against the budget too
+		const budget = getChunkBudget(
+			this.contextLength,
+			this.prompts.document
+		);
+
+		const fitted = [];
+		for (const p of pending) {
+			if (estimateTokens(p.chunk) <= budget) {
+				fitted.push(p);
+				continue;
+			}
+
+			const item = metadata[p.position];
+			oversized.count++;
+			oversized.chunkIds.push(item.chunk_id);
+
+			if (this.overflow === OVERFLOW_POLICIES.WARN) {
+				fitted.push(p);
+				continue;
+			}
+
+			if (this.overflow === OVERFLOW_POLICIES.POOL) {
+				const windows = await getPoolWindows(p.chunk, budget, item.doc);
+				fitted.push({ ...p, windows });
+			} else {
+				const pieces = await splitToContext(p.chunk, budget, item.doc);
+				pieces.forEach((chunk, part) =>
+					fitted.push({ position: p.position, chunk, part })
+				);
+			}
+		}
+
+		return { pending: fitted, oversized };
+	}
+
+	/**
+	 * Embed pending chunks, one prepared vector each: pooled chunks are the
+	 * mean of their normalized sub-window vectors
+	 * @private
+	 * @param {number} [embeddingDimension] - Validate raw embeddings against it
+	 */
+	async _embedPending(pending, cache, embeddingDimension) {
+		const texts = pending.flatMap((p) => p.windows || [p.chunk]);
+		const embeddings = await this._embedDocuments(texts, cache);
+		if (embeddingDimension) {
+			embeddings.forEach((embedding, j) =>
+				this._validateVector(embedding, texts[j], embeddingDimension)
+			);
+		}
+
+		let offset = 0;
+		return pending.map((p) => {
+			const count = p.windows ? p.windows.length : 1;
+			const parts = embeddings.slice(offset, offset + count);
+			offset += count;
+
+			const embedding =
+				count > 1
+					? meanPool(parts.map((e) => this._prepare(e)))
+					: parts[0];
+			return this._prepare(embedding);
+		});
+	}
+
+	/**
+	 * Probe the embedder once for its output dimension
+	 * @private
+	 */
+	async _detectDimension() {
+		if (typeof this.embedder.detectDimension === "function") {
+			return this.embedder.detectDimension();
+		}
+
+		const probe = await this.embedder.embed("dimension probe");
+		if (!probe || !probe.length) {
+			throw new Error(
+				"Could not detect embedding dimension: provider returned an empty embedding"
+			);
+		}
+		return probe.length;
+	}
+
+	/**
+	 * Throw a clear error if a vector does not match the index dimension
+	 * @private
+	 */
+	_validateVector(vec, text, expected = this.dimension) {
+		const length = vec?.length;
+		if (length === expected) return;
+
+		const preview =
+			text && text.length > 40 ? `${text.slice(0, 40)}...` : text;
+		throw new Error(
+			`Embedding dimension mismatch: expected ${expected}, got ${
+				length ?? "no vector"
+			} from model '${this.model}'` +
+				(preview ? ` for "${preview}"` : "") +
+				". Was the index built with a different model?"
+		);
+	}
+
+	/**
+	 * Resolve the cache option into an EmbeddingCache (or null)
+	 * @private
+	 */
+	_openCache(outputPath) {
+		if (!this.cache) return null;
+		if (this.cache instanceof EmbeddingCache) return this.cache;
+
+		const cachePath =
+			typeof this.cache === "string"
+				? this.cache
+				: path.join(path.dirname(outputPath), EMBEDDING_CACHE_FILE);
+		this.cache = new EmbeddingCache(cachePath).load();
+		return this.cache;
+	}
+
+	/**
+	 * Save the embedding cache, returning the error message instead of
+	 * throwing: a cache that cannot be written must not cost a build
+	 * @private
+	 */
+	_saveCache(cache) {
+		try {
+			cache.save();
+			return null;
+		} catch (error) {
+			return error.message;
+		}
+	}
+
+	/**
+	 * Embed chunks with the document prompt, reusing cached embeddings
+	 * and only sending misses to the embedder
+	 * @private
+	 */
+	async _embedDocuments(texts, cache) {
+		const prompt = this.prompts.document;
+		const inputs = texts.map((text) => applyPrompt(prompt, text));
+		if (!cache) return this.embedder.embedBatch(inputs);
+
+		const model = getCacheModel(
+			getProviderName(this.provider),
+			this.embedder.model || this.model
+		);
+		const keys = texts.map((text) => getEmbeddingKey(model, text, prompt));
+		const embeddings = keys.map((key) => cache.get(key));
+
+		const missing = [];
+		embeddings.forEach((e, i) => {
+			if (!e) missing.push(i);
+		});
+
+		if (missing.length > 0) {
+			const fresh = await this.embedder.embedBatch(
+				missing.map((i) => inputs[i])
+			);
+			missing.forEach((i, j) => {
+				embeddings[i] = fresh[j];
+				cache.set(keys[i], fresh[j]);
+			});
+		}
+
+		return embeddings;
+	}
+
+	/**
+	 * Normalize with the embedder, falling back for plain custom embedders
+	 * @private
+	 */
+	_normalize(vec) {
+		return typeof this.embedder.normalize === "function"
+			? this.embedder.normalize(vec)
+			: normalizeVector(vec);
+	}
+
+	/**
+	 * Keep the first `dimensions` values (Matryoshka truncation)
+	 * @private
+	 */
+	_truncate(vec) {
+		return this.dimensions && vec?.length > this.dimensions
+			? vec.slice(0, this.dimensions)
+			: vec;
+	}
+
+	/**
+	 * Truncate, then normalize
+	 * @private
+	 */
+	_prepare(vec) {
+		return this._normalize(this._truncate(vec));
+	}
+
 	/**
 	 * Save index to file
 	 * @private
 	 */
 	_save(indexPath) {
+		this.indexPath = indexPath;
+		this.vectorReader = null;
+
 		const dir = path.dirname(indexPath);
 		if (!fs.existsSync(dir)) {
 			fs.mkdirSync(dir, { recursive: true });
 		}
 
+		// Versioned indexes: write a complete new snapshot, then switch
+		// index_current to it, so readers never see half-written files
+		const snapshot =
+			this.keepSnapshots > 0 || getCurrentSnapshot(indexPath)
+				? createSnapshot(indexPath)
+				: null;
+		const filePath = snapshot ? snapshot.indexPath : indexPath;
+
 		// Save FAISS index
-		this.index.write(indexPath);
+		this.index.write(filePath);
+		this.faissType = detectIndexType(filePath).faissType;
 
 		// Save metadata
-		const metaPath = indexPath.replace(".bin", "_metadata.json");
+		const metaPath = filePath.replace(".bin", "_metadata.json");
 		fs.writeFileSync(metaPath, JSON.stringify(this.metadata, null, 2));
+
+		// Save raw vectors so the index can be rebuilt without re-embedding
+		if (this.vectors) writeVectors(getVectorsPath(filePath), this.vectors);
+
+		// Save keyword index (rebuilt so ids match after updates)
+		this.bm25 = BM25Index.fromTexts(this.metadata.map((m) => m.chunk));
+		fs.writeFileSync(
+			filePath.replace(".bin", "_bm25.json"),
+			JSON.stringify(this.bm25)
+		);
+
+		// Save settings queries and updates must reuse (last: marks the snapshot complete)
+		writeManifest(filePath, {
+			model: this.embedder.model || this.model,
+			provider: getProviderName(this.provider),
+			dimension: this.dimension,
+			dimensions: this.dimensions,
+			indexType: this.indexType,
+			metric: this.metric,
+			searchParams: this.searchParams,
+			prompts: this.prompts,
+			contextLength: this.contextLength,
+			overflow: this.overflow,
+			chunking: this.chunking,
+		});
+
+		if (snapshot) {
+			commitSnapshot(
+				indexPath,
+				snapshot.id,
+				this.keepSnapshots || DEFAULT_KEEP_SNAPSHOTS
+			);
+		}
+		this.snapshot = snapshot ? snapshot.id : null;
+	}
+
+	/**
+	 * Switch to the provider an index was built with
+	 * Only built-in providers can be recreated from their name; custom
+	 * embedders are kept as given.
+	 * @private
+	 */
+	_useProvider(provider) {
+		if (
+			!this.embedderOptions ||
+			provider === getProviderName(this.provider) ||
+			!Object.values(PROVIDERS).includes(provider)
+		) {
+			return;
+		}
+		this.provider = provider;
+		this.embedder = createEmbedder(this.provider, this.embedderOptions);
+		this.baseUrl =
+			this.embedderOptions.baseUrl ||
+			this.embedder.baseUrl ||
+			"http://localhost:11434";
+	}
+
+	/**
+	 * Switch to the model an index was built with
+	 * @private
+	 */
+	_useModel(model) {
+		this.model = model;
+		if (this.embedderOptions) {
+			this.embedderOptions = { ...this.embedderOptions, model };
+			this.embedder = createEmbedder(this.provider, this.embedderOptions);
+		}
+		if (this.overrides.contextLength === undefined) {
+			this.contextLength = getContextLength(model);
+		}
 	}
 
 	/**
 	 * Load existing index
+	 * Versioned indexes are read from the snapshot index_current points to,
+	 * including the metadata file when it sits next to index.bin.
+	 *
 	 * @param {string} indexPath - Path to index.bin
 	 * @param {string} [metadataPath] - Path to metadata file
 	 */
 	async load(indexPath, metadataPath) {
-		if (!fs.existsSync(indexPath)) {
-			throw new Error(`Index not found: ${indexPath}`);
+		const snapshot = getCurrentSnapshot(indexPath);
+		const filePath = snapshot
+			? getSnapshotIndexPath(indexPath, snapshot)
+			: indexPath;
+		if (!fs.existsSync(filePath)) {
+			throw new Error(`Index not found: ${filePath}`);
 		}
+		// The index's own metadata file lives in the snapshot too
+		if (
+			snapshot &&
+			metadataPath &&
+			path.resolve(metadataPath) ===
+				path.resolve(indexPath.replace(".bin", "_metadata.json"))
+		) {
+			metadataPath = filePath.replace(".bin", "_metadata.json");
+		}
+
+		// Use the settings the index was built with; explicit options that
+		// contradict them are errors. Indexes without a manifest were built
+		// from raw text with the default model.
+		const manifest = readManifest(filePath) || {};
+
+		// Type and metric come from the file itself. Flat types are fully
+		// described by it; factory strings (HNSW32) only by the manifest.
+		const detected = detectIndexType(filePath);
+		const flatType = isFlatIndexType(detected.indexType)
+			? detected.indexType
+			: null;
+		this.indexType = flatType || manifest.indexType || detected.indexType;
+		this.metric = detected.metric;
+		this.faissType = detected.faissType;
+
+		this.index = readIndex(filePath);
+		this.indexPath = indexPath;
+		this.snapshot = snapshot;
+		this.vectorReader = null;
+		this.vectors = null;
+		this.dimension = this.index.getDimension();
+		checkManifest(
+			{ ...manifest, indexType: flatType || manifest.indexType },
+			this.overrides,
+			this.dimension
+		);
+
+		if (manifest.provider && !this.overrides.provider) {
+			this._useProvider(manifest.provider);
+		}
+		if (manifest.model && manifest.model !== this.model) {
+			this._useModel(manifest.model);
+		}
+		if (
+			this.overrides.contextLength === undefined &&
+			manifest.contextLength !== undefined
+		) {
+			this.contextLength = manifest.contextLength;
+		}
+		if (!this.overrides.overflow && manifest.overflow) {
+			this.overflow = manifest.overflow;
+		}
+		this.chunking = this.chunking || manifest.chunking || null;
+
+		// Stored search parameters apply unless overridden for this session
+		this.index = setSearchParams(this.index, this.searchParams);
+		const stored = manifest.searchParams || {};
+		this.searchParams = {
+			nprobe: this.searchParams.nprobe ?? stored.nprobe,
+			efSearch: this.searchParams.efSearch ?? stored.efSearch,
+		};
+		this.prompts = resolvePrompts(
+			this.model,
+			this.promptOverrides,
+			manifest.prompts || {}
+		);
 
-		this.index =
-			this.indexType === "L2"
-				? IndexFlatL2.read(indexPath)
-				: IndexFlatIP.read(indexPath);
+		// Queries must be truncated the same way as the indexed vectors
+		this.dimensions = manifest.dimensions || null;
 
 		if (metadataPath && fs.existsSync(metadataPath)) {
 			this.metadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
 		}
 
+		// Indexes built before keyword search get one on first use
+		const bm25Path = filePath.replace(".bin", "_bm25.json");
+		this.bm25 = fs.existsSync(bm25Path)
+			? BM25Index.fromJSON(JSON.parse(fs.readFileSync(bm25Path, "utf-8")))
+			: null;
+
 		return this;
 	}
 
@@ -165,40 +1197,469 @@ export class FaissIndexer {
 	 *
 	 * @param {string} query - Query text
 	 * @param {number} [k=5] - Number of results
-	 * @returns {Promise<Array<{id: number, score: number, doc: string, chunk_id: string, chunk: string}>>}
+	 * @param {Object} [options]
+	 * @param {Object} [options.filter] - Metadata filter, e.g. { lang: 'en', year: { $gte: 2020 }, doc: 'guides/*.md' }
+	 * @param {string} [options.mode='vector'] - 'vector', 'keyword' (BM25) or 'hybrid' (both, fused)
+	 * @param {string} [options.fusion='rrf'] - Hybrid fusion: 'rrf' or 'weighted'
+	 * @param {number} [options.alpha=0.5] - Vector weight for weighted fusion
+	 * @param {boolean} [options.mmr=false] - Diversify results with maximal marginal relevance
+	 * @param {number} [options.lambda=0.5] - MMR trade-off: 1 = relevance only, 0 = diversity only
+	 * @param {number} [options.minScore] - Only return results with similarity >= minScore (0..1);
+	 *   with k = Infinity, every such result (range search)
+	 * @returns {Promise<Array<{id: number, score: number, similarity: number|null, doc: string, chunk_id: string, chunk: string}>>}
+	 *   score ranks within the mode: cosine similarity (vector, for both IP and
+	 *   L2 indexes), BM25 (keyword) or the fused score (hybrid). similarity is
+	 *   the cosine similarity mapped to 0..1, comparable across indexes and
+	 *   modes (null in keyword mode). Extra metadata fields from the build input
+	 *   are included. Hybrid results also carry vectorScore and keywordScore.
+	 */
+	async search(query, k = 5, options = {}) {
+		this._validateSearch(k, options);
+		const queryVec = needsQueryVector(options)
+			? await this._embedQuery(query)
+			: null;
+		return this._search(query, queryVec, k, options);
+	}
+
+	/**
+	 * Search for several queries at once
+	 * Queries are embedded in batches (batchSize, concurrency). Plain vector
+	 * searches (no filter, minScore or MMR) run as one multi-query faiss
+	 * search; other options search query by query with the batch embeddings.
+	 *
+	 * @param {string[]} queries - Query texts
+	 * @param {number} [k=5] - Number of results per query
+	 * @param {Object} [options] - Same as search()
+	 * @returns {Promise<Array<Array<Object>>>} - Results of each query, in input order
+	 *
+	 * @example
+	 * const [orders, login] = await indexer.searchBatch(['orders by status', 'login'], 3);
 	 */
-	async search(query, k = 5) {
+	async searchBatch(queries, k = 5, options = {}) {
+		this._validateSearch(k, options);
+		if (queries.length === 0) return [];
+
+		const queryVecs = needsQueryVector(options)
+			? await this._embedQueries(queries)
+			: queries.map(() => null);
+
+		const { mode = SEARCH_MODES.VECTOR, filter, mmr, minScore } = options;
+		if (
+			mode === SEARCH_MODES.VECTOR &&
+			!compileFilter(filter) &&
+			!mmr &&
+			minScore === undefined
+		) {
+			return this._multiSearch(queryVecs, k);
+		}
+
+		const results = [];
+		for (let i = 0; i < queries.length; i++) {
+			results.push(
+				await this._search(queries[i], queryVecs[i], k, options)
+			);
+		}
+		return results;
+	}
+
+	/**
+	 * Throw for searches that cannot run
+	 * @private
+	 */
+	_validateSearch(k, options) {
 		if (!this.index || this.index.ntotal() === 0) {
 			throw new Error("Index is empty or not loaded");
 		}
+		const { mode = SEARCH_MODES.VECTOR, fusion, minScore } = options;
+		validateSearchOptions(mode, fusion);
+		validateMinScore(minScore, mode, k);
+	}
+
+	/**
+	 * Search with an embedded query (null when the mode needs none)
+	 * @private
+	 */
+	async _search(query, queryVec, k, options) {
+		const {
+			mode = SEARCH_MODES.VECTOR,
+			fusion,
+			alpha,
+			mmr = false,
+			lambda = DEFAULT_MMR_LAMBDA,
+			minScore,
+		} = options;
+		const matches = compileFilter(options.filter);
 
-		let queryVec = await this.embedder.embed(query);
-		queryVec = this.embedder.normalize(queryVec);
+		// MMR picks k diverse results from a larger candidate set
+		const depth = mmr ? Math.max(k * MMR_DEPTH, MMR_MIN_DEPTH) : k;
 
-		// Convert Float32Array to Array for faiss-node
-		const result = this.index.search(
-			Array.from(queryVec),
-			Math.min(k, this.index.ntotal())
+		// With a threshold, vector lists end where similarity drops below it
+		const vectorSearch = (n) =>
+			minScore === undefined
+				? this._vectorSearch(queryVec, n, matches)
+				: this._rangeSearch(queryVec, minScore, n, matches);
+
+		let results;
+		if (mode === SEARCH_MODES.VECTOR) {
+			results = vectorSearch(depth);
+		} else if (mode === SEARCH_MODES.KEYWORD) {
+			results = this._keywordSearch(query, depth, matches);
+		} else {
+			// Fuse deeper lists so chunks ranked well by only one side can surface
+			const fuseDepth = Math.max(depth * HYBRID_DEPTH, HYBRID_MIN_DEPTH);
+			const vectorResults = vectorSearch(fuseDepth);
+			results = fuseResults(
+				vectorResults,
+				this._keywordSearch(
+					query,
+					Number.isFinite(fuseDepth)
+						? fuseDepth
+						: Math.max(vectorResults.length, HYBRID_MIN_DEPTH),
+					matches
+				),
+				{ fusion, alpha }
+			);
+
+			// Chunks only the keyword side found still get a similarity
+			if (minScore !== undefined) {
+				await this._addSimilarity(results, queryVec);
+				results = results.filter((r) => r.similarity >= minScore);
+			}
+			results = results.slice(0, depth);
+			await this._addSimilarity(results, queryVec);
+		}
+
+		if (!mmr) return results;
+
+		const vectors = await this._getVectors(results);
+		return maximalMarginalRelevance(queryVec, vectors, k, lambda).map(
+			(i) => results[i]
+		);
+	}
+
+	/**
+	 * Find every chunk with similarity >= minScore, however many there are
+	 *
+	 * @param {string} query - Query text
+	 * @param {number} minScore - Similarity threshold (0..1)
+	 * @param {Object} [options] - Same as search()
+	 * @returns {Promise<Array<Object>>} - Same as search(), best first
+	 *
+	 * @example
+	 * const related = await indexer.rangeSearch('refund policy', 0.8);
+	 */
+	rangeSearch(query, minScore, options = {}) {
+		return this.search(query, Infinity, { ...options, minScore });
+	}
+
+	/**
+	 * Search with an embedding instead of query text
+	 * Vector mode only; no embedding request is made.
+	 *
+	 * @param {number[]|Float32Array} vector - Embedding from the index's model
+	 *   (longer Matryoshka embeddings are truncated like indexed ones)
+	 * @param {number} [k=5] - Number of results
+	 * @param {Object} [options] - filter, mmr, lambda and minScore as in search()
+	 * @returns {Promise<Array<Object>>} - Same as search(), best first
+	 */
+	async searchByVector(vector, k = 5, options = {}) {
+		if (options.mode && options.mode !== SEARCH_MODES.VECTOR) {
+			throw new Error(
+				`Vector searches do not support mode '${options.mode}'`
+			);
+		}
+		const vectorOptions = { ...options, mode: SEARCH_MODES.VECTOR };
+		this._validateSearch(k, vectorOptions);
+
+		const queryVec = this._truncate(Array.from(vector));
+		if (queryVec.length !== this.dimension) {
+			throw new Error(
+				`Vector has ${queryVec.length} dimensions, the index ${this.dimension}`
+			);
+		}
+		return this._search(null, this._normalize(queryVec), k, vectorOptions);
+	}
+
+	/**
+	 * Find the chunks most similar to an indexed chunk ("more like this")
+	 * Its vector is read back from the index or index_vectors.fvecs, and
+	 * only re-embedded (usually from the embedding cache) when neither has it.
+	 *
+	 * @param {string} chunkId - chunk_id of an indexed chunk
+	 * @param {number} [k=5] - Number of results, not counting the chunk itself
+	 * @param {Object} [options] - Same as searchByVector()
+	 * @returns {Promise<Array<Object>>} - Same as search(), best first
+	 *
+	 * @example
+	 * const related = await indexer.searchSimilarTo('guides_login_0', 3);
+	 */
+	async searchSimilarTo(chunkId, k = 5, options = {}) {
+		this._validateSearch(k, options);
+		const id = this.metadata.findIndex((m) => m.chunk_id === chunkId);
+		if (id === -1) {
+			throw new Error(`Chunk not found: ${chunkId}`);
+		}
+
+		const [vector] = await this._getVectors([this._toResult(id, 0)]);
+		const results = await this.searchByVector(vector, k + 1, options);
+		return results.filter((r) => r.id !== id).slice(0, k);
+	}
+
+	/**
+	 * Embed a query with the query prompt, prepared like the indexed vectors
+	 * @private
+	 */
+	async _embedQuery(query) {
+		const queryVec = await this.embedder.embed(
+			applyPrompt(this.prompts.query, query)
+		);
+		return this._prepareQuery(queryVec, query);
+	}
+
+	/**
+	 * Embed queries in batches, prepared like the indexed vectors
+	 * @private
+	 */
+	async _embedQueries(queries) {
+		const embeddings = await this.embedder.embedBatch(
+			queries.map((query) => applyPrompt(this.prompts.query, query))
+		);
+		return embeddings.map((embedding, i) =>
+			this._prepareQuery(embedding, queries[i])
+		);
+	}
+
+	/**
+	 * Truncate, check and normalize a query embedding
+	 * @private
+	 */
+	_prepareQuery(queryVec, query) {
+		queryVec = this._truncate(queryVec);
+		this._validateVector(queryVec, query);
+		return this._normalize(queryVec);
+	}
+
+	/**
+	 * One faiss search for several query vectors
+	 * @private
+	 */
+	_multiSearch(queryVecs, k) {
+		const n = Math.min(k, this.index.ntotal());
+		const { distances, labels } = this.index.search(
+			queryVecs.flatMap((queryVec) => Array.from(queryVec)),
+			n
+		);
+		return queryVecs.map((_, q) =>
+			this._toResults({
+				distances: distances.slice(q * n, (q + 1) * n),
+				labels: labels.slice(q * n, (q + 1) * n),
+			})
+		);
+	}
+
+	/**
+	 * Indexed vectors of results: read from flat indexes or
+	 * index_vectors.fvecs, else re-embedded (usually from the embedding cache)
+	 * @private
+	 */
+	async _getVectors(results) {
+		if (this.vectorReader === null) {
+			this.vectorReader =
+				getVectorReader(this.index) ||
+				this._storedVectorReader() ||
+				false;
+		}
+		if (this.vectorReader) {
+			return results.map((r) => this.vectorReader(r.id));
+		}
+
+		// Pooled chunks are re-embedded by sub-window, as the build did
+		let pending = results.map((r, position) => ({
+			position,
+			chunk: r.chunk || "",
+		}));
+		if (this.overflow === OVERFLOW_POLICIES.POOL) {
+			({ pending } = await this._fitToContext(pending, results));
+		}
+		const cache = this.indexPath ? this._openCache(this.indexPath) : null;
+		return this._embedPending(pending, cache);
+	}
+
+	/**
+	 * Read vectors by id from index_vectors.fvecs, if it matches the index
+	 * @private
+	 */
+	_storedVectorReader() {
+		const filePath = this._indexFilePath();
+		const vectorsPath = filePath && getVectorsPath(filePath);
+		if (!vectorsPath || !fs.existsSync(vectorsPath)) return null;
+
+		const vectors = readVectors(vectorsPath);
+		return vectors.length === this.index.ntotal()
+			? (id) => vectors[id]
+			: null;
+	}
+
+	/**
+	 * index.bin of the loaded or saved index (inside its snapshot, if any)
+	 * @private
+	 */
+	_indexFilePath() {
+		return this.snapshot
+			? getSnapshotIndexPath(this.indexPath, this.snapshot)
+			: this.indexPath;
+	}
+
+	/**
+	 * All indexed vectors by id: kept since build, read from
+	 * index_vectors.fvecs or read back from a flat index
+	 * @private
+	 */
+	_loadVectors() {
+		if (this.vectors) return this.vectors;
+
+		const reader =
+			getVectorReader(this.index) || this._storedVectorReader();
+		if (!reader) {
+			throw new Error(
+				`No stored vectors for ${
+					this.indexPath
+				}: rebuild the index once to save ${path.basename(
+					getVectorsPath(this.indexPath || "index.bin")
+				)}`
+			);
+		}
+		this.vectors = Array.from({ length: this.index.ntotal() }, (_, id) =>
+			reader(id)
 		);
+		return this.vectors;
+	}
+
+	/**
+	 * FAISS search, over-fetching when a filter is given
+	 * @private
+	 */
+	_vectorSearch(queryVec, k, matches) {
+		// Convert Float32Array to Array for faiss-node
+		const vector = Array.from(queryVec);
+		const total = this.index.ntotal();
+
+		if (!matches) {
+			return this._toResults(
+				this.index.search(vector, Math.min(k, total))
+			);
+		}
+
+		// faiss-node has no ID selectors: over-fetch by the filter's selectivity,
+		// doubling until k entries match or the whole index was searched
+		const matching = this.metadata.filter(matches).length;
+		if (matching === 0) return [];
+
+		let fetch = Math.min(total, Math.ceil((k * total) / matching));
+		for (;;) {
+			const results = this._toResults(
+				this.index.search(vector, fetch)
+			).filter(matches);
+			if (results.length >= k || fetch >= total) {
+				return results.slice(0, k);
+			}
+			fetch = Math.min(total, fetch * 2);
+		}
+	}
+
+	/**
+	 * Vector search that stops at the first result below minScore
+	 * faiss-node has no range_search, so results are fetched RANGE_BATCH
+	 * (or k) at a time, doubling until one falls below the threshold, k
+	 * results pass or the whole index was searched.
+	 * @private
+	 */
+	_rangeSearch(queryVec, minScore, k, matches) {
+		const total = this.index.ntotal();
+		let fetch = Math.min(total, Number.isFinite(k) ? k : RANGE_BATCH);
+
+		for (;;) {
+			const results = this._vectorSearch(queryVec, fetch, matches);
+			const above = results.filter((r) => r.similarity >= minScore);
+			if (
+				above.length < results.length ||
+				above.length >= k ||
+				results.length < fetch ||
+				fetch >= total
+			) {
+				return above.slice(0, k);
+			}
+			fetch = Math.min(total, fetch * 2);
+		}
+	}
+
+	/**
+	 * Fill in the similarity of results that have none (keyword hits)
+	 * @private
+	 */
+	async _addSimilarity(results, queryVec) {
+		const missing = results.filter((r) => r.similarity === null);
+		if (missing.length === 0) return;
+
+		const vectors = await this._getVectors(missing);
+		missing.forEach((result, i) => {
+			result.similarity = toSimilarity(dot(queryVec, vectors[i]));
+		});
+	}
+
+	/**
+	 * BM25 search over chunk text
+	 * @private
+	 */
+	_keywordSearch(query, k, matches) {
+		if (!this.bm25) {
+			this.bm25 = BM25Index.fromTexts(this.metadata.map((m) => m.chunk));
+		}
 
+		const accept = matches ? (id) => matches(this.metadata[id]) : undefined;
+		return this.bm25
+			.search(query, k, accept)
+			.map(({ id, score }) => this._toResult(id, score));
+	}
+
+	/**
+	 * Map faiss labels to results with their metadata
+	 * @private
+	 */
+	_toResults(result) {
 		const results = [];
 		for (let i = 0; i < result.labels.length; i++) {
 			const idx = result.labels[i];
 			if (idx === -1) continue;
-
-			const meta = this.metadata[idx] || { id: idx };
-			results.push({
-				id: idx,
-				score: result.distances[i],
-				doc: meta.doc,
-				chunk_id: meta.chunk_id,
-				chunk: meta.chunk,
-			});
+			const score = this._toScore(result.distances[i]);
+			results.push(this._toResult(idx, score, toSimilarity(score)));
 		}
 
 		return results;
 	}
 
+	/**
+	 * Convert a faiss distance to a higher-is-better score
+	 * Inner products are used as is. Squared L2 distances between unit
+	 * vectors become the same cosine similarity: 1 - d / 2.
+	 * @private
+	 */
+	_toScore(distance) {
+		return this.metric === "L2" ? 1 - distance / 2 : distance;
+	}
+
+	/**
+	 * One result with its metadata
+	 * @private
+	 */
+	_toResult(idx, score, similarity = null) {
+		// Everything besides the standard fields was added by the caller;
+		// fields named like a standard one (e.g. score) never replace it
+		const meta = this.metadata[idx] || { id: idx };
+		const { id, doc, chunk_id, chunk, ...fields } = meta;
+		return { ...fields, id: idx, score, similarity, doc, chunk_id, chunk };
+	}
+
 	/**
 	 * Get index stats
 	 */
@@ -207,8 +1668,17 @@ export class FaissIndexer {
 			vectors: this.index ? this.index.ntotal() : 0,
 			dimension: this.dimension,
 			type: this.indexType,
+			faissType: this.faissType,
+			metric: this.metric,
+			searchParams: this.searchParams,
 			model: this.model,
+			provider: getProviderName(this.provider),
+			prompts: this.prompts,
+			dimensions: this.dimensions,
+			contextLength: this.contextLength,
+			chunking: this.chunking,
 			baseUrl: this.baseUrl,
+			snapshot: this.snapshot,
 		};
 	}
 }
@@ -220,7 +1690,7 @@ export class FaissIndexer {
  * @param {string} outputPath - Path to save index.bin
  * @param {Object} [options]
  * @param {Function} [options.onProgress] - Progress callback
- * @returns {Promise<{vectors: number, time: number}>}
+ * @returns {Promise<{vectors: number, dimension: number, time: number, retries: number, cache: Object|null}>}
  */
 export async function buildIndex(metadataPath, outputPath, options = {}) {
 	const indexer = new FaissIndexer(options);
@@ -0,0 +1,131 @@
+/**
+ * Federated Search
+ * Searches several loaded indexes (e.g. one per product area) as one.
+ *
+ * Indexes must share the embedding model and dimension. Vector results are
+ * merged by similarity, which means the same thing for every index and
+ * metric. Keyword and hybrid scores depend on each index's own corpus (BM25
+ * statistics, fused ranks), so those lists are merged by rank instead with
+ * reciprocal rank fusion. Each chunk is in one list only, so that comes down
+ * to each index's best result, then each second best, and so on, ties in
+ * similarity order. Every result is labelled with the name of the index it
+ * came from (`index`).
+ */
+
+import { SEARCH_MODES } from "./hybridSearch.js";
+
+/**
+ * Throw unless all indexes were built with the same model and dimension
+ *
+ * @param {Array<{name: string, indexer: FaissIndexer}>} indexes - Loaded indexes
+ */
+export function checkCompatible(indexes) {
+	const [first, ...rest] = indexes;
+	const expected = first.indexer.getStats();
+
+	for (const { name, indexer } of rest) {
+		const stats = indexer.getStats();
+		if (
+			stats.model !== expected.model ||
+			stats.dimension !== expected.dimension
+		) {
+			throw new Error(
+				`Indexes must share model and dimension: ${first.name} uses '${expected.model}' (${expected.dimension} dimensions), ${name} uses '${stats.model}' (${stats.dimension} dimensions)`
+			);
+		}
+	}
+}
+
+/**
+ * Merge the result lists of several indexes
+ *
+ * @param {Array<{name: string, results: Array<Object>}>} lists - Results per index, best first
+ * @param {number} k - Number of results
+ * @param {string} [mode='vector'] - Search mode the lists came from: vector
+ *   results are merged by similarity, keyword and hybrid ones by rank
+ * @returns {Array<Object>} - Best first, each with `index` set to its index name
+ */
+export function mergeResults(lists, k, mode = SEARCH_MODES.VECTOR) {
+	// Similarities are 0..1; results without one go last
+	const bySimilarity = (a, b) =>
+		(b.result.similarity ?? -1) - (a.result.similarity ?? -1);
+	const order =
+		mode === SEARCH_MODES.VECTOR
+			? bySimilarity
+			: (a, b) => a.rank - b.rank || bySimilarity(a, b);
+
+	return lists
+		.flatMap(({ name, results }) =>
+			results.map((result, rank) => ({
+				result: { ...result, index: name },
+				rank,
+			}))
+		)
+		.sort(order)
+		.slice(0, k)
+		.map(({ result }) => result);
+}
+
+/**
+ * Search several indexes and merge their results
+ *
+ * @param {Array<{name: string, indexer: FaissIndexer}>} indexes - Loaded, compatible indexes
+ * @param {string} query - Query text
+ * @param {number} [k=5] - Number of results in total
+ * @param {Object} [options] - Same as FaissIndexer.search()
+ * @returns {Promise<Array<Object>>} - Same as search(), plus `index`
+ *
+ * @example
+ * const results = await searchIndexes(
+ *   [{ name: 'billing', indexer: billing }, { name: 'support', indexer: support }],
+ *   'refunds'
+ * );
+ */
+export async function searchIndexes(indexes, query, k = 5, options = {}) {
+	const lists = [];
+	for (const { name, indexer } of indexes) {
+		lists.push({ name, results: await indexer.search(query, k, options) });
+	}
+	return mergeResults(lists, k, options.mode);
+}
+
+/**
+ * Search several indexes with many queries at once
+ *
+ * @param {Array<{name: string, indexer: FaissIndexer}>} indexes - Loaded, compatible indexes
+ * @param {string[]} queries - Query texts
+ * @param {number} [k=5] - Number of results per query
+ * @param {Object} [options] - Same as FaissIndexer.search()
+ * @returns {Promise<Array<Array<Object>>>} - Merged results of each query, in input order
+ */
+export async function searchIndexesBatch(
+	indexes,
+	queries,
+	k = 5,
+	options = {}
+) {
+	const perIndex = [];
+	for (const { name, indexer } of indexes) {
+		perIndex.push({
+			name,
+			batches: await indexer.searchBatch(queries, k, options),
+		});
+	}
+	return queries.map((_, q) =>
+		mergeResults(
+			perIndex.map(({ name, batches }) => ({
+				name,
+				results: batches[q],
+			})),
+			k,
+			options.mode
+		)
+	);
+}
+
+export default {
+	checkCompatible,
+	mergeResults,
+	searchIndexes,
+	searchIndexesBatch,
+};
@@ -0,0 +1,169 @@
+/**
+ * Host Pool
+ * Spreads embedding requests over several servers of the same provider.
+ *
+ * Hosts that refuse connections or fail repeatedly are removed from
+ * rotation. The last healthy host is never removed, so a single-host
+ * setup keeps failing with the provider's own error messages.
+ */
+
+/**
+ * Host scheduling strategies
+ */
+export const SCHEDULING = {
+	ROUND_ROBIN: "round-robin", // Take turns
+	LEAST_BUSY: "least-busy", // Fewest in-flight requests
+};
+
+// Errors that mean the host itself is unusable (not worth retrying there)
+const HOST_DOWN_CODES = ["ECONNREFUSED", "ENOTFOUND", "EHOSTUNREACH"];
+
+/**
+ * Parse a base URL option into a list of URLs
+ * @param {string|string[]} baseUrl - URL, comma-separated URLs or array
+ * @returns {string[]}
+ */
+export function parseHosts(baseUrl) {
+	const list = Array.isArray(baseUrl) ? baseUrl : String(baseUrl).split(",");
+	return list.map((url) => url.trim().replace(/\/+$/, "")).filter(Boolean);
+}
+
+export class HostPool {
+	/**
+	 * Create a HostPool instance
+	 * @param {string[]} urls - Host base URLs
+	 * @param {Object} [options]
+	 * @param {string} [options.scheduling='round-robin'] - 'round-robin' or 'least-busy'
+	 * @param {number} [options.maxFailures=3] - Consecutive failures before a host is removed
+	 */
+	constructor(urls, options = {}) {
+		if (!urls.length) {
+			throw new Error("At least one host URL is required");
+		}
+
+		this.scheduling = options.scheduling || SCHEDULING.ROUND_ROBIN;
+		if (!Object.values(SCHEDULING).includes(this.scheduling)) {
+			throw new Error(
+				`Unknown scheduling '${
+					this.scheduling
+				}'. Available: ${Object.values(SCHEDULING).join(", ")}`
+			);
+		}
+
+		this.maxFailures = options.maxFailures ?? 3;
+		this.cursor = 0;
+		this.hosts = urls.map((url) => ({
+			url,
+			healthy: true,
+			removedReason: null,
+			inFlight: 0,
+			requests: 0,
+			items: 0,
+			failures: 0,
+			consecutiveFailures: 0,
+			time: 0,
+		}));
+	}
+
+	/**
+	 * Hosts still in rotation
+	 * @returns {Object[]}
+	 */
+	get healthyHosts() {
+		return this.hosts.filter((h) => h.healthy);
+	}
+
+	/**
+	 * Pick the next host according to the scheduling strategy
+	 * @returns {Object}
+	 */
+	acquire() {
+		const healthy = this.healthyHosts;
+
+		if (this.scheduling === SCHEDULING.LEAST_BUSY) {
+			// Ties go round-robin so idle hosts share the load
+			const start = this.cursor++ % healthy.length;
+			const ordered = [
+				...healthy.slice(start),
+				...healthy.slice(0, start),
+			];
+			return ordered.reduce((best, h) =>
+				h.inFlight < best.inFlight ? h : best
+			);
+		}
+
+		return healthy[this.cursor++ % healthy.length];
+	}
+
+	/**
+	 * Take a host out of rotation (unless it is the last one)
+	 * @param {Object} host
+	 * @param {string} reason
+	 * @returns {boolean} - Whether the host was removed
+	 */
+	remove(host, reason) {
+		if (!host.healthy || this.healthyHosts.length <= 1) return false;
+		host.healthy = false;
+		host.removedReason = reason;
+		return true;
+	}
+
+	/**
+	 * Run a request on a host, failing over when the host is down
+	 *
+	 * @param {Function} fn - Async (url) => result
+	 * @param {number} [items=1] - Texts in the request (for throughput stats)
+	 * @returns {Promise<*>}
+	 */
+	async run(fn, items = 1) {
+		for (;;) {
+			const host = this.acquire();
+			const start = Date.now();
+			host.inFlight++;
+
+			try {
+				const result = await fn(host.url);
+				host.requests++;
+				host.items += items;
+				host.time += Date.now() - start;
+				host.consecutiveFailures = 0;
+				return result;
+			} catch (error) {
+				host.failures++;
+				host.consecutiveFailures++;
+				error.host = error.host || host.url;
+
+				// Unreachable host: drop it and try the next one right away
+				if (HOST_DOWN_CODES.includes(error.code)) {
+					if (this.remove(host, error.message)) continue;
+				} else if (host.consecutiveFailures >= this.maxFailures) {
+					this.remove(
+						host,
+						`${host.consecutiveFailures} consecutive failures (last: ${error.message})`
+					);
+				}
+				throw error;
+			} finally {
+				host.inFlight--;
+			}
+		}
+	}
+
+	/**
+	 * Get per-host counters
+	 * @returns {Array<{url, healthy, removedReason, requests, items, failures, avgLatency}>}
+	 */
+	getStats() {
+		return this.hosts.map((h) => ({
+			url: h.url,
+			healthy: h.healthy,
+			removedReason: h.removedReason,
+			requests: h.requests,
+			items: h.items,
+			failures: h.failures,
+			avgLatency: h.requests ? Math.round(h.time / h.requests) : 0,
+		}));
+	}
+}
+
+export default HostPool;
@@ -0,0 +1,199 @@
+/**
+ * HTTP Options
+ * Auth headers, proxy, TLS and keep-alive settings for embedding servers
+ * behind reverse proxies or private CAs.
+ *
+ * Every option can also come from an environment variable (see HTTP_ENV).
+ * Explicit options win over the environment.
+ */
+
+import fs from "fs";
+import http from "http";
+import https from "https";
+import { HttpProxyAgent } from "http-proxy-agent";
+import { HttpsProxyAgent } from "https-proxy-agent";
+
+/**
+ * Environment variables read when an option is not given
+ */
+export const HTTP_ENV = {
+	apiKey: "EMBEDDING_API_KEY", // Sent as "Authorization: Bearer <key>"
+	headers: "EMBEDDING_HEADERS", // JSON object or "Name: value" lines
+	proxy: "EMBEDDING_PROXY", // http(s)://user:pass@host:port
+	ca: "EMBEDDING_CA_CERT", // PEM file path or PEM text
+	cert: "EMBEDDING_CLIENT_CERT", // PEM file path or PEM text
+	key: "EMBEDDING_CLIENT_KEY", // PEM file path or PEM text
+	rejectUnauthorized: "EMBEDDING_TLS_VERIFY", // "false" or "0" skips verification
+	keepAlive: "EMBEDDING_KEEP_ALIVE", // "false" or "0" opens a connection per request
+};
+
+/**
+ * CONNECT tunnel for https targets that verifies the target with the given
+ * TLS options. HttpsProxyAgent only applies its options to the proxy
+ * connection; as agent options they reach the TLS connection to the target.
+ * @private
+ */
+class TunnelAgent extends HttpsProxyAgent {
+	constructor(proxy, { keepAlive, ...tls }) {
+		super(proxy, { keepAlive, ...tls });
+		this.options = { ...this.options, ...tls };
+	}
+}
+
+/**
+ * Read a boolean option given as a boolean or an environment string
+ * @private
+ */
+function parseBoolean(value) {
+	if (value === undefined || typeof value === "boolean") return value;
+	return !/^(false|0|no|off)$/i.test(String(value).trim());
+}
+
+/**
+ * Parse headers from an object, JSON, or "Name: value" lines / list
+ * Lines may be separated by newlines or semicolons.
+ *
+ * @param {Object|string|string[]} value
+ * @returns {Object}
+ */
+export function parseHeaders(value) {
+	if (!value) return {};
+	if (typeof value === "object" && !Array.isArray(value)) return { ...value };
+
+	const text = Array.isArray(value) ? value.join("\n") : String(value);
+	if (text.trim().startsWith("{")) return JSON.parse(text);
+
+	const headers = {};
+	for (const line of text.split(/[\n;]/)) {
+		const colon = line.indexOf(":");
+		if (colon <= 0) continue;
+		headers[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+	}
+	return headers;
+}
+
+/**
+ * Read PEM content from a file path, or return inline PEM as-is
+ * @param {string|Buffer} value
+ * @returns {string|Buffer|undefined}
+ */
+export function readPem(value) {
+	if (!value) return undefined;
+	if (Buffer.isBuffer(value) || value.includes("-----BEGIN")) return value;
+
+	if (!fs.existsSync(value)) {
+		throw new Error(`Certificate file not found: ${value}`);
+	}
+	return fs.readFileSync(value);
+}
+
+/**
+ * Convert a proxy URL into an axios proxy config
+ * @param {string|false} proxy - Proxy URL, or false to ignore HTTP(S)_PROXY
+ * @returns {Object|false|undefined}
+ */
+export function parseProxy(proxy) {
+	if (proxy === false || proxy === "false") return false;
+	if (!proxy) return undefined;
+
+	const url = new URL(proxy);
+	const protocol = url.protocol.replace(":", "");
+	return {
+		protocol,
+		host: url.hostname,
+		port: Number(url.port) || (protocol === "https" ? 443 : 80),
+		...(url.username && {
+			auth: {
+				username: decodeURIComponent(url.username),
+				password: decodeURIComponent(url.password),
+			},
+		}),
+	};
+}
+
+/**
+ * Build the axios request config shared by every call to an embedding server
+ *
+ * With a proxy, requests go through proxy agents instead of axios's own
+ * proxy support: https targets are tunnelled with CONNECT, so TLS (CA,
+ * client certificate) runs end to end and headers never reach the proxy
+ * in clear.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Bearer token
+ * @param {Object|string|string[]} [options.headers] - Extra request headers
+ * @param {string|false} [options.proxy] - Proxy URL (false ignores HTTP(S)_PROXY)
+ * @param {string} [options.ca] - CA certificate (PEM path or text)
+ * @param {string} [options.cert] - Client certificate (PEM path or text)
+ * @param {string} [options.key] - Client key (PEM path or text)
+ * @param {boolean} [options.rejectUnauthorized=true] - Verify server certificates
+ * @param {boolean} [options.keepAlive=true] - Reuse connections between requests
+ * @param {Object} [env=process.env]
+ * @returns {{headers: Object, httpAgent: http.Agent, httpsAgent: https.Agent, proxy?: false}}
+ */
+export function createRequestConfig(options = {}, env = process.env) {
+	const pick = (name) => options[name] ?? env[HTTP_ENV[name]];
+
+	const headers = parseHeaders(pick("headers"));
+	const apiKey = pick("apiKey");
+	if (
+		apiKey &&
+		!Object.keys(headers).some((h) => /^authorization$/i.test(h))
+	) {
+		headers.Authorization = `Bearer ${apiKey}`;
+	}
+
+	const keepAlive = parseBoolean(pick("keepAlive")) ?? true;
+	const tls = {
+		ca: readPem(pick("ca")),
+		cert: readPem(pick("cert")),
+		key: readPem(pick("key")),
+		rejectUnauthorized: parseBoolean(pick("rejectUnauthorized")) ?? true,
+	};
+
+	const proxyUrl = pick("proxy");
+	const proxy = parseProxy(proxyUrl);
+	if (proxy) {
+		return {
+			headers,
+			httpAgent: new HttpProxyAgent(proxyUrl, { keepAlive }),
+			httpsAgent: new TunnelAgent(proxyUrl, { keepAlive, ...tls }),
+			proxy: false,
+		};
+	}
+
+	const config = {
+		headers,
+		httpAgent: new http.Agent({ keepAlive }),
+		httpsAgent: new https.Agent({ keepAlive, ...tls }),
+	};
+	if (proxy === false) config.proxy = false;
+	return config;
+}
+
+/**
+ * Describe the connection settings without leaking secrets
+ * @param {Object} config - From createRequestConfig()
+ * @returns {string}
+ */
+export function describeRequestConfig(config) {
+	const parts = [];
+	const names = Object.keys(config.headers);
+	if (names.length) parts.push(`headers: ${names.join(", ")}`);
+	const proxy = config.httpsAgent.proxy;
+	if (proxy) parts.push(`proxy: ${proxy.protocol}//${proxy.host}`);
+	const tls = config.httpsAgent.options;
+	if (tls.ca) parts.push("custom CA");
+	if (tls.cert) parts.push("client cert");
+	if (!tls.rejectUnauthorized) parts.push("TLS verification off");
+	return parts.length ? parts.join(", ") : "default";
+}
+
+export default {
+	createRequestConfig,
+	describeRequestConfig,
+	parseHeaders,
+	parseProxy,
+	readPem,
+	HTTP_ENV,
+};
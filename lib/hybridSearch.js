@@ -0,0 +1,132 @@
+/**
+ * Hybrid Search
+ * Fuses vector (FAISS) and keyword (BM25) rankings.
+ *
+ * - rrf:      Reciprocal rank fusion, sum of 1 / (rrfK + rank). Only ranks
+ *             matter, so the two score scales never need to agree.
+ * - weighted: alpha * vector + (1 - alpha) * keyword, each min-max
+ *             normalized to 0..1 within its result list.
+ */
+
+/**
+ * Search modes
+ */
+export const SEARCH_MODES = {
+	VECTOR: "vector", // FAISS only (default)
+	KEYWORD: "keyword", // BM25 only
+	HYBRID: "hybrid", // Both, fused
+};
+
+/**
+ * Ways to fuse the two rankings
+ */
+export const FUSION_METHODS = {
+	RRF: "rrf",
+	WEIGHTED: "weighted",
+};
+
+// Standard RRF constant (Cormack et al.)
+const DEFAULT_RRF_K = 60;
+
+/**
+ * Throw for unknown modes / fusion methods
+ * @param {string} mode
+ * @param {string} [fusion]
+ */
+export function validateSearchOptions(mode, fusion) {
+	if (!Object.values(SEARCH_MODES).includes(mode)) {
+		throw new Error(
+			`Unknown search mode '${mode}'. Available: ${Object.values(
+				SEARCH_MODES
+			).join(", ")}`
+		);
+	}
+	if (fusion && !Object.values(FUSION_METHODS).includes(fusion)) {
+		throw new Error(
+			`Unknown fusion method '${fusion}'. Available: ${Object.values(
+				FUSION_METHODS
+			).join(", ")}`
+		);
+	}
+}
+
+/**
+ * Scale scores to 0..1 (all equal scores become 1)
+ * @private
+ */
+function normalizeScores(results) {
+	const scores = results.map((r) => r.score);
+	const min = Math.min(...scores);
+	const range = Math.max(...scores) - min;
+	return new Map(
+		results.map((r) => [r.id, range ? (r.score - min) / range : 1])
+	);
+}
+
+/**
+ * Fuse two ranked result lists
+ *
+ * @param {Array<{id: number, score: number}>} vectorResults - Best first
+ * @param {Array<{id: number, score: number}>} keywordResults - Best first
+ * @param {Object} [options]
+ * @param {string} [options.fusion='rrf'] - 'rrf' or 'weighted'
+ * @param {number} [options.alpha=0.5] - Vector weight for 'weighted'
+ * @param {number} [options.rrfK=60] - Rank offset for 'rrf'
+ * @returns {Array<Object>} - Results with fused `score`, plus `vectorScore` and
+ *   `keywordScore` (null when a list did not return the chunk), best first
+ */
+export function fuseResults(vectorResults, keywordResults, options = {}) {
+	const {
+		fusion = FUSION_METHODS.RRF,
+		alpha = 0.5,
+		rrfK = DEFAULT_RRF_K,
+	} = options;
+
+	const fused = new Map();
+	const entry = (result) => {
+		if (!fused.has(result.id)) {
+			fused.set(result.id, {
+				...result,
+				score: 0,
+				vectorScore: null,
+				keywordScore: null,
+			});
+		}
+		return fused.get(result.id);
+	};
+
+	if (fusion === FUSION_METHODS.WEIGHTED) {
+		const vector = normalizeScores(vectorResults);
+		const keyword = normalizeScores(keywordResults);
+		for (const result of vectorResults) {
+			const item = entry(result);
+			item.vectorScore = result.score;
+			item.score += alpha * vector.get(result.id);
+		}
+		for (const result of keywordResults) {
+			const item = entry(result);
+			item.keywordScore = result.score;
+			item.score += (1 - alpha) * keyword.get(result.id);
+		}
+	} else {
+		vectorResults.forEach((result, rank) => {
+			const item = entry(result);
+			item.vectorScore = result.score;
+			item.score += 1 / (rrfK + rank + 1);
+		});
+		keywordResults.forEach((result, rank) => {
+			const item = entry(result);
+			item.keywordScore = result.score;
+			item.score += 1 / (rrfK + rank + 1);
+		});
+	}
+
+	return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+export default {
+	fuseResults,
+	validateSearchOptions,
+	SEARCH_MODES,
+	FUSION_METHODS,
+};
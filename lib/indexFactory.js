@@ -0,0 +1,339 @@
+/**
+ * Index Factory
+ * Creates flat or approximate FAISS indexes from index type strings,
+ * identifies indexes read from disk and tunes their search parameters.
+ *
+ * Index types:
+ * - 'IP' / 'L2'     Flat (exact) index, inner product (cosine) or euclidean
+ * - factory string  Any faiss index_factory description, e.g. 'HNSW32',
+ *                   'IVF1024,Flat', 'IVF1024,PQ64', 'PQ64'
+ */
+
+import fs from "fs";
+import faiss from "faiss-node";
+
+const { Index, IndexFlatL2, IndexFlatIP, MetricType } = faiss;
+
+/**
+ * Flat index types (no training, exact search)
+ */
+export const FLAT_INDEX_TYPES = ["IP", "L2"];
+
+// faiss recommends at least 39 training points per centroid
+const POINTS_PER_CENTROID = 39;
+
+// PQ sub-quantizers use 2^8 centroids by default
+const PQ_CENTROIDS = 256;
+
+/**
+ * Check whether an index type is one of the flat shortcuts
+ * @param {string} indexType
+ * @returns {boolean}
+ */
+export function isFlatIndexType(indexType) {
+	return FLAT_INDEX_TYPES.includes(indexType);
+}
+
+/**
+ * Create an empty index
+ *
+ * @param {number} dimension - Vector dimension
+ * @param {string} [indexType='IP'] - 'IP', 'L2' or a faiss factory string
+ * @param {string} [metric='IP'] - Metric for factory indexes: 'IP' or 'L2'
+ * @returns {Index}
+ */
+export function createIndex(dimension, indexType = "IP", metric = "IP") {
+	if (indexType === "L2") return new IndexFlatL2(dimension);
+	if (indexType === "IP") return new IndexFlatIP(dimension);
+
+	try {
+		return Index.fromFactory(
+			dimension,
+			indexType,
+			metric === "L2"
+				? MetricType.METRIC_L2
+				: MetricType.METRIC_INNER_PRODUCT
+		);
+	} catch (error) {
+		throw new Error(
+			`Invalid index type '${indexType}': ${error.message}. ` +
+				"Use IP, L2 or a faiss factory string like HNSW32 or IVF1024,PQ64"
+		);
+	}
+}
+
+/**
+ * Read an index from disk, whatever type was written
+ * Use detectIndexType() to find out which one it is.
+ *
+ * @param {string} indexPath
+ * @returns {Index}
+ */
+export function readIndex(indexPath) {
+	return Index.read(indexPath);
+}
+
+/**
+ * Training requirements of a factory string
+ *
+ * @param {string} indexType
+ * @returns {{min: number, recommended: number}} - Vectors needed to train
+ *   (min: faiss refuses fewer; recommended: enough for good centroids)
+ */
+export function getTrainingSize(indexType) {
+	if (isFlatIndexType(indexType)) return { min: 0, recommended: 0 };
+
+	let centroids = 0;
+	const ivf = /IVF(\d+)/.exec(indexType);
+	if (ivf) centroids = Math.max(centroids, Number(ivf[1]));
+	if (/PQ\d+/.test(indexType)) centroids = Math.max(centroids, PQ_CENTROIDS);
+
+	return { min: centroids, recommended: centroids * POINTS_PER_CENTROID };
+}
+
+/**
+ * Pick the vectors to train on: a uniform random sample (reservoir sampling),
+ * so centroids reflect the whole corpus rather than its first documents
+ *
+ * @param {Array<Float32Array|number[]>} vectors
+ * @param {number} size - Vectors wanted
+ * @param {Function} [random=Math.random]
+ * @returns {Array<Float32Array|number[]>} - All of them when there are no more than size
+ */
+export function sampleTrainingVectors(vectors, size, random = Math.random) {
+	const sample = vectors.slice(0, size);
+	for (let i = size; i < vectors.length; i++) {
+		const j = Math.floor(random() * (i + 1));
+		if (j < size) sample[j] = vectors[i];
+	}
+	return sample;
+}
+
+/**
+ * Train an index on vectors, with a clear error when there are too few
+ *
+ * @param {Index} index
+ * @param {number[]} vectors - Flattened training vectors
+ * @param {string} indexType - For error messages
+ */
+export function trainIndex(index, vectors, indexType) {
+	const count = vectors.length / index.getDimension();
+	const { min } = getTrainingSize(indexType);
+
+	if (count < min) {
+		throw new Error(
+			`Not enough vectors to train ${indexType}: got ${count}, need at least ${min}. ` +
+				"Use fewer IVF lists (e.g. IVF16,Flat), HNSW32 or a flat index for small corpora"
+		);
+	}
+
+	index.train(vectors);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Search parameters
+//
+// faiss-node does not expose nprobe / efSearch setters, but faiss stores
+// both in the serialized index. They are patched in the buffer and the
+// index is re-read. Offsets follow faiss/impl/index_write.cpp.
+// ─────────────────────────────────────────────────────────────
+
+// fourcc(4) d(4) ntotal(8) dummy(8) dummy(8) is_trained(1) metric_type(4)
+const INDEX_HEADER_SIZE = 37;
+
+// Serialized fourcc -> faiss index class
+const FOURCC_CLASSES = {
+	IxFI: "IndexFlatIP",
+	IxF2: "IndexFlatL2",
+	IxFl: "IndexFlat",
+	IxPq: "IndexPQ",
+	IxSQ: "IndexScalarQuantizer",
+	IwFl: "IndexIVFFlat",
+	IwPQ: "IndexIVFPQ",
+	IwSq: "IndexIVFScalarQuantizer",
+	IHNf: "IndexHNSWFlat",
+	IHNp: "IndexHNSWPQ",
+	IHNs: "IndexHNSWSQ",
+	IxMp: "IndexIDMap",
+};
+
+// faiss MetricType values
+const METRICS = { 0: "IP", 1: "L2" };
+
+/**
+ * Size of the common index header (metric_arg follows for metrics > L2)
+ * @private
+ */
+function headerSize(buf) {
+	return INDEX_HEADER_SIZE + (buf.readInt32LE(33) > 1 ? 4 : 0);
+}
+
+/**
+ * Offset of IVF nprobe (after nlist)
+ * @private
+ */
+function nprobeOffset(buf) {
+	return headerSize(buf) + 8;
+}
+
+/**
+ * Offset of HNSW efSearch (after the graph vectors and 3 int fields)
+ * @private
+ */
+function efSearchOffset(buf) {
+	let offset = headerSize(buf);
+
+	// assign_probas (double), cum_nneighbor_per_level (int),
+	// levels (int), offsets (size_t), neighbors (int)
+	for (const itemSize of [8, 4, 4, 8, 4]) {
+		const size = Number(buf.readBigUInt64LE(offset));
+		offset += 8 + size * itemSize;
+	}
+
+	// entry_point, max_level, efConstruction
+	return offset + 12;
+}
+
+/**
+ * Get the index family from its serialized fourcc
+ * @param {Buffer} buf - Serialized index
+ * @returns {'ivf'|'hnsw'|null}
+ */
+export function getIndexFamily(buf) {
+	const fourcc = buf.toString("latin1", 0, 4);
+	if (fourcc.startsWith("Iw")) return "ivf";
+	if (fourcc.startsWith("IHN")) return "hnsw";
+	return null;
+}
+
+/**
+ * Describe a serialized index from its header
+ *
+ * @param {Buffer} buf - Serialized index (the first 37 bytes suffice)
+ * @returns {{indexType: string, metric: string, faissType: string}} - indexType is
+ *   'IP' or 'L2' for flat indexes, the faiss class name otherwise
+ */
+export function describeIndex(buf) {
+	const fourcc = buf.toString("latin1", 0, 4);
+	const metricType = buf.readInt32LE(33);
+	const metric = METRICS[metricType] || `metric ${metricType}`;
+	const faissType = FOURCC_CLASSES[fourcc] || fourcc;
+
+	return {
+		indexType:
+			fourcc.startsWith("IxF") && METRICS[metricType]
+				? metric
+				: faissType,
+		metric,
+		faissType,
+	};
+}
+
+/**
+ * Detect the type and metric of an index file without loading it
+ * @param {string} indexPath
+ * @returns {{indexType: string, metric: string, faissType: string}}
+ */
+export function detectIndexType(indexPath) {
+	const header = Buffer.alloc(INDEX_HEADER_SIZE);
+	const fd = fs.openSync(indexPath, "r");
+	try {
+		const bytes = fs.readSync(fd, header, 0, INDEX_HEADER_SIZE, 0);
+		if (bytes < INDEX_HEADER_SIZE) {
+			throw new Error(`Not a FAISS index: ${indexPath}`);
+		}
+	} finally {
+		fs.closeSync(fd);
+	}
+	return describeIndex(header);
+}
+
+/**
+ * Read nprobe / efSearch from an index
+ * @param {Index} index
+ * @returns {{nprobe?: number, efSearch?: number}}
+ */
+export function getSearchParams(index) {
+	const buf = index.toBuffer();
+	const family = getIndexFamily(buf);
+
+	if (family === "ivf") {
+		return { nprobe: Number(buf.readBigUInt64LE(nprobeOffset(buf))) };
+	}
+	if (family === "hnsw") {
+		return { efSearch: buf.readInt32LE(efSearchOffset(buf)) };
+	}
+	return {};
+}
+
+/**
+ * Set nprobe (IVF) and/or efSearch (HNSW)
+ * Parameters that do not apply to the index type are rejected.
+ *
+ * @param {Index} index
+ * @param {Object} params
+ * @param {number} [params.nprobe] - IVF lists visited per query
+ * @param {number} [params.efSearch] - HNSW candidate list size per query
+ * @returns {Index} - The tuned index (a new instance if anything changed)
+ */
+export function setSearchParams(index, { nprobe, efSearch } = {}) {
+	if (nprobe === undefined && efSearch === undefined) return index;
+
+	const buf = index.toBuffer();
+	const family = getIndexFamily(buf);
+
+	if (nprobe !== undefined) {
+		if (family !== "ivf") {
+			throw new Error("nprobe only applies to IVF indexes");
+		}
+		buf.writeBigUInt64LE(BigInt(nprobe), nprobeOffset(buf));
+	}
+
+	if (efSearch !== undefined) {
+		if (family !== "hnsw") {
+			throw new Error("efSearch only applies to HNSW indexes");
+		}
+		buf.writeInt32LE(efSearch, efSearchOffset(buf));
+	}
+
+	return Index.fromBuffer(buf);
+}
+
+/**
+ * Read stored vectors back from a flat index
+ * faiss-node has no reconstruct(), but flat indexes serialize their raw
+ * vectors right after the header (float count as u64, then the floats).
+ *
+ * @param {Index} index
+ * @returns {Function|null} - (id) => Float32Array, or null for index types
+ *   that do not store raw vectors in that layout
+ */
+export function getVectorReader(index) {
+	const buf = index.toBuffer();
+	if (!buf.toString("latin1", 0, 3).startsWith("IxF")) return null;
+
+	const d = buf.readInt32LE(4);
+	const offset = headerSize(buf) + 8;
+	return (id) => {
+		const vector = new Float32Array(d);
+		for (let j = 0; j < d; j++) {
+			vector[j] = buf.readFloatLE(offset + (id * d + j) * 4);
+		}
+		return vector;
+	};
+}
+
+export default {
+	createIndex,
+	readIndex,
+	describeIndex,
+	detectIndexType,
+	trainIndex,
+	getTrainingSize,
+	sampleTrainingVectors,
+	getSearchParams,
+	setSearchParams,
+	getVectorReader,
+	isFlatIndexType,
+	FLAT_INDEX_TYPES,
+};
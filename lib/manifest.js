@@ -0,0 +1,133 @@
+/**
+ * Index Manifest
+ * index_manifest.json records how an index was built (model, dimension,
+ * index type, prompts, context length and overflow policy, chunking, tool
+ * version), so loading it can configure
+ * queries and updates the same way and reject incompatible settings.
+ */
+
+import fs from "fs";
+
+/**
+ * Version of this package, recorded in every manifest
+ */
+export const TOOL_VERSION = JSON.parse(
+	fs.readFileSync(new URL("../package.json", import.meta.url), "utf-8")
+).version;
+
+/**
+ * Path of the manifest belonging to an index file
+ * @param {string} indexPath - Path to index.bin
+ * @returns {string}
+ */
+export function getManifestPath(indexPath) {
+	return indexPath.replace(".bin", "_manifest.json");
+}
+
+/**
+ * Read the manifest of an index
+ * @param {string} indexPath - Path to index.bin
+ * @returns {Object|null} - null for indexes built without one
+ */
+export function readManifest(indexPath) {
+	const manifestPath = getManifestPath(indexPath);
+	if (!fs.existsSync(manifestPath)) return null;
+
+	try {
+		return JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+	} catch (error) {
+		throw new Error(`Invalid manifest ${manifestPath}: ${error.message}`);
+	}
+}
+
+/**
+ * Write the manifest of an index, stamped with the tool version
+ * @param {string} indexPath - Path to index.bin
+ * @param {Object} manifest
+ * @returns {Object} - The written manifest
+ */
+export function writeManifest(indexPath, manifest) {
+	const written = { ...manifest, toolVersion: TOOL_VERSION };
+	fs.writeFileSync(
+		getManifestPath(indexPath),
+		JSON.stringify(written, null, 2)
+	);
+	return written;
+}
+
+/**
+ * Check requested settings against the manifest
+ * Settings left undefined are not checked (they are taken from the manifest).
+ *
+ * @param {Object} manifest
+ * @param {Object} requested
+ * @param {string} [requested.provider] - Embedding provider name
+ * @param {string} [requested.model] - Embedding model
+ * @param {string} [requested.indexType] - 'IP', 'L2' or factory string
+ * @param {number} [requested.dimensions] - Matryoshka truncation
+ * @param {number} [indexDimension] - Dimension of the loaded index.bin
+ * @throws {Error} - Listing every mismatch and how to fix it
+ */
+export function checkManifest(manifest, requested = {}, indexDimension) {
+	const mismatches = [];
+
+	if (
+		requested.provider &&
+		manifest.provider &&
+		requested.provider !== manifest.provider
+	) {
+		mismatches.push(
+			`provider '${manifest.provider}', not '${requested.provider}'`
+		);
+	}
+	if (
+		requested.model &&
+		manifest.model &&
+		requested.model !== manifest.model
+	) {
+		mismatches.push(`model '${manifest.model}', not '${requested.model}'`);
+	}
+	if (
+		requested.indexType &&
+		manifest.indexType &&
+		requested.indexType !== manifest.indexType
+	) {
+		mismatches.push(
+			`index type '${manifest.indexType}', not '${requested.indexType}'`
+		);
+	}
+	if (
+		requested.dimensions &&
+		manifest.dimension &&
+		requested.dimensions !== manifest.dimension
+	) {
+		mismatches.push(
+			`${manifest.dimension} dimensions, not ${requested.dimensions}`
+		);
+	}
+
+	if (mismatches.length > 0) {
+		throw new Error(
+			`Index was built with ${mismatches.join(", ")}. ` +
+				"Omit these options to use the index's settings, or rebuild the index"
+		);
+	}
+
+	if (
+		indexDimension &&
+		manifest.dimension &&
+		manifest.dimension !== indexDimension
+	) {
+		throw new Error(
+			`Manifest does not match the index: ${manifest.dimension} dimensions recorded, ${indexDimension} stored. Rebuild the index`
+		);
+	}
+}
+
+export default {
+	getManifestPath,
+	readManifest,
+	writeManifest,
+	checkManifest,
+	TOOL_VERSION,
+};
@@ -0,0 +1,193 @@
+/**
+ * Metadata Filter
+ * Matches index metadata entries against a filter object.
+ *
+ * Filter syntax (all fields must match):
+ *   { lang: "en" }                        equality
+ *   { lang: { $ne: "de" } }               inequality
+ *   { tag: { $in: ["api", "guide"] } }    one of
+ *   { year: { $gte: 2020, $lt: 2024 } }   ranges ($gt, $gte, $lt, $lte)
+ *   { doc: "guides/*.md" }                glob on doc ('*', '**', '?')
+ *   { path: { $glob: "src/**" } }         glob on any field
+ */
+
+const OPERATORS = {
+	$eq: (value, expected) => value === expected,
+	$ne: (value, expected) => value !== expected,
+	$in: (value, expected) => asList(expected, "$in").includes(value),
+	$nin: (value, expected) => !asList(expected, "$nin").includes(value),
+	$gt: (value, expected) => value != null && value > expected,
+	$gte: (value, expected) => value != null && value >= expected,
+	$lt: (value, expected) => value != null && value < expected,
+	$lte: (value, expected) => value != null && value <= expected,
+	$glob: (value, expected) =>
+		typeof value === "string" && globToRegExp(expected).test(value),
+};
+
+// Comparison prefixes for CLI expressions, longest first
+const EXPRESSION_OPERATORS = [
+	[">=", "$gte"],
+	["<=", "$lte"],
+	["!=", "$ne"],
+	[">", "$gt"],
+	["<", "$lt"],
+	["=", "$eq"],
+];
+
+function asList(expected, operator) {
+	if (!Array.isArray(expected)) {
+		throw new Error(`${operator} expects an array`);
+	}
+	return expected;
+}
+
+/**
+ * Convert a glob to a regular expression
+ * '**' matches across '/', '*' within one path segment, '?' one character.
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+	let source = "";
+	for (let i = 0; i < glob.length; i++) {
+		const char = glob[i];
+		if (char === "*" && glob[i + 1] === "*") {
+			// '**/' also matches no directory at all
+			source += glob[i + 2] === "/" ? "(?:.*/)?" : ".*";
+			i += glob[i + 2] === "/" ? 2 : 1;
+		} else if (char === "*") {
+			source += "[^/]*";
+		} else if (char === "?") {
+			source += "[^/]";
+		} else {
+			source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+		}
+	}
+	return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compile a filter into a predicate over metadata entries
+ *
+ * @param {Object} [filter]
+ * @returns {Function|null} - (meta) => boolean, or null for an empty filter
+ */
+export function compileFilter(filter) {
+	if (!filter || Object.keys(filter).length === 0) return null;
+	if (typeof filter !== "object" || Array.isArray(filter)) {
+		throw new Error("Filter must be an object of field conditions");
+	}
+
+	const checks = Object.entries(filter).map(([field, condition]) => {
+		// Plain values: equality, or a glob for doc paths
+		if (
+			condition === null ||
+			typeof condition !== "object" ||
+			Array.isArray(condition)
+		) {
+			const operator =
+				field === "doc" &&
+				typeof condition === "string" &&
+				/[*?]/.test(condition)
+					? "$glob"
+					: "$eq";
+			condition = { [operator]: condition };
+		}
+
+		return Object.entries(condition).map(([operator, expected]) => {
+			const test = OPERATORS[operator];
+			if (!test) {
+				throw new Error(
+					`Unknown filter operator '${operator}'. Available: ${Object.keys(
+						OPERATORS
+					).join(", ")}`
+				);
+			}
+			return (meta) => test(meta[field], expected);
+		});
+	});
+
+	const tests = checks.flat();
+	return (meta) => tests.every((test) => test(meta));
+}
+
+/**
+ * Parse a CLI filter: JSON, or expressions like 'lang=en', 'year>=2020',
+ * 'tag=api|guide' (one of) or 'doc=guides/*.md' (glob)
+ *
+ * @param {string|string[]} input - JSON object or expressions
+ * @returns {Object} - Filter object
+ */
+export function parseFilter(input) {
+	const expressions = Array.isArray(input) ? input : [input];
+	const filter = {};
+
+	for (const expression of expressions) {
+		const text = String(expression).trim();
+		if (text.startsWith("{")) {
+			mergeConditions(filter, JSON.parse(text));
+			continue;
+		}
+
+		const match = EXPRESSION_OPERATORS.map(([symbol, operator]) => ({
+			symbol,
+			operator,
+			index: text.indexOf(symbol),
+		}))
+			.filter((m) => m.index > 0)
+			.sort((a, b) => a.index - b.index)[0];
+		if (!match) {
+			throw new Error(
+				`Invalid filter '${text}'. Use field=value, field>=n, field!=value or JSON`
+			);
+		}
+
+		const field = text.slice(0, match.index).trim();
+		const raw = text.slice(match.index + match.symbol.length).trim();
+
+		let condition;
+		if (match.operator === "$eq" && raw.includes("|")) {
+			condition = { $in: raw.split("|").map(parseValue) };
+		} else if (match.operator === "$eq") {
+			condition = parseValue(raw);
+		} else {
+			condition = { [match.operator]: parseValue(raw) };
+		}
+		mergeConditions(filter, { [field]: condition });
+	}
+
+	return filter;
+}
+
+/**
+ * Combine conditions on the same field (e.g. 'year>=2020' and 'year<2024')
+ * @private
+ */
+function mergeConditions(filter, conditions) {
+	for (const [field, condition] of Object.entries(conditions)) {
+		const existing = filter[field];
+		filter[field] =
+			isOperatorObject(existing) && isOperatorObject(condition)
+				? { ...existing, ...condition }
+				: condition;
+	}
+}
+
+function isOperatorObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Numbers and booleans in CLI expressions keep their type
+ * @private
+ */
+function parseValue(raw) {
+	if (raw === "true") return true;
+	if (raw === "false") return false;
+	if (raw === "null") return null;
+	if (raw !== "" && !isNaN(Number(raw))) return Number(raw);
+	return raw;
+}
+
+export default { compileFilter, parseFilter, globToRegExp };
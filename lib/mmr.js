@@ -0,0 +1,79 @@
+/**
+ * Maximal Marginal Relevance
+ * Picks results that are relevant to the query but not to each other, so
+ * overlapping chunks of one document do not crowd out everything else.
+ *
+ * Each step selects the candidate maximizing
+ *   lambda * sim(query, c) - (1 - lambda) * max sim(c, selected)
+ * lambda = 1 is plain relevance ranking, lambda = 0 maximum diversity.
+ */
+
+/**
+ * Default trade-off between relevance and diversity
+ */
+export const DEFAULT_MMR_LAMBDA = 0.5;
+
+/**
+ * Dot product (cosine similarity for normalized vectors)
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number}
+ */
+export function dot(a, b) {
+	let sum = 0;
+	for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+	return sum;
+}
+
+/**
+ * Select k diverse candidates
+ *
+ * @param {ArrayLike<number>} queryVector - Normalized query embedding
+ * @param {ArrayLike<number>[]} vectors - Normalized candidate embeddings
+ * @param {number} k - Number to select
+ * @param {number} [lambda=0.5] - 0..1, relevance weight
+ * @returns {number[]} - Indexes into vectors, in selection order
+ */
+export function maximalMarginalRelevance(
+	queryVector,
+	vectors,
+	k,
+	lambda = DEFAULT_MMR_LAMBDA
+) {
+	if (!(lambda >= 0 && lambda <= 1)) {
+		throw new Error(`MMR lambda must be between 0 and 1, got ${lambda}`);
+	}
+
+	const relevance = vectors.map((vector) => dot(queryVector, vector));
+	// Highest similarity of each candidate to anything selected so far
+	const redundancy = vectors.map(() => -Infinity);
+	const remaining = new Set(vectors.keys());
+	const selected = [];
+
+	while (selected.length < k && remaining.size > 0) {
+		let best = -1;
+		let bestScore = -Infinity;
+		for (const i of remaining) {
+			const score =
+				lambda * relevance[i] -
+				(selected.length ? (1 - lambda) * redundancy[i] : 0);
+			if (score > bestScore) {
+				best = i;
+				bestScore = score;
+			}
+		}
+
+		selected.push(best);
+		remaining.delete(best);
+		for (const i of remaining) {
+			redundancy[i] = Math.max(
+				redundancy[i],
+				dot(vectors[i], vectors[best])
+			);
+		}
+	}
+
+	return selected;
+}
+
+export default { maximalMarginalRelevance, dot, DEFAULT_MMR_LAMBDA };
@@ -0,0 +1,95 @@
+/**
+ * Mock Embedder
+ * Deterministic, offline embeddings for tests, CI and dry runs.
+ *
+ * Hashes word and character-trigram features into a fixed number of
+ * dimensions (the "hashing trick"), so texts sharing words land close
+ * together and the same text always gets the same vector. No server needed.
+ */
+
+import { BaseEmbedder, normalizeVector } from "./baseEmbedder.js";
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} str
+ * @returns {number}
+ */
+function fnv1a(str) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < str.length; i++) {
+		hash ^= str.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+}
+
+export class MockEmbedder extends BaseEmbedder {
+	/**
+	 * Create a MockEmbedder instance
+	 * @param {Object} [options]
+	 * @param {string} [options.model='mock'] - Model name (only used in cache keys and stats)
+	 * @param {number} [options.dimension=384] - Embedding dimension
+	 * @param {number} [options.batchSize=32] - Texts per batch
+	 */
+	constructor(options = {}) {
+		super({ ...options, dimension: options.dimension || 384 });
+		this.model = options.model || "mock";
+	}
+
+	/**
+	 * Generate embedding for text
+	 * @param {string} text
+	 * @returns {Promise<Float32Array>}
+	 */
+	async embed(text) {
+		const vec = new Float32Array(this.dimension);
+
+		for (const feature of this._features(text)) {
+			const hash = fnv1a(feature);
+			// High bit picks the sign so collisions tend to cancel out
+			vec[hash % this.dimension] += hash & 0x80000000 ? -1 : 1;
+		}
+
+		return normalizeVector(vec);
+	}
+
+	/**
+	 * Dimension is fixed by configuration, no probe needed
+	 * @returns {Promise<number>}
+	 */
+	async detectDimension() {
+		return this.dimension;
+	}
+
+	/**
+	 * Always available
+	 * @returns {Promise<{ok: boolean, message: string}>}
+	 */
+	async healthCheck() {
+		return {
+			ok: true,
+			message: `Mock embedder ready (${this.dimension} dimensions, offline)`,
+		};
+	}
+
+	/**
+	 * Extract word and character-trigram features
+	 * @private
+	 */
+	_features(text) {
+		const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+		const features = [];
+
+		for (const word of words) {
+			features.push(`w:${word}`);
+			const padded = ` ${word} `;
+			for (let i = 0; i + 3 <= padded.length; i++) {
+				features.push(`g:${padded.slice(i, i + 3)}`);
+			}
+		}
+
+		return features;
+	}
+}
+
+export default MockEmbedder;
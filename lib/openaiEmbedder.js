@@ -0,0 +1,129 @@
+/**
+ * OpenAI-compatible Embedder
+ * Talks to any server exposing POST /v1/embeddings
+ * (llama.cpp server, vLLM, LM Studio, OpenAI).
+ */
+
+import axios from "axios";
+import { BaseEmbedder } from "./baseEmbedder.js";
+import { createRequestConfig } from "./httpOptions.js";
+
+export class OpenAIEmbedder extends BaseEmbedder {
+	/**
+	 * Create an OpenAIEmbedder instance
+	 * @param {Object} [options]
+	 * @param {string} [options.baseUrl='http://localhost:8080'] - Server URL (without /v1)
+	 * @param {string} [options.model='nomic-embed-text'] - Embedding model
+	 * @param {number} [options.dimension] - Embedding dimension (detected by probing if omitted)
+	 * @param {number} [options.batchSize=32] - Texts per request
+	 * @param {number} [options.concurrency=2] - Parallel in-flight requests
+	 * @param {number} [options.timeout=30000] - Per-request timeout (ms)
+	 * @param {number} [options.retries=3] - Retries on timeouts and 5xx
+	 * @param {string} [options.apiKey] - Bearer token (env: EMBEDDING_API_KEY)
+	 * @param {Object|string} [options.headers] - Extra request headers (env: EMBEDDING_HEADERS)
+	 * @param {string|false} [options.proxy] - HTTP(S) proxy URL (env: EMBEDDING_PROXY, HTTPS_PROXY)
+	 * @param {string} [options.ca] - CA certificate, PEM path or text (env: EMBEDDING_CA_CERT)
+	 * @param {string} [options.cert] - Client certificate (env: EMBEDDING_CLIENT_CERT)
+	 * @param {string} [options.key] - Client key (env: EMBEDDING_CLIENT_KEY)
+	 * @param {boolean} [options.rejectUnauthorized=true] - Verify server certificates
+	 * @param {boolean} [options.keepAlive=true] - Reuse connections between requests
+	 */
+	constructor(options = {}) {
+		super(options);
+		this.baseUrl = (options.baseUrl || "http://localhost:8080").replace(
+			/\/+$/,
+			""
+		);
+		this.model = options.model || "nomic-embed-text";
+		this.requestConfig = createRequestConfig(options);
+	}
+
+	/**
+	 * Generate embedding for text
+	 * @param {string} text
+	 * @returns {Promise<Float32Array>}
+	 */
+	async embed(text) {
+		const [embedding] = await this._request([text]);
+		return embedding;
+	}
+
+	/**
+	 * Embed one batch of texts in a single request
+	 * @protected
+	 */
+	async _embedMany(texts) {
+		return this._request(texts);
+	}
+
+	/**
+	 * Check if the server is reachable
+	 * @returns {Promise<{ok: boolean, message: string}>}
+	 */
+	async healthCheck() {
+		try {
+			await axios.get(`${this.baseUrl}/v1/models`, {
+				...this.requestConfig,
+				timeout: 5000,
+			});
+			return {
+				ok: true,
+				message: `Embedding server ready at ${this.baseUrl} with ${this.model}`,
+			};
+		} catch (error) {
+			return {
+				ok: false,
+				message: `Embedding server not reachable at ${this.baseUrl}: ${error.message}`,
+			};
+		}
+	}
+
+	/**
+	 * POST /v1/embeddings and return vectors in input order
+	 * @private
+	 */
+	async _request(input) {
+		try {
+			const response = await this._withRetry(() =>
+				axios.post(
+					`${this.baseUrl}/v1/embeddings`,
+					{ model: this.model, input },
+					{ ...this.requestConfig, timeout: this.timeout }
+				)
+			);
+
+			const data = response.data?.data;
+			if (!Array.isArray(data) || data.length !== input.length) {
+				throw new Error("Invalid response: missing embedding");
+			}
+
+			return [...data]
+				.sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+				.map((item) => {
+					if (!item?.embedding) {
+						throw new Error("Invalid response: missing embedding");
+					}
+					return new Float32Array(item.embedding);
+				});
+		} catch (error) {
+			if (error.code === "ECONNREFUSED") {
+				throw new Error(
+					`Embedding server not running at ${this.baseUrl}`
+				);
+			}
+			if (error.response?.status === 404) {
+				throw new Error(
+					`Model '${this.model}' not found at ${this.baseUrl}`
+				);
+			}
+			if ([401, 403].includes(error.response?.status)) {
+				throw new Error(
+					`Authentication failed at ${this.baseUrl} (${error.response.status}). Check the API key or headers`
+				);
+			}
+			throw new Error(`Embedding failed: ${error.message}`);
+		}
+	}
+}
+
+export default OpenAIEmbedder;
@@ -0,0 +1,95 @@
+/**
+ * Prompt Templates
+ * Instruction-tuned embedding models expect different prompts for
+ * indexed documents and for search queries.
+ *
+ * A template is either a prefix ("search_query: ") or a string with a
+ * {text} placeholder ("query: {text}"). An empty string embeds raw text.
+ */
+
+const RETRIEVAL_INSTRUCTION =
+	"Represent this sentence for searching relevant passages: ";
+
+/**
+ * Default templates by model family (matched against the model name)
+ */
+export const PROMPT_TEMPLATES = {
+	"nomic-embed-text": {
+		document: "search_document: ",
+		query: "search_query: ",
+	},
+	"mxbai-embed-large": { document: "", query: RETRIEVAL_INSTRUCTION },
+	"snowflake-arctic-embed": { document: "", query: RETRIEVAL_INSTRUCTION },
+	"bge-m3": { document: "", query: "" }, // No instruction needed
+	bge: { document: "", query: RETRIEVAL_INSTRUCTION },
+};
+
+const NO_PROMPTS = { document: "", query: "" };
+
+/**
+ * Find the model family a model name belongs to
+ * Ignores tags and registry paths, e.g. 'hf.co/nomic-ai/nomic-embed-text:v1.5'.
+ *
+ * @param {string} model - Embedding model name
+ * @param {string[]} families - Known family names
+ * @returns {string|undefined}
+ */
+export function findModelFamily(model = "", families) {
+	const name = model.toLowerCase().split("/").pop().split(":")[0];
+
+	// Longest family name first so 'bge-m3' wins over 'bge'
+	return [...families]
+		.sort((a, b) => b.length - a.length)
+		.find((key) => name.startsWith(key));
+}
+
+/**
+ * Get the default templates for a model
+ * @param {string} model - Embedding model name
+ * @returns {{document: string, query: string}}
+ */
+export function getDefaultPrompts(model = "") {
+	const family = findModelFamily(model, Object.keys(PROMPT_TEMPLATES));
+	return { ...(family ? PROMPT_TEMPLATES[family] : NO_PROMPTS) };
+}
+
+/**
+ * Resolve templates from defaults and explicit overrides
+ *
+ * @param {string} model - Embedding model name
+ * @param {Object} [overrides]
+ * @param {string} [overrides.document] - Document template
+ * @param {string} [overrides.query] - Query template
+ * @param {Object} [base] - Templates to start from (defaults to the model's)
+ * @returns {{document: string, query: string}}
+ */
+export function resolvePrompts(model, overrides = {}, base) {
+	const prompts = base
+		? { ...NO_PROMPTS, ...base }
+		: getDefaultPrompts(model);
+
+	if (overrides.document !== undefined) prompts.document = overrides.document;
+	if (overrides.query !== undefined) prompts.query = overrides.query;
+
+	return prompts;
+}
+
+/**
+ * Apply a template to text
+ * @param {string} template - Prefix or string containing {text}
+ * @param {string} text
+ * @returns {string}
+ */
+export function applyPrompt(template, text) {
+	if (!template) return text;
+	return template.includes("{text}")
+		? template.split("{text}").join(text)
+		: template + text;
+}
+
+export default {
+	getDefaultPrompts,
+	resolvePrompts,
+	applyPrompt,
+	PROMPT_TEMPLATES,
+};
@@ -0,0 +1,66 @@
+/**
+ * Embedding Providers
+ * Resolves a provider name, class or instance into an embedder.
+ */
+
+import { OllamaEmbedder } from "./embedder.js";
+import { OpenAIEmbedder } from "./openaiEmbedder.js";
+import { MockEmbedder } from "./mockEmbedder.js";
+import { isEmbedder } from "./baseEmbedder.js";
+
+/**
+ * Built-in provider names
+ */
+export const PROVIDERS = {
+	OLLAMA: "ollama", // Ollama /api/embeddings
+	OPENAI: "openai", // OpenAI-compatible /v1/embeddings
+	MOCK: "mock", // Deterministic offline embeddings (tests, dry runs)
+};
+
+const PROVIDER_CLASSES = {
+	[PROVIDERS.OLLAMA]: OllamaEmbedder,
+	[PROVIDERS.OPENAI]: OpenAIEmbedder,
+	[PROVIDERS.MOCK]: MockEmbedder,
+};
+
+/**
+ * Create an embedder for a provider
+ *
+ * @param {string|Function|Object} [provider='ollama'] - Provider name, embedder class or embedder instance
+ * @param {Object} [options] - Constructor options (model, baseUrl, ...)
+ * @returns {Object} - Embedder implementing embed/embedBatch/healthCheck/dimension
+ *
+ * @example
+ * const embedder = createEmbedder('openai', { baseUrl: 'http://localhost:8080' });
+ */
+export function createEmbedder(provider = PROVIDERS.OLLAMA, options = {}) {
+	if (isEmbedder(provider)) return provider;
+
+	if (typeof provider === "function") {
+		return new provider(options);
+	}
+
+	const Provider = PROVIDER_CLASSES[provider];
+	if (!Provider) {
+		throw new Error(
+			`Unknown embedding provider '${provider}'. Available: ${Object.keys(
+				PROVIDER_CLASSES
+			).join(", ")}`
+		);
+	}
+
+	return new Provider(options);
+}
+
+/**
+ * Get a printable name for a provider option
+ * @param {string|Function|Object} provider
+ * @returns {string}
+ */
+export function getProviderName(provider) {
+	if (typeof provider === "string") return provider;
+	if (typeof provider === "function") return provider.name;
+	return provider?.constructor?.name || "custom";
+}
+
+export default { createEmbedder, getProviderName, PROVIDERS };
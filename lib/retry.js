@@ -0,0 +1,136 @@
+/**
+ * Retry Policy
+ * Exponential backoff with jitter and a circuit breaker for embedding calls.
+ */
+
+/**
+ * Decide whether an error is worth retrying
+ * Retries timeouts, dropped connections, 408/429 and 5xx (e.g. model still loading).
+ *
+ * @param {Error} error - Raw error (axios errors carry code/response)
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+	const status = error?.response?.status;
+	if (status) {
+		return status === 408 || status === 429 || status >= 500;
+	}
+
+	return [
+		"ECONNABORTED",
+		"ECONNRESET",
+		"ETIMEDOUT",
+		"EPIPE",
+		"EAI_AGAIN",
+		"ERR_CANCELED",
+	].includes(error?.code);
+}
+
+/**
+ * Compute backoff delay for an attempt
+ * Exponential growth capped at maxDelay, with random jitter in [50%, 100%].
+ *
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {number} baseDelay - Delay for the first retry (ms)
+ * @param {number} maxDelay - Upper bound (ms)
+ * @returns {number} - Delay in ms
+ */
+export function backoffDelay(attempt, baseDelay, maxDelay) {
+	const exp = Math.min(maxDelay, baseDelay * 2 ** attempt);
+	return Math.round(exp * (0.5 + Math.random() * 0.5));
+}
+
+/**
+ * Run an async function with retries
+ *
+ * @param {Function} fn - Async function to call
+ * @param {Object} [options]
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.retryDelay=500] - Base backoff delay (ms)
+ * @param {number} [options.maxRetryDelay=10000] - Maximum backoff delay (ms)
+ * @param {Function} [options.shouldRetry=isRetryableError] - (error) => boolean
+ * @param {Function} [options.onRetry] - Callback (error, attempt, delay)
+ * @returns {Promise<*>}
+ *
+ * @example
+ * const res = await withRetry(() => axios.post(url, body), { retries: 5 });
+ */
+export async function withRetry(fn, options = {}) {
+	const {
+		retries = 3,
+		retryDelay = 500,
+		maxRetryDelay = 10000,
+		shouldRetry = isRetryableError,
+		onRetry,
+	} = options;
+
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await fn();
+		} catch (error) {
+			if (attempt >= retries || !shouldRetry(error)) throw error;
+
+			const delay = backoffDelay(attempt, retryDelay, maxRetryDelay);
+			if (onRetry) onRetry(error, attempt + 1, delay);
+			await new Promise((resolve) => setTimeout(resolve, delay));
+		}
+	}
+}
+
+/**
+ * Circuit breaker
+ * Opens after `threshold` consecutive failed calls and rejects calls
+ * until `cooldown` ms have passed, then lets one trial call through.
+ */
+export class CircuitBreaker {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.threshold=5] - Consecutive failures before opening (0 disables)
+	 * @param {number} [options.cooldown=30000] - Time to stay open (ms)
+	 */
+	constructor(options = {}) {
+		this.threshold = options.threshold ?? 5;
+		this.cooldown = options.cooldown ?? 30000;
+		this.failures = 0;
+		this.openedAt = null;
+		this.lastError = null;
+	}
+
+	/**
+	 * Current state: 'closed', 'open' or 'half-open'
+	 */
+	get state() {
+		if (this.openedAt === null) return "closed";
+		return Date.now() - this.openedAt >= this.cooldown
+			? "half-open"
+			: "open";
+	}
+
+	/**
+	 * Throw if the circuit is open
+	 */
+	check() {
+		if (this.state === "open") {
+			throw new Error(
+				`Circuit breaker open after ${this.failures} consecutive failures` +
+					(this.lastError ? ` (last: ${this.lastError.message})` : "")
+			);
+		}
+	}
+
+	recordSuccess() {
+		this.failures = 0;
+		this.openedAt = null;
+		this.lastError = null;
+	}
+
+	recordFailure(error) {
+		this.failures++;
+		this.lastError = error;
+		if (this.threshold > 0 && this.failures >= this.threshold) {
+			this.openedAt = Date.now();
+		}
+	}
+}
+
+export default { withRetry, isRetryableError, backoffDelay, CircuitBreaker };
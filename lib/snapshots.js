@@ -0,0 +1,263 @@
+/**
+ * Index Snapshots
+ * Versioned index layout: every save writes a complete new copy of the
+ * index files into index_snapshots/<id>/ and then switches index_current,
+ * a one-line pointer replaced by rename, to it. Readers resolve the pointer
+ * once and read a consistent set of files, even while a build or update is
+ * writing the next snapshot or after it crashed halfway.
+ *
+ * Snapshot ids are UTC timestamps (sortable, e.g. 20250101T120000000Z). The
+ * newest snapshots are kept, plus the current one after a rollback.
+ */
+
+import fs from "fs";
+import path from "path";
+
+/**
+ * Snapshots kept by default (older ones are deleted after each save)
+ */
+export const DEFAULT_KEEP_SNAPSHOTS = 5;
+
+// Files that make up one version of an index, by suffix of index.bin
+const INDEX_FILE_SUFFIXES = [
+	".bin",
+	"_metadata.json",
+	"_manifest.json",
+	"_bm25.json",
+	"_vectors.fvecs",
+];
+
+/**
+ * Paths of the snapshot directory and pointer belonging to an index file
+ * @param {string} indexPath - Path to index.bin
+ * @returns {{dir: string, current: string}}
+ */
+export function getSnapshotPaths(indexPath) {
+	return {
+		dir: indexPath.replace(".bin", "_snapshots"),
+		current: indexPath.replace(".bin", "_current"),
+	};
+}
+
+/**
+ * Path of index.bin inside a snapshot
+ * @param {string} indexPath - Path to index.bin
+ * @param {string} id - Snapshot id
+ * @returns {string}
+ */
+export function getSnapshotIndexPath(indexPath, id) {
+	return path.join(
+		getSnapshotPaths(indexPath).dir,
+		id,
+		path.basename(indexPath)
+	);
+}
+
+/**
+ * Id of the snapshot the pointer refers to
+ * @param {string} indexPath - Path to index.bin
+ * @returns {string|null} - null for indexes saved in place
+ */
+export function getCurrentSnapshot(indexPath) {
+	const { current } = getSnapshotPaths(indexPath);
+	if (!fs.existsSync(current)) return null;
+	return fs.readFileSync(current, "utf-8").trim() || null;
+}
+
+/**
+ * Path of the index.bin to read: the current snapshot's, or indexPath itself
+ * for indexes saved in place
+ * @param {string} indexPath - Path to index.bin
+ * @returns {string}
+ */
+export function resolveIndexPath(indexPath) {
+	const id = getCurrentSnapshot(indexPath);
+	return id ? getSnapshotIndexPath(indexPath, id) : indexPath;
+}
+
+/**
+ * Create an empty snapshot directory for the next save
+ * @param {string} indexPath - Path to index.bin
+ * @returns {{id: string, indexPath: string}} - indexPath: where to write index.bin
+ */
+export function createSnapshot(indexPath) {
+	const id = makeSnapshotDir(indexPath, new Date());
+	return { id, indexPath: getSnapshotIndexPath(indexPath, id) };
+}
+
+/**
+ * Create a snapshot directory named after a time, suffixed if it exists
+ * @private
+ */
+function makeSnapshotDir(indexPath, time) {
+	const stamp = time.toISOString().replace(/[-:.]/g, "");
+	const { dir } = getSnapshotPaths(indexPath);
+
+	let id = stamp;
+	for (let n = 2; fs.existsSync(path.join(dir, id)); n++) {
+		id = `${stamp}-${n}`;
+	}
+	fs.mkdirSync(path.join(dir, id), { recursive: true });
+	return id;
+}
+
+/**
+ * Make a snapshot current, then delete old snapshots
+ * An index saved in place before is moved into a snapshot of its own first,
+ * so it can be rolled back to.
+ *
+ * @param {string} indexPath - Path to index.bin
+ * @param {string} id - Snapshot written by the caller
+ * @param {number} [keep=5] - Snapshots to keep
+ * @returns {string[]} - Ids of deleted snapshots
+ */
+export function commitSnapshot(indexPath, id, keep = DEFAULT_KEEP_SNAPSHOTS) {
+	const legacy =
+		!getCurrentSnapshot(indexPath) && fs.existsSync(indexPath)
+			? adoptLegacyIndex(indexPath)
+			: null;
+
+	setCurrentSnapshot(indexPath, id);
+
+	// Move the in-place files once nothing resolves to them any more
+	if (legacy) {
+		for (const suffix of INDEX_FILE_SUFFIXES) {
+			const from = indexPath.replace(".bin", suffix);
+			if (fs.existsSync(from)) {
+				fs.renameSync(from, path.join(legacy, path.basename(from)));
+			}
+		}
+	}
+
+	return pruneSnapshots(indexPath, keep);
+}
+
+/**
+ * Snapshot directory for an index saved in place, named after its file time
+ * @private
+ */
+function adoptLegacyIndex(indexPath) {
+	const id = makeSnapshotDir(indexPath, fs.statSync(indexPath).mtime);
+	return path.join(getSnapshotPaths(indexPath).dir, id);
+}
+
+/**
+ * Point index_current at a snapshot (atomic rename)
+ * @private
+ */
+function setCurrentSnapshot(indexPath, id) {
+	const { current } = getSnapshotPaths(indexPath);
+	const tmpPath = `${current}.tmp`;
+	fs.writeFileSync(tmpPath, `${id}\n`);
+	fs.renameSync(tmpPath, current);
+}
+
+/**
+ * List the snapshots of an index, oldest first
+ *
+ * @param {string} indexPath - Path to index.bin
+ * @returns {Array<{id: string, current: boolean, complete: boolean, created: Date, model: string|null, indexType: string|null, vectors: number|null}>}
+ *   - complete: false for a save that did not finish; vectors: null without stored vectors
+ */
+export function listSnapshots(indexPath) {
+	const { dir } = getSnapshotPaths(indexPath);
+	if (!fs.existsSync(dir)) return [];
+
+	const currentId = getCurrentSnapshot(indexPath);
+	return fs
+		.readdirSync(dir, { withFileTypes: true })
+		.filter((entry) => entry.isDirectory())
+		.map(({ name: id }) => {
+			const snapshotPath = getSnapshotIndexPath(indexPath, id);
+			const manifestPath = snapshotPath.replace(".bin", "_manifest.json");
+			// The manifest is written last, so it marks a finished save
+			const complete = fs.existsSync(manifestPath);
+			const manifest = complete
+				? JSON.parse(fs.readFileSync(manifestPath, "utf-8"))
+				: {};
+			const vectorsPath = snapshotPath.replace(".bin", "_vectors.fvecs");
+
+			return {
+				id,
+				current: id === currentId,
+				complete,
+				created: fs.statSync(
+					fs.existsSync(snapshotPath)
+						? snapshotPath
+						: path.join(dir, id)
+				).mtime,
+				model: manifest.model ?? null,
+				indexType: manifest.indexType ?? null,
+				vectors:
+					manifest.dimension && fs.existsSync(vectorsPath)
+						? fs.statSync(vectorsPath).size /
+						  (4 + manifest.dimension * 4)
+						: null,
+			};
+		})
+		.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Make an earlier (or later) snapshot current again
+ *
+ * @param {string} indexPath - Path to index.bin
+ * @param {string} id - Snapshot id from listSnapshots()
+ * @returns {{previous: string|null, current: string}}
+ */
+export function rollbackSnapshot(indexPath, id) {
+	const snapshots = listSnapshots(indexPath);
+	const snapshot = snapshots.find((s) => s.id === id);
+	if (!snapshot) {
+		throw new Error(
+			`Snapshot not found: ${id}. Available: ${
+				snapshots.map((s) => s.id).join(", ") || "none"
+			}`
+		);
+	}
+	if (!snapshot.complete) {
+		throw new Error(
+			`Snapshot ${id} is incomplete: its save did not finish`
+		);
+	}
+
+	const previous = getCurrentSnapshot(indexPath);
+	setCurrentSnapshot(indexPath, id);
+	return { previous, current: id };
+}
+
+/**
+ * Delete all but the newest `keep` complete snapshots (never the current one)
+ * Incomplete snapshots are left alone: they may be a save still being
+ * written, and they do not count toward `keep`.
+ *
+ * @param {string} indexPath - Path to index.bin
+ * @param {number} [keep=5] - Snapshots to keep
+ * @returns {string[]} - Ids of deleted snapshots
+ */
+export function pruneSnapshots(indexPath, keep = DEFAULT_KEEP_SNAPSHOTS) {
+	const { dir } = getSnapshotPaths(indexPath);
+	const stale = listSnapshots(indexPath)
+		.filter((snapshot) => snapshot.complete)
+		.slice(0, -Math.max(1, keep))
+		.filter((snapshot) => !snapshot.current)
+		.map((snapshot) => snapshot.id);
+
+	for (const id of stale) {
+		fs.rmSync(path.join(dir, id), { recursive: true, force: true });
+	}
+	return stale;
+}
+
+export default {
+	getSnapshotPaths,
+	getSnapshotIndexPath,
+	getCurrentSnapshot,
+	resolveIndexPath,
+	createSnapshot,
+	commitSnapshot,
+	listSnapshots,
+	rollbackSnapshot,
+	pruneSnapshots,
+	DEFAULT_KEEP_SNAPSHOTS,
+};
@@ -0,0 +1,96 @@
+/**
+ * Vector Store
+ * Raw vectors of an index, saved as index_vectors.fvecs next to index.bin
+ * and aligned with metadata ids, so indexes can be rebuilt with another
+ * type, merged or compacted without re-embedding every chunk.
+ *
+ * Vectors are stored as they were added to the index (truncated and
+ * normalized). The file uses the .fvecs layout read by faiss tools: each
+ * vector is its dimension as int32 followed by that many float32 values.
+ */
+
+import fs from "fs";
+
+/**
+ * Path of the vector file belonging to an index file
+ * @param {string} indexPath - Path to index.bin
+ * @returns {string}
+ */
+export function getVectorsPath(indexPath) {
+	return indexPath.replace(".bin", "_vectors.fvecs");
+}
+
+/**
+ * Encode vectors as .fvecs rows
+ * @private
+ */
+function encodeVectors(vectors) {
+	const dimension = vectors.length > 0 ? vectors[0].length : 0;
+	const rowSize = 4 + dimension * 4;
+	const buf = Buffer.alloc(vectors.length * rowSize);
+
+	vectors.forEach((vector, i) => {
+		if (vector.length !== dimension) {
+			throw new Error(
+				`Vector ${i} has ${vector.length} dimensions, expected ${dimension}`
+			);
+		}
+		const offset = i * rowSize;
+		buf.writeInt32LE(dimension, offset);
+		for (let j = 0; j < dimension; j++) {
+			buf.writeFloatLE(vector[j], offset + 4 + j * 4);
+		}
+	});
+
+	return buf;
+}
+
+/**
+ * Write vectors in .fvecs format
+ * @param {string} filePath
+ * @param {Array<Float32Array|number[]>} vectors - All of one dimension
+ */
+export function writeVectors(filePath, vectors) {
+	fs.writeFileSync(filePath, encodeVectors(vectors));
+}
+
+/**
+ * Append vectors to a .fvecs file (created if missing)
+ * @param {string} filePath
+ * @param {Array<Float32Array|number[]>} vectors - Same dimension as the file's
+ */
+export function appendVectors(filePath, vectors) {
+	if (vectors.length === 0) return;
+	fs.appendFileSync(filePath, encodeVectors(vectors));
+}
+
+/**
+ * Read vectors in .fvecs format
+ * @param {string} filePath
+ * @returns {Float32Array[]}
+ */
+export function readVectors(filePath) {
+	const buf = fs.readFileSync(filePath);
+	if (buf.length === 0) return [];
+
+	const dimension = buf.readInt32LE(0);
+	const rowSize = 4 + dimension * 4;
+	if (dimension <= 0 || buf.length % rowSize !== 0) {
+		throw new Error(`Invalid vectors file: ${filePath}`);
+	}
+
+	const vectors = [];
+	for (let offset = 0; offset < buf.length; offset += rowSize) {
+		if (buf.readInt32LE(offset) !== dimension) {
+			throw new Error(`Invalid vectors file: ${filePath}`);
+		}
+		const vector = new Float32Array(dimension);
+		for (let j = 0; j < dimension; j++) {
+			vector[j] = buf.readFloatLE(offset + 4 + j * 4);
+		}
+		vectors.push(vector);
+	}
+	return vectors;
+}
+
+export default { getVectorsPath, writeVectors, appendVectors, readVectors };
@@ -0,0 +1,99 @@
+import { expect } from "chai";
+import { BM25Index, tokenize } from "../lib/bm25.js";
+
+describe("bm25", function () {
+	describe("tokenize()", function () {
+		it("should lowercase words and drop punctuation", function () {
+			// Act & Assert
+			expect(tokenize("Hello, World! 404")).to.deep.equal([
+				"hello",
+				"world",
+				"404",
+			]);
+		});
+
+		it("should keep identifiers whole and add their parts", function () {
+			// Act & Assert
+			expect(tokenize("getUserById")).to.deep.equal([
+				"getuserbyid",
+				"get",
+				"user",
+				"by",
+				"id",
+			]);
+			expect(tokenize("ERR_CONN_RESET")).to.deep.equal([
+				"err_conn_reset",
+				"err",
+				"conn",
+				"reset",
+			]);
+		});
+	});
+
+	describe("BM25Index", function () {
+		const texts = [
+			"Orders are grouped by status",
+			"Login fails with ERR_CONN_RESET when the proxy drops",
+			"Call getUserById to load a user",
+			"Status codes and status pages",
+		];
+
+		it("should rank texts containing the query terms", function () {
+			// Arrange
+			const index = BM25Index.fromTexts(texts);
+
+			// Act
+			const results = index.search("ERR_CONN_RESET", 5);
+
+			// Assert
+			expect(results.map((r) => r.id)).to.deep.equal([1]);
+			expect(results[0].score).to.be.greaterThan(0);
+		});
+
+		it("should favor higher term frequency", function () {
+			// Arrange
+			const index = BM25Index.fromTexts(texts);
+
+			// Act
+			const results = index.search("status", 5);
+
+			// Assert
+			expect(results.map((r) => r.id)).to.deep.equal([3, 0]);
+		});
+
+		it("should restrict results with an accept callback", function () {
+			// Arrange
+			const index = BM25Index.fromTexts(texts);
+
+			// Act
+			const results = index.search("status", 5, (id) => id !== 3);
+
+			// Assert
+			expect(results.map((r) => r.id)).to.deep.equal([0]);
+		});
+
+		it("should round-trip through JSON", function () {
+			// Arrange
+			const index = BM25Index.fromTexts(texts);
+
+			// Act
+			const restored = BM25Index.fromJSON(
+				JSON.parse(JSON.stringify(index))
+			);
+
+			// Assert
+			expect(restored.search("user", 5)).to.deep.equal(
+				index.search("user", 5)
+			);
+		});
+
+		it("should handle terms that shadow object properties", function () {
+			// Arrange
+			const index = BM25Index.fromTexts(["constructor __proto__"]);
+
+			// Act & Assert
+			expect(index.search("constructor", 1)).to.have.length(1);
+			expect(index.search("toString", 1)).to.deep.equal([]);
+		});
+	});
+});
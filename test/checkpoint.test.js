@@ -0,0 +1,209 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+	BuildCheckpoint,
+	getCheckpointPaths,
+	getFingerprint,
+} from "../lib/checkpoint.js";
+import { appendVectors } from "../lib/vectorStore.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEST_OUTPUT = path.join(__dirname, "output_checkpoint");
+
+describe("checkpoint", function () {
+	const indexPath = path.join(TEST_OUTPUT, "index.bin");
+	const metadata = [
+		{ id: 0, doc: "a.txt", chunk: "Orders", chunk_id: "a_0" },
+		{ id: 1, doc: "b.txt", chunk: "Login", chunk_id: "b_0" },
+	];
+	const vectors = [new Float32Array([1, 0]), new Float32Array([0, 1])];
+
+	beforeEach(function () {
+		fs.mkdirSync(TEST_OUTPUT, { recursive: true });
+	});
+
+	afterEach(function () {
+		if (fs.existsSync(TEST_OUTPUT)) {
+			fs.rmSync(TEST_OUTPUT, { recursive: true });
+		}
+	});
+
+	describe("getCheckpointPaths()", function () {
+		it("should sit next to the index file", function () {
+			// Act & Assert
+			expect(getCheckpointPaths("out/index.bin")).to.deep.equal({
+				state: "out/index_checkpoint.json",
+				metadata: "out/index_checkpoint.jsonl",
+				vectors: "out/index_checkpoint.fvecs",
+			});
+		});
+	});
+
+	describe("getFingerprint()", function () {
+		it("should change with the metadata and the settings", function () {
+			// Arrange
+			const settings = { model: "nomic-embed-text", dimension: 768 };
+			const fingerprint = getFingerprint(metadata, settings);
+
+			// Act & Assert
+			expect(getFingerprint(metadata, { ...settings })).to.equal(
+				fingerprint
+			);
+			expect(getFingerprint(metadata.slice(1), settings)).to.not.equal(
+				fingerprint
+			);
+			expect(
+				getFingerprint(metadata, { ...settings, dimension: 256 })
+			).to.not.equal(fingerprint);
+		});
+	});
+
+	describe("BuildCheckpoint", function () {
+		it("should return null when there is no checkpoint", function () {
+			// Act & Assert
+			expect(new BuildCheckpoint(indexPath).load()).to.be.null;
+		});
+
+		it("should round-trip progress", function () {
+			// Arrange
+			new BuildCheckpoint(indexPath).save({
+				fingerprint: "abc",
+				dimension: 2,
+				done: 3,
+				metadata,
+				vectors,
+			});
+
+			// Act
+			const saved = new BuildCheckpoint(indexPath).load();
+
+			// Assert
+			expect(saved).to.include({
+				fingerprint: "abc",
+				dimension: 2,
+				done: 3,
+			});
+			expect(saved.metadata).to.deep.equal(metadata);
+			expect(saved.vectors.map((v) => Array.from(v))).to.deep.equal([
+				[1, 0],
+				[0, 1],
+			]);
+		});
+
+		it("should only append vectors added since the last save", function () {
+			// Arrange
+			const checkpoint = new BuildCheckpoint(indexPath);
+			const state = { fingerprint: "abc", dimension: 2, metadata };
+			checkpoint.save({
+				...state,
+				done: 1,
+				vectors: vectors.slice(0, 1),
+			});
+
+			// Act
+			checkpoint.save({ ...state, done: 2, vectors });
+
+			// Assert
+			expect(fs.statSync(checkpoint.paths.vectors).size).to.equal(
+				2 * (4 + 2 * 4)
+			);
+			expect(
+				new BuildCheckpoint(indexPath).load().vectors
+			).to.have.length(2);
+		});
+
+		it("should append only metadata added since the last save", function () {
+			// Arrange
+			const checkpoint = new BuildCheckpoint(indexPath);
+			const state = {
+				fingerprint: "abc",
+				dimension: 2,
+				metadata,
+				vectors,
+			};
+			checkpoint.save({ ...state, done: 1, count: 1 });
+			const first = fs.readFileSync(checkpoint.paths.metadata, "utf-8");
+
+			// Act
+			checkpoint.save({ ...state, done: 2 });
+
+			// Assert
+			const lines = fs
+				.readFileSync(checkpoint.paths.metadata, "utf-8")
+				.trim()
+				.split("\n");
+			expect(lines[0] + "\n").to.equal(first);
+			expect(lines).to.have.length(2);
+			expect(
+				JSON.parse(fs.readFileSync(checkpoint.paths.state, "utf-8"))
+			).to.not.have.property("metadata");
+			expect(
+				new BuildCheckpoint(indexPath).load().metadata
+			).to.deep.equal(metadata);
+		});
+
+		it("should drop vectors written after the last state", function () {
+			// Arrange
+			const checkpoint = new BuildCheckpoint(indexPath);
+			checkpoint.save({
+				fingerprint: "abc",
+				dimension: 2,
+				done: 1,
+				metadata: metadata.slice(0, 1),
+				vectors: vectors.slice(0, 1),
+			});
+			appendVectors(checkpoint.paths.vectors, vectors.slice(1));
+			fs.appendFileSync(checkpoint.paths.metadata, '{"id":1,"doc');
+
+			// Act
+			const saved = new BuildCheckpoint(indexPath).load();
+
+			// Assert
+			expect(saved.vectors).to.have.length(1);
+			expect(saved.metadata).to.deep.equal(metadata.slice(0, 1));
+			expect(fs.statSync(checkpoint.paths.vectors).size).to.equal(
+				4 + 2 * 4
+			);
+		});
+
+		it("should reject a checkpoint with missing vectors", function () {
+			// Arrange
+			const checkpoint = new BuildCheckpoint(indexPath);
+			checkpoint.save({
+				fingerprint: "abc",
+				dimension: 2,
+				done: 2,
+				metadata,
+				vectors,
+			});
+			fs.truncateSync(checkpoint.paths.vectors, 4 + 2 * 4);
+
+			// Act & Assert
+			expect(() => new BuildCheckpoint(indexPath).load()).to.throw(
+				`Checkpoint file is incomplete: ${checkpoint.paths.vectors}`
+			);
+		});
+
+		it("should remove all files", function () {
+			// Arrange
+			const checkpoint = new BuildCheckpoint(indexPath);
+			checkpoint.save({
+				fingerprint: "abc",
+				dimension: 2,
+				done: 2,
+				metadata,
+				vectors,
+			});
+
+			// Act
+			checkpoint.remove();
+
+			// Assert
+			expect(checkpoint.exists()).to.be.false;
+			expect(fs.existsSync(checkpoint.paths.vectors)).to.be.false;
+			expect(fs.existsSync(checkpoint.paths.metadata)).to.be.false;
+		});
+	});
+});
@@ -0,0 +1,103 @@
+import { expect } from "chai";
+import {
+	getContextLength,
+	estimateTokens,
+	getChunkBudget,
+	getPoolWindows,
+	splitToContext,
+	meanPool,
+	CHARS_PER_TOKEN,
+} from "../lib/contextLength.js";
+
+describe("contextLength", function () {
+	describe("getContextLength()", function () {
+		it("should return the context window of known models", function () {
+			// Act & Assert
+			expect(getContextLength("all-minilm")).to.equal(256);
+			expect(getContextLength("mxbai-embed-large:latest")).to.equal(512);
+		});
+
+		it("should return null for unknown models", function () {
+			// Act & Assert
+			expect(getContextLength("my-custom-model")).to.be.null;
+		});
+	});
+
+	describe("estimateTokens()", function () {
+		it("should round up characters per token", function () {
+			// Act & Assert
+			expect(estimateTokens("")).to.equal(0);
+			expect(estimateTokens("a".repeat(CHARS_PER_TOKEN + 1))).to.equal(2);
+		});
+	});
+
+	describe("getChunkBudget()", function () {
+		it("should leave room for the document prompt", function () {
+			// Act & Assert
+			expect(getChunkBudget(100)).to.equal(100);
+			expect(getChunkBudget(100, "search_document: ")).to.equal(94);
+			expect(getChunkBudget(2, "search_document: ")).to.equal(1);
+		});
+	});
+
+	describe("getPoolWindows()", function () {
+		it("should keep text that fits as one window", async function () {
+			// Act & Assert
+			expect(await getPoolWindows("short", 20)).to.deep.equal(["short"]);
+		});
+
+		it("should split longer text like splitToContext()", async function () {
+			// Arrange
+			const text = "Lorem ipsum dolor sit amet. ".repeat(40);
+
+			// Act
+			const windows = await getPoolWindows(text, 20);
+
+			// Assert
+			expect(windows).to.deep.equal(await splitToContext(text, 20));
+		});
+	});
+
+	describe("splitToContext()", function () {
+		it("should split text into pieces within the token budget", async function () {
+			// Arrange
+			const text = "Lorem ipsum dolor sit amet. ".repeat(40);
+
+			// Act
+			const pieces = await splitToContext(text, 20);
+
+			// Assert
+			expect(pieces.length).to.be.greaterThan(1);
+			pieces.forEach((piece) =>
+				expect(estimateTokens(piece)).to.be.at.most(20)
+			);
+		});
+
+		it("should hard-split text without separators", async function () {
+			// Arrange
+			const text = "x".repeat(100);
+
+			// Act
+			const pieces = await splitToContext(text, 10);
+
+			// Assert
+			expect(pieces.join("").length).to.be.at.least(text.length);
+			pieces.forEach((piece) =>
+				expect(piece.length).to.be.at.most(10 * CHARS_PER_TOKEN)
+			);
+		});
+	});
+
+	describe("meanPool()", function () {
+		it("should average vectors element-wise", function () {
+			// Act
+			const pooled = meanPool([
+				[1, 2, 3],
+				[3, 4, 5],
+			]);
+
+			// Assert
+			expect(Array.from(pooled)).to.deep.equal([2, 3, 4]);
+		});
+	});
+});
@@ -155,6 +155,24 @@ describe("docCache", function () {
 			expect(keys.some((k) => k.endsWith(".md"))).to.be.true;
 		});
 
+		it("should key nested files by relative path", async function () {
+			// Arrange
+			const outputPath = path.join(TEST_OUTPUT, "cache_nested.json");
+			fs.mkdirSync(path.join(TEST_DIR, "sub"), { recursive: true });
+			fs.writeFileSync(path.join(TEST_DIR, "sub", "file1.txt"), "Nested");
+
+			// Act
+			const cache = await generateDocCache(TEST_DIR, outputPath, {
+				extensions: [".txt"],
+				recursive: true,
+			});
+			fs.rmSync(path.join(TEST_DIR, "sub"), { recursive: true });
+
+			// Assert
+			expect(cache).to.have.property("file1.txt");
+			expect(cache).to.have.property(path.join("sub", "file1.txt"));
+		});
+
 		it("should throw error for non-existent directory", async function () {
 			// Arrange
 			const invalidPath = "/non/existent/path";
@@ -222,6 +240,34 @@ describe("docCache", function () {
 			// Assert
 			expect(loaded).to.deep.equal(testData);
 		});
+
+		it("should move file name keys of earlier versions to the indexed paths", function () {
+			// Arrange
+			const testPath = path.join(TEST_OUTPUT, "legacy_cache.json");
+			fs.writeFileSync(
+				testPath,
+				JSON.stringify({
+					"top.txt": "a1",
+					"nested.txt": "b2",
+					"gone.txt": "c3",
+				})
+			);
+
+			// Act
+			const loaded = loadDocCache(testPath, [
+				"top.txt",
+				path.join("guides", "nested.txt"),
+				path.join("notes", "nested.txt"),
+			]);
+
+			// Assert
+			expect(loaded).to.deep.equal({
+				"top.txt": "a1",
+				[path.join("guides", "nested.txt")]: "b2",
+				[path.join("notes", "nested.txt")]: "b2",
+				"gone.txt": "c3",
+			});
+		});
 	});
 
 	describe("detectChanges()", function () {
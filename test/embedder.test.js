@@ -33,7 +33,9 @@ describe("OllamaEmbedder", function () {
 			// Assert
 			expect(emb.baseUrl).to.equal("http://localhost:11434");
 			expect(emb.model).to.equal("nomic-embed-text");
-			expect(emb.dimension).to.equal(768);
+			expect(emb.dimension).to.be.null; // Detected by probing
+			expect(emb.batchSize).to.equal(32);
+			expect(emb.concurrency).to.equal(2);
 		});
 
 		it("should accept custom options", function () {
@@ -201,39 +203,196 @@ describe("OllamaEmbedder", function () {
 		});
 	});
 
-	describe("embedBatch()", function () {
-		it("should generate embeddings for multiple texts", async function () {
+	describe("detectDimension()", function () {
+		it("should probe the model once and cache the dimension", async function () {
 			// Arrange
-			const texts = ["First", "Second", "Third"];
 			axiosPostStub.resolves({
+				data: { embedding: new Array(1024).fill(0.1) },
+			});
+
+			// Act
+			const first = await embedder.detectDimension();
+			const second = await embedder.detectDimension();
+
+			// Assert
+			expect(first).to.equal(1024);
+			expect(second).to.equal(1024);
+			expect(embedder.dimension).to.equal(1024);
+			expect(axiosPostStub.calledOnce).to.be.true;
+		});
+	});
+
+	describe("retries", function () {
+		function serverError(status) {
+			const error = new Error(
+				`Request failed with status code ${status}`
+			);
+			error.response = { status };
+			return error;
+		}
+
+		it("should retry transient errors and count retries", async function () {
+			// Arrange
+			const emb = new OllamaEmbedder({ retryDelay: 1 });
+			axiosPostStub.onCall(0).rejects(serverError(500));
+			axiosPostStub.onCall(1).resolves({
 				data: { embedding: mockEmbedding },
 			});
 
+			// Act
+			const embedding = await emb.embed("Test");
+
+			// Assert
+			expect(embedding.length).to.equal(768);
+			expect(axiosPostStub.callCount).to.equal(2);
+			expect(emb.retryStats.retries).to.equal(1);
+		});
+
+		it("should use the configured timeout", async function () {
+			// Arrange
+			const emb = new OllamaEmbedder({ timeout: 1234 });
+			axiosPostStub.resolves({ data: { embedding: mockEmbedding } });
+
+			// Act
+			await emb.embed("Test");
+
+			// Assert
+			expect(axiosPostStub.firstCall.args[2].timeout).to.equal(1234);
+		});
+
+		it("should fail fast once the circuit breaker opens", async function () {
+			// Arrange
+			const emb = new OllamaEmbedder({
+				retries: 0,
+				circuitBreakerThreshold: 2,
+			});
+			axiosPostStub.rejects(serverError(500));
+
+			// Act
+			for (let i = 0; i < 2; i++) {
+				await emb.embed("Test").catch(() => {});
+			}
+
+			// Assert
+			try {
+				await emb.embed("Test");
+				expect.fail("Should have thrown error");
+			} catch (err) {
+				expect(err.message).to.include("Circuit breaker open");
+				expect(axiosPostStub.callCount).to.equal(2);
+			}
+		});
+	});
+
+	describe("embedBatch()", function () {
+		// Reply to /api/embed with one vector per input text
+		function embedReply(url, body) {
+			return Promise.resolve({
+				data: { embeddings: body.input.map(() => mockEmbedding) },
+			});
+		}
+
+		it("should generate embeddings for multiple texts", async function () {
+			// Arrange
+			const texts = ["First", "Second", "Third"];
+			axiosPostStub.callsFake(embedReply);
+
 			// Act
 			const embeddings = await embedder.embedBatch(texts);
 
 			// Assert
 			expect(embeddings).to.be.an("array");
 			expect(embeddings.length).to.equal(3);
+			expect(embeddings[0]).to.be.instanceOf(Float32Array);
+			expect(axiosPostStub.callCount).to.equal(1);
+		});
+
+		it("should call /api/embed with array input", async function () {
+			// Arrange
+			axiosPostStub.callsFake(embedReply);
+
+			// Act
+			await embedder.embedBatch(["A", "B"]);
+
+			// Assert
+			const [url, body] = axiosPostStub.firstCall.args;
+			expect(url).to.equal("http://localhost:11434/api/embed");
+			expect(body.model).to.equal("nomic-embed-text");
+			expect(body.input).to.deep.equal(["A", "B"]);
+		});
+
+		it("should split texts by batchSize and keep order", async function () {
+			// Arrange
+			const emb = new OllamaEmbedder({ batchSize: 2, concurrency: 3 });
+			axiosPostStub.callsFake((url, body) =>
+				Promise.resolve({
+					data: { embeddings: body.input.map((t) => [t.length]) },
+				})
+			);
+
+			// Act
+			const embeddings = await emb.embedBatch([
+				"a",
+				"bb",
+				"ccc",
+				"dddd",
+				"eeeee",
+			]);
+
+			// Assert
 			expect(axiosPostStub.callCount).to.equal(3);
+			expect(embeddings.map((e) => e[0])).to.deep.equal([1, 2, 3, 4, 5]);
 		});
 
-		it("should call progress callback", async function () {
+		it("should limit parallel in-flight requests to concurrency", async function () {
 			// Arrange
+			const emb = new OllamaEmbedder({ batchSize: 1, concurrency: 2 });
+			let inFlight = 0;
+			let maxInFlight = 0;
+			axiosPostStub.callsFake(async (url, body) => {
+				inFlight++;
+				maxInFlight = Math.max(maxInFlight, inFlight);
+				await new Promise((resolve) => setTimeout(resolve, 5));
+				inFlight--;
+				return embedReply(url, body);
+			});
+
+			// Act
+			await emb.embedBatch(["A", "B", "C", "D", "E"]);
+
+			// Assert
+			expect(axiosPostStub.callCount).to.equal(5);
+			expect(maxInFlight).to.equal(2);
+		});
+
+		it("should call progress callback per completed batch", async function () {
+			// Arrange
+			const emb = new OllamaEmbedder({ batchSize: 1, concurrency: 1 });
 			const texts = ["A", "B"];
 			const progressSpy = sinon.spy();
-			axiosPostStub.resolves({
-				data: { embedding: mockEmbedding },
-			});
+			axiosPostStub.callsFake(embedReply);
 
 			// Act
-			await embedder.embedBatch(texts, progressSpy);
+			await emb.embedBatch(texts, progressSpy);
 
 			// Assert
 			expect(progressSpy.callCount).to.equal(2);
 			expect(progressSpy.firstCall.args).to.deep.equal([1, 2]);
 			expect(progressSpy.secondCall.args).to.deep.equal([2, 2]);
 		});
+
+		it("should throw when response count does not match input", async function () {
+			// Arrange
+			axiosPostStub.resolves({ data: { embeddings: [mockEmbedding] } });
+
+			// Act & Assert
+			try {
+				await embedder.embedBatch(["A", "B"]);
+				expect.fail("Should have thrown error");
+			} catch (err) {
+				expect(err.message).to.include("expected 2 embeddings");
+			}
+		});
 	});
 
 	describe("normalize()", function () {
@@ -0,0 +1,306 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+	EmbeddingCache,
+	getEmbeddingKey,
+	getCacheModel,
+	pruneEmbeddingCache,
+	EMBEDDING_CACHE_FILE,
+} from "../lib/embeddingCache.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEST_OUTPUT = path.join(__dirname, "output_embedding_cache");
+
+describe("embeddingCache", function () {
+	const cachePath = path.join(TEST_OUTPUT, EMBEDDING_CACHE_FILE);
+
+	beforeEach(function () {
+		fs.mkdirSync(TEST_OUTPUT, { recursive: true });
+	});
+
+	afterEach(function () {
+		if (fs.existsSync(TEST_OUTPUT)) {
+			fs.rmSync(TEST_OUTPUT, { recursive: true });
+		}
+	});
+
+	describe("getEmbeddingKey()", function () {
+		it("should be stable for the same input", function () {
+			// Act & Assert
+			expect(getEmbeddingKey("m", "text")).to.equal(
+				getEmbeddingKey("m", "text")
+			);
+			expect(getEmbeddingKey("m", "text")).to.match(/^[a-f0-9]{64}$/);
+		});
+
+		it("should differ by model, prefix and text", function () {
+			// Arrange
+			const base = getEmbeddingKey("m", "text");
+
+			// Act & Assert
+			expect(getEmbeddingKey("other", "text")).to.not.equal(base);
+			expect(
+				getEmbeddingKey("m", "text", "search_document: ")
+			).to.not.equal(base);
+			expect(getEmbeddingKey("m", "text2")).to.not.equal(base);
+		});
+	});
+
+	describe("getCacheModel()", function () {
+		it("should name the provider except for Ollama", function () {
+			// Act & Assert
+			expect(getCacheModel("mock", "nomic-embed-text")).to.equal(
+				"mock:nomic-embed-text"
+			);
+			expect(getCacheModel("ollama", "nomic-embed-text")).to.equal(
+				"nomic-embed-text"
+			);
+		});
+	});
+
+	describe("EmbeddingCache", function () {
+		it("should round-trip embeddings through disk", function () {
+			// Arrange
+			const cache = new EmbeddingCache(cachePath).load();
+			const key = getEmbeddingKey("m", "hello");
+			cache.set(key, new Float32Array([0.5, -1.25, 3]));
+
+			// Act
+			cache.save();
+			const reloaded = new EmbeddingCache(cachePath).load();
+			const vec = reloaded.get(key);
+
+			// Assert
+			expect(vec).to.be.instanceOf(Float32Array);
+			expect(Array.from(vec)).to.deep.equal([0.5, -1.25, 3]);
+		});
+
+		it("should count hits and misses", function () {
+			// Arrange
+			const cache = new EmbeddingCache(cachePath);
+			cache.set("a", [1]);
+
+			// Act
+			cache.get("a");
+			cache.get("b");
+			cache.get("c");
+
+			// Assert
+			expect(cache.getStats()).to.deep.equal({
+				hits: 1,
+				misses: 2,
+				entries: 1,
+			});
+		});
+
+		it("should start empty when file is missing", function () {
+			// Arrange & Act
+			const cache = new EmbeddingCache(
+				path.join(TEST_OUTPUT, "missing.json")
+			).load();
+
+			// Assert
+			expect(cache.size).to.equal(0);
+		});
+
+		it("should not write when nothing changed", function () {
+			// Arrange
+			const cache = new EmbeddingCache(cachePath).load();
+
+			// Act
+			cache.save();
+
+			// Assert
+			expect(fs.existsSync(cachePath)).to.be.false;
+		});
+
+		it("should prune keys not in keep set", function () {
+			// Arrange
+			const cache = new EmbeddingCache(cachePath);
+			cache.set("a", [1]);
+			cache.set("b", [2]);
+			cache.set("c", [3]);
+
+			// Act
+			const result = cache.prune(["a", "c"]);
+
+			// Assert
+			expect(result).to.deep.equal({ kept: 2, removed: 1 });
+			expect(cache.get("b")).to.be.null;
+		});
+
+		it("should merge entries of another cache without overwriting", function () {
+			// Arrange
+			const cache = new EmbeddingCache(cachePath);
+			cache.set("a", [1]);
+			const other = new EmbeddingCache(cachePath);
+			other.set("a", [9]);
+			other.set("b", [2]);
+
+			// Act
+			const added = cache.merge(other);
+
+			// Assert
+			expect(added).to.equal(1);
+			expect(Array.from(cache.get("a"))).to.deep.equal([1]);
+			expect(Array.from(cache.get("b"))).to.deep.equal([2]);
+		});
+	});
+
+	describe("cache file", function () {
+		it("should append only the entries added since the last save", function () {
+			// Arrange
+			const cache = new EmbeddingCache(cachePath).load();
+			cache.set("a", [1, 2]);
+			cache.save();
+			const before = fs.readFileSync(cachePath);
+
+			// Act
+			cache.set("b", [3, 4]);
+			cache.save();
+
+			// Assert
+			const after = fs.readFileSync(cachePath);
+			expect(after.subarray(0, before.length).equals(before)).to.be.true;
+			const reloaded = new EmbeddingCache(cachePath).load();
+			expect(reloaded.size).to.equal(2);
+			expect(Array.from(reloaded.get("b"))).to.deep.equal([3, 4]);
+		});
+
+		it("should ignore a record cut off by an interrupted save", function () {
+			// Arrange
+			const cache = new EmbeddingCache(cachePath).load();
+			cache.set("a", [1, 2]);
+			cache.set("b", [3, 4]);
+			cache.save();
+			const size = fs.statSync(cachePath).size;
+			fs.truncateSync(cachePath, size - 3);
+
+			// Act
+			const reloaded = new EmbeddingCache(cachePath).load();
+			reloaded.set("c", [5, 6]);
+			reloaded.save();
+
+			// Assert
+			const final = new EmbeddingCache(cachePath).load();
+			expect(final.get("b")).to.be.null;
+			expect(Array.from(final.get("a"))).to.deep.equal([1, 2]);
+			expect(Array.from(final.get("c"))).to.deep.equal([5, 6]);
+		});
+
+		it("should rewrite the file without pruned entries", function () {
+			// Arrange
+			const cache = new EmbeddingCache(cachePath).load();
+			cache.set("a", [1]);
+			cache.set("b", [2]);
+			cache.save();
+			const size = fs.statSync(cachePath).size;
+
+			// Act
+			cache.prune(["b"]);
+			cache.save();
+
+			// Assert
+			expect(fs.statSync(cachePath).size).to.be.below(size);
+			const reloaded = new EmbeddingCache(cachePath).load();
+			expect(reloaded.get("a")).to.be.null;
+			expect(Array.from(reloaded.get("b"))).to.deep.equal([2]);
+		});
+
+		it("should convert the JSON cache of earlier versions", function () {
+			// Arrange
+			const legacyPath = path.join(TEST_OUTPUT, "embedding_cache.json");
+			const vec = new Float32Array([0.5, -1]);
+			fs.writeFileSync(
+				legacyPath,
+				JSON.stringify({
+					version: 1,
+					entries: { a: Buffer.from(vec.buffer).toString("base64") },
+				})
+			);
+
+			// Act
+			const cache = new EmbeddingCache(cachePath).load();
+			cache.save();
+
+			// Assert
+			expect(fs.existsSync(legacyPath)).to.be.false;
+			const reloaded = new EmbeddingCache(cachePath).load();
+			expect(Array.from(reloaded.get("a"))).to.deep.equal([0.5, -1]);
+		});
+
+		it("should reject files in an unknown format", function () {
+			// Arrange
+			fs.writeFileSync(cachePath, "not a cache");
+
+			// Act & Assert
+			expect(() => new EmbeddingCache(cachePath).load()).to.throw(
+				"Invalid embedding cache"
+			);
+		});
+	});
+
+	describe("pruneEmbeddingCache()", function () {
+		it("should keep only chunks referenced by index metadata", async function () {
+			// Arrange
+			fs.writeFileSync(
+				path.join(TEST_OUTPUT, "index_metadata.json"),
+				JSON.stringify([{ id: 0, chunk: "kept chunk" }])
+			);
+			const cache = new EmbeddingCache(cachePath);
+			cache.set(getEmbeddingKey("m", "kept chunk"), [1]);
+			cache.set(getEmbeddingKey("m", "old chunk"), [2]);
+			cache.save();
+
+			// Act
+			const result = await pruneEmbeddingCache(TEST_OUTPUT, {
+				model: "m",
+			});
+
+			// Assert
+			expect(result).to.deep.equal({ kept: 1, removed: 1 });
+			const reloaded = new EmbeddingCache(cachePath).load();
+			expect(reloaded.get(getEmbeddingKey("m", "kept chunk"))).to.not.be
+				.null;
+		});
+
+		it("should use provider, model and document prompt from the index manifest", async function () {
+			// Arrange
+			fs.writeFileSync(
+				path.join(TEST_OUTPUT, "index_metadata.json"),
+				JSON.stringify([{ id: 0, chunk: "kept chunk" }])
+			);
+			fs.writeFileSync(
+				path.join(TEST_OUTPUT, "index_manifest.json"),
+				JSON.stringify({
+					provider: "mock",
+					model: "m",
+					prompts: { document: "doc: " },
+				})
+			);
+			const cache = new EmbeddingCache(cachePath);
+			cache.set(getEmbeddingKey("mock:m", "kept chunk", "doc: "), [1]);
+			cache.set(getEmbeddingKey("m", "kept chunk", "doc: "), [2]);
+			cache.set(getEmbeddingKey("mock:m", "kept chunk"), [3]);
+			cache.save();
+
+			// Act
+			const result = await pruneEmbeddingCache(TEST_OUTPUT);
+
+			// Assert
+			expect(result).to.deep.equal({ kept: 1, removed: 2 });
+		});
+
+		it("should throw when index metadata is missing", async function () {
+			// Act & Assert
+			try {
+				await pruneEmbeddingCache(TEST_OUTPUT);
+				expect.fail("Should have thrown error");
+			} catch (error) {
+				expect(error.message).to.include("Metadata not found");
+			}
+		});
+	});
+});
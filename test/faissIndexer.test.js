@@ -4,6 +4,18 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { FaissIndexer, buildIndex } from "../lib/faissIndexer.js";
+import { BaseEmbedder } from "../lib/baseEmbedder.js";
+import { OpenAIEmbedder } from "../lib/openaiEmbedder.js";
+import { getSearchParams } from "../lib/indexFactory.js";
+import { getVectorsPath, readVectors } from "../lib/vectorStore.js";
+import { BuildCheckpoint, getCheckpointPaths } from "../lib/checkpoint.js";
+import { EmbeddingCache, pruneEmbeddingCache } from "../lib/embeddingCache.js";
+import {
+	getCurrentSnapshot,
+	resolveIndexPath,
+	listSnapshots,
+	rollbackSnapshot,
+} from "../lib/snapshots.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const TEST_OUTPUT = path.join(__dirname, "output");
@@ -41,7 +53,7 @@ describe("FaissIndexer", function () {
 			expect(indexer.indexType).to.equal("IP");
 			expect(indexer.model).to.equal("nomic-embed-text");
 			expect(indexer.baseUrl).to.equal("http://localhost:11434");
-			expect(indexer.dimension).to.equal(768);
+			expect(indexer.dimension).to.be.null; // Detected at build time
 			expect(indexer.index).to.be.null;
 			expect(indexer.metadata).to.be.an("array").that.is.empty;
 		});
@@ -77,7 +89,6 @@ describe("FaissIndexer", function () {
 
 			// Assert
 			expect(indexer.model).to.equal("mxbai-embed-large");
-			expect(indexer.dimension).to.equal(1024); // mxbai-embed-large dimension
 		});
 
 		it("should accept custom baseUrl", function () {
@@ -91,32 +102,164 @@ describe("FaissIndexer", function () {
 			expect(indexer.baseUrl).to.equal("http://custom:8080");
 		});
 
-		it("should set correct dimension for different models", function () {
+		it("should not assume a dimension for any model", function () {
 			// Arrange
-			const models = {
-				"nomic-embed-text": 768,
-				"mxbai-embed-large": 1024,
-				"all-minilm": 384,
-				"snowflake-arctic-embed": 1024,
-				"bge-m3": 1024,
-			};
+			const models = ["nomic-embed-text", "mxbai-embed-large", "unknown"];
 
 			// Act & Assert
-			for (const [model, expectedDim] of Object.entries(models)) {
+			for (const model of models) {
 				const indexer = new FaissIndexer({ model });
-				expect(indexer.dimension).to.equal(expectedDim);
+				expect(indexer.dimension).to.be.null;
+			}
+		});
+	});
+
+	describe("providers", function () {
+		class FixedEmbedder extends BaseEmbedder {
+			constructor(options = {}) {
+				super({ dimension: 4, ...options });
+			}
+
+			async embed(text) {
+				return new Float32Array([text.length, 1, 0, 0]);
 			}
+		}
+
+		it("should select provider by name", function () {
+			// Arrange & Act
+			const indexer = new FaissIndexer({
+				provider: "openai",
+				baseUrl: "http://localhost:8080",
+			});
+
+			// Assert
+			expect(indexer.embedder).to.be.instanceOf(OpenAIEmbedder);
+			expect(indexer.embedder.baseUrl).to.equal("http://localhost:8080");
+			expect(indexer.getStats().provider).to.equal("openai");
+		});
+
+		it("should forward retry options to the embedder", function () {
+			// Arrange & Act
+			const indexer = new FaissIndexer({
+				timeout: 5000,
+				retries: 7,
+			});
+
+			// Assert
+			expect(indexer.embedder.timeout).to.equal(5000);
+			expect(indexer.embedder.retryPolicy.retries).to.equal(7);
+		});
+
+		it("should accept a custom embedder class", function () {
+			// Arrange & Act
+			const indexer = new FaissIndexer({ provider: FixedEmbedder });
+
+			// Assert
+			expect(indexer.embedder).to.be.instanceOf(FixedEmbedder);
+			expect(indexer.dimension).to.equal(4);
 		});
 
-		it("should use default dimension for unknown models", function () {
+		it("should build and search offline with the mock provider", async function () {
 			// Arrange
-			const options = { model: "unknown-model" };
+			const metadataPath = path.join(TEST_OUTPUT, "mock_meta.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{
+						doc: "a.txt",
+						chunk: "Orders grouped by status",
+						chunk_id: "a_0",
+					},
+					{
+						doc: "b.txt",
+						chunk: "User login and sessions",
+						chunk_id: "b_0",
+					},
+				])
+			);
+			const indexPath = path.join(TEST_OUTPUT, "mock_index.bin");
+			const indexer = new FaissIndexer({
+				provider: "mock",
+				dimension: 64,
+			});
 
 			// Act
-			const indexer = new FaissIndexer(options);
+			const result = await indexer.build(metadataPath, indexPath);
+			const results = await indexer.search("user login", 1);
+
+			// Assert
+			expect(result.dimension).to.equal(64);
+			expect(results[0].chunk_id).to.equal("b_0");
+		});
+
+		it("should not reuse mock embeddings for a real provider", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "mock_meta.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{ doc: "a.txt", chunk: "Alpha", chunk_id: "a_0" },
+					{ doc: "b.txt", chunk: "Beta", chunk_id: "b_0" },
+				])
+			);
+			const indexPath = path.join(TEST_OUTPUT, "mock_index.bin");
+			await new FaissIndexer({ provider: "mock", dimension: 768 }).build(
+				metadataPath,
+				indexPath
+			);
+			const indexer = new FaissIndexer();
+			sandbox
+				.stub(indexer.embedder, "healthCheck")
+				.resolves({ ok: true });
+			sandbox.stub(indexer.embedder, "embed").resolves(mockEmbedding);
+			const batchStub = sandbox
+				.stub(indexer.embedder, "embedBatch")
+				.callsFake(async (texts) => texts.map(() => mockEmbedding));
+
+			// Act
+			const result = await indexer.build(metadataPath, indexPath);
+
+			// Assert
+			const manifest = JSON.parse(
+				fs.readFileSync(
+					resolveIndexPath(indexPath).replace(
+						".bin",
+						"_manifest.json"
+					),
+					"utf-8"
+				)
+			);
+			expect(result.cache).to.deep.equal({ hits: 0, misses: 2 });
+			expect(batchStub.firstCall.args[0]).to.have.length(2);
+			expect(manifest).to.include({
+				model: "nomic-embed-text",
+				provider: "ollama",
+			});
+		});
+
+		it("should build and search with a custom embedder instance", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "custom_meta.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{ doc: "a.txt", chunk: "Hello", chunk_id: "a_0" },
+					{ doc: "b.txt", chunk: "Hi", chunk_id: "b_0" },
+				])
+			);
+			const indexPath = path.join(TEST_OUTPUT, "custom_index.bin");
+			const indexer = new FaissIndexer({
+				embedder: new FixedEmbedder(),
+				documentPrompt: "",
+				queryPrompt: "",
+			});
+
+			// Act
+			await indexer.build(metadataPath, indexPath);
+			const results = await indexer.search("Hello", 1);
 
 			// Assert
-			expect(indexer.dimension).to.equal(768);
+			expect(results[0].chunk_id).to.equal("a_0");
 		});
 	});
 
@@ -135,6 +278,9 @@ describe("FaissIndexer", function () {
 				.stub(indexer.embedder, "healthCheck")
 				.resolves({ ok: true });
 			sandbox.stub(indexer.embedder, "embed").resolves(mockEmbedding);
+			sandbox
+				.stub(indexer.embedder, "embedBatch")
+				.callsFake(async (texts) => texts.map(() => mockEmbedding));
 			sandbox.stub(indexer.embedder, "normalize").returns(mockEmbedding);
 
 			// Act
@@ -143,8 +289,9 @@ describe("FaissIndexer", function () {
 			// Assert
 			expect(result).to.have.property("vectors");
 			expect(result).to.have.property("time");
+			expect(result).to.have.property("retries", 0);
 			expect(result.vectors).to.equal(2);
-			expect(fs.existsSync(indexPath)).to.be.true;
+			expect(fs.existsSync(resolveIndexPath(indexPath))).to.be.true;
 		});
 
 		it("should call progress callback", async function () {
@@ -164,6 +311,9 @@ describe("FaissIndexer", function () {
 				.stub(indexer.embedder, "healthCheck")
 				.resolves({ ok: true });
 			sandbox.stub(indexer.embedder, "embed").resolves(mockEmbedding);
+			sandbox
+				.stub(indexer.embedder, "embedBatch")
+				.callsFake(async (texts) => texts.map(() => mockEmbedding));
 			sandbox.stub(indexer.embedder, "normalize").returns(mockEmbedding);
 			const progressSpy = sinon.spy();
 
@@ -176,6 +326,547 @@ describe("FaissIndexer", function () {
 			expect(progressSpy.firstCall.args[1]).to.equal(2);
 		});
 
+		it("should embed chunks through embedBatch in windows", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "batch_metadata.json");
+			const metadata = ["A", "B", "C", "D", "E"].map((chunk, i) => ({
+				doc: "a.txt",
+				chunk,
+				chunk_id: `a_${i}`,
+			}));
+			fs.writeFileSync(metadataPath, JSON.stringify(metadata));
+			const indexPath = path.join(TEST_OUTPUT, "batch_index.bin");
+			const indexer = new FaissIndexer({ batchSize: 2, concurrency: 1 });
+			sandbox
+				.stub(indexer.embedder, "healthCheck")
+				.resolves({ ok: true });
+			sandbox.stub(indexer.embedder, "embed").resolves(mockEmbedding);
+			const batchStub = sandbox
+				.stub(indexer.embedder, "embedBatch")
+				.callsFake(async (texts) => texts.map(() => mockEmbedding));
+			sandbox.stub(indexer.embedder, "normalize").returns(mockEmbedding);
+
+			// Act
+			const result = await indexer.build(metadataPath, indexPath);
+
+			// Assert
+			expect(result.vectors).to.equal(5);
+			expect(batchStub.callCount).to.equal(3);
+			expect(batchStub.firstCall.args[0]).to.deep.equal([
+				"search_document: A",
+				"search_document: B",
+			]);
+			expect(indexer.embedder.batchSize).to.equal(2);
+		});
+
+		it("should reuse cached embeddings on rebuild", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "cache_metadata.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{ doc: "a.txt", chunk: "Alpha", chunk_id: "a_0" },
+					{ doc: "b.txt", chunk: "Beta", chunk_id: "b_0" },
+				])
+			);
+			const indexPath = path.join(TEST_OUTPUT, "cache_index.bin");
+			const first = new FaissIndexer();
+			sandbox.stub(first.embedder, "healthCheck").resolves({ ok: true });
+			sandbox.stub(first.embedder, "embed").resolves(mockEmbedding);
+			sandbox
+				.stub(first.embedder, "embedBatch")
+				.callsFake(async (texts) => texts.map(() => mockEmbedding));
+			await first.build(metadataPath, indexPath);
+
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{ doc: "a.txt", chunk: "Alpha", chunk_id: "a_0" },
+					{ doc: "b.txt", chunk: "Gamma", chunk_id: "b_0" },
+				])
+			);
+			const second = new FaissIndexer();
+			sandbox.stub(second.embedder, "healthCheck").resolves({ ok: true });
+			sandbox.stub(second.embedder, "embed").resolves(mockEmbedding);
+			const batchStub = sandbox
+				.stub(second.embedder, "embedBatch")
+				.callsFake(async (texts) => texts.map(() => mockEmbedding));
+
+			// Act
+			const result = await second.build(metadataPath, indexPath);
+
+			// Assert
+			expect(fs.existsSync(path.join(TEST_OUTPUT, "embedding_cache.bin")))
+				.to.be.true;
+			expect(result.cache).to.deep.equal({ hits: 1, misses: 1 });
+			expect(batchStub.firstCall.args[0]).to.deep.equal([
+				"search_document: Gamma",
+			]);
+			expect(result.vectors).to.equal(2);
+		});
+
+		it("should finish the build when the cache cannot be saved", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "cache_metadata.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{ doc: "a.txt", chunk: "Alpha", chunk_id: "a_0" },
+				])
+			);
+			const indexPath = path.join(TEST_OUTPUT, "cache_index.bin");
+			const indexer = new FaissIndexer({ provider: "mock" });
+			sandbox
+				.stub(EmbeddingCache.prototype, "save")
+				.throws(new RangeError("Invalid string length"));
+
+			// Act
+			const result = await indexer.build(metadataPath, indexPath);
+
+			// Assert
+			expect(result.vectors).to.equal(1);
+			expect(result.cache.error).to.equal("Invalid string length");
+			expect(fs.existsSync(resolveIndexPath(indexPath))).to.be.true;
+		});
+
+		it("should truncate and renormalize to dimensions", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "mrl_meta.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{
+						doc: "a.txt",
+						chunk: "Orders by status",
+						chunk_id: "a_0",
+					},
+					{ doc: "b.txt", chunk: "User login", chunk_id: "b_0" },
+				])
+			);
+			const indexPath = path.join(TEST_OUTPUT, "mrl_index.bin");
+			const indexer = new FaissIndexer({
+				provider: "mock",
+				dimensions: 128,
+			});
+
+			// Act
+			const result = await indexer.build(metadataPath, indexPath);
+			const loaded = new FaissIndexer({ provider: "mock" });
+			await loaded.load(indexPath, metadataPath);
+			const results = await loaded.search("user login", 1);
+
+			// Assert
+			expect(result.dimension).to.equal(128);
+			expect(indexer.index.getDimension()).to.equal(128);
+			expect(loaded.getStats().dimensions).to.equal(128);
+			expect(results[0].chunk_id).to.equal("b_0");
+		});
+
+		it("should reject dimensions larger than the model output", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "mrl_meta.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([{ doc: "a", chunk: "text", chunk_id: "a_0" }])
+			);
+			const indexer = new FaissIndexer({
+				provider: "mock",
+				dimension: 16,
+				dimensions: 64,
+			});
+
+			// Act & Assert
+			try {
+				await indexer.build(
+					metadataPath,
+					path.join(TEST_OUTPUT, "mrl_index.bin")
+				);
+				expect.fail("Should have thrown error");
+			} catch (error) {
+				expect(error.message).to.include(
+					"Cannot truncate to 64 dimensions"
+				);
+			}
+		});
+
+		describe("approximate index types", function () {
+			let metadataPath;
+
+			beforeEach(function () {
+				metadataPath = path.join(TEST_OUTPUT, "ann_meta.json");
+				fs.writeFileSync(
+					metadataPath,
+					JSON.stringify(
+						[
+							"Orders by status",
+							"User login flow",
+							"Payment refunds",
+							"Shipping labels",
+							"Password reset",
+							"Invoice export",
+						].map((chunk, i) => ({
+							doc: `${i}.txt`,
+							chunk,
+							chunk_id: `${i}_0`,
+						}))
+					)
+				);
+			});
+
+			it("should train IVF indexes before adding vectors", async function () {
+				// Arrange
+				const indexPath = path.join(TEST_OUTPUT, "ivf_index.bin");
+				const indexer = new FaissIndexer({
+					provider: "mock",
+					indexType: "IVF2,Flat",
+					trainingSize: 4,
+					batchSize: 1,
+					concurrency: 1,
+				});
+
+				// Act
+				const result = await indexer.build(metadataPath, indexPath);
+
+				// Assert
+				expect(result.vectors).to.equal(6);
+				expect(result.trainingVectors).to.equal(4);
+				expect(indexer.index.isTrained()).to.be.true;
+			});
+
+			it("should throw a clear error when there are too few vectors to train", async function () {
+				// Arrange
+				const indexer = new FaissIndexer({
+					provider: "mock",
+					indexType: "IVF16,Flat",
+				});
+
+				// Act & Assert
+				try {
+					await indexer.build(
+						metadataPath,
+						path.join(TEST_OUTPUT, "ivf_index.bin")
+					);
+					expect.fail("Should have thrown error");
+				} catch (error) {
+					expect(error.message).to.include(
+						"Not enough vectors to train IVF16,Flat: got 6, need at least 16"
+					);
+				}
+			});
+
+			it("should store the index type and efSearch for queries", async function () {
+				// Arrange
+				const indexPath = path.join(TEST_OUTPUT, "hnsw_index.bin");
+				const indexer = new FaissIndexer({
+					provider: "mock",
+					indexType: "HNSW8",
+					efSearch: 32,
+				});
+				await indexer.build(metadataPath, indexPath);
+				const loaded = new FaissIndexer({ provider: "mock" });
+
+				// Act
+				await loaded.load(indexPath, metadataPath);
+				const results = await loaded.search("user login flow", 1);
+
+				// Assert
+				expect(loaded.getStats()).to.deep.include({
+					type: "HNSW8",
+					metric: "IP",
+					searchParams: { nprobe: undefined, efSearch: 32 },
+				});
+				expect(getSearchParams(loaded.index).efSearch).to.equal(32);
+				expect(results[0].chunk_id).to.equal("1_0");
+			});
+
+			it("should detect the index type of indexes without a manifest", async function () {
+				// Arrange
+				const indexPath = path.join(TEST_OUTPUT, "hnsw_index.bin");
+				await new FaissIndexer({
+					provider: "mock",
+					indexType: "HNSW8",
+				}).build(metadataPath, indexPath);
+				fs.unlinkSync(
+					resolveIndexPath(indexPath).replace(
+						".bin",
+						"_manifest.json"
+					)
+				);
+				const loaded = new FaissIndexer({ provider: "mock" });
+
+				// Act
+				await loaded.load(indexPath, metadataPath);
+
+				// Assert
+				expect(loaded.getStats()).to.deep.include({
+					type: "IndexHNSWFlat",
+					faissType: "IndexHNSWFlat",
+					metric: "IP",
+				});
+			});
+
+			it("should reject search parameters for other index types", async function () {
+				// Arrange
+				const indexer = new FaissIndexer({
+					provider: "mock",
+					indexType: "HNSW8",
+					nprobe: 8,
+				});
+
+				// Act & Assert
+				try {
+					await indexer.build(
+						metadataPath,
+						path.join(TEST_OUTPUT, "hnsw_index.bin")
+					);
+					expect.fail("Should have thrown error");
+				} catch (error) {
+					expect(error.message).to.include(
+						"nprobe only applies to IVF indexes"
+					);
+				}
+			});
+		});
+
+		describe("oversized chunks", function () {
+			const longChunk = "Lorem ipsum dolor sit amet. ".repeat(10);
+
+			async function buildWith(options) {
+				const metadataPath = path.join(TEST_OUTPUT, "long_meta.json");
+				fs.writeFileSync(
+					metadataPath,
+					JSON.stringify([
+						{ doc: "a.txt", chunk: "short", chunk_id: "a_0" },
+						{ doc: "b.txt", chunk: longChunk, chunk_id: "b_0" },
+					])
+				);
+				const indexer = new FaissIndexer({
+					contextLength: 30,
+					documentPrompt: "",
+					cache: false,
+					...options,
+				});
+				sandbox
+					.stub(indexer.embedder, "healthCheck")
+					.resolves({ ok: true });
+				sandbox.stub(indexer.embedder, "embed").resolves(mockEmbedding);
+				const batchStub = sandbox
+					.stub(indexer.embedder, "embedBatch")
+					.callsFake(async (texts) => texts.map(() => mockEmbedding));
+				const result = await indexer.build(
+					metadataPath,
+					path.join(TEST_OUTPUT, "long_index.bin")
+				);
+				return { indexer, result, batchStub };
+			}
+
+			it("should re-split chunks that exceed the context window", async function () {
+				// Act
+				const { indexer, result } = await buildWith({
+					overflow: "split",
+				});
+
+				// Assert
+				expect(result.oversized.count).to.equal(1);
+				expect(result.oversized.chunkIds).to.deep.equal(["b_0"]);
+				expect(result.vectors).to.be.greaterThan(2);
+				expect(indexer.metadata[1].chunk_id).to.equal("b_0_part0");
+				expect(indexer.metadata[1].chunk.length).to.be.below(
+					longChunk.length
+				);
+			});
+
+			it("should pool sub-window embeddings into one vector", async function () {
+				// Act
+				const { indexer, result, batchStub } = await buildWith({
+					overflow: "pool",
+				});
+
+				// Assert
+				expect(result.oversized.count).to.equal(1);
+				expect(result.vectors).to.equal(2);
+				expect(batchStub.firstCall.args[0].length).to.be.greaterThan(2);
+				expect(indexer.metadata[1].chunk).to.equal(longChunk);
+			});
+
+			describe("pooled chunks in the embedding cache", function () {
+				const pooledDir = path.join(TEST_OUTPUT, "pooled");
+				const indexPath = path.join(pooledDir, "index.bin");
+
+				beforeEach(async function () {
+					const metadataPath = path.join(
+						TEST_OUTPUT,
+						"pooled_meta.json"
+					);
+					fs.writeFileSync(
+						metadataPath,
+						JSON.stringify([
+							{ doc: "a.txt", chunk: "short", chunk_id: "a_0" },
+							{ doc: "b.txt", chunk: longChunk, chunk_id: "b_0" },
+						])
+					);
+					await new FaissIndexer({
+						provider: "mock",
+						indexType: "HNSW8",
+						contextLength: 30,
+						documentPrompt: "",
+						overflow: "pool",
+					}).build(metadataPath, indexPath);
+				});
+
+				it("should keep their sub-window entries when pruning", async function () {
+					// Act
+					const result = await pruneEmbeddingCache(pooledDir);
+
+					// Assert
+					expect(result.removed).to.equal(0);
+					expect(result.kept).to.be.greaterThan(2);
+				});
+
+				it("should re-embed them by sub-window from the cache", async function () {
+					// Arrange
+					const vectorsPath = getVectorsPath(
+						resolveIndexPath(indexPath)
+					);
+					const [, pooled] = readVectors(vectorsPath);
+					fs.rmSync(vectorsPath);
+					const indexer = new FaissIndexer({ provider: "mock" });
+					await indexer.load(
+						indexPath,
+						indexPath.replace(".bin", "_metadata.json")
+					);
+					const batchSpy = sandbox.spy(
+						indexer.embedder,
+						"embedBatch"
+					);
+
+					// Act
+					const [vector] = await indexer._getVectors([
+						indexer._toResult(1, 0),
+					]);
+
+					// Assert
+					expect(batchSpy.called).to.be.false;
+					Array.from(vector).forEach((value, i) =>
+						expect(value).to.be.closeTo(pooled[i], 1e-6)
+					);
+				});
+			});
+
+			it("should embed as-is and report with warn", async function () {
+				// Act
+				const { result, batchStub } = await buildWith({
+					overflow: "warn",
+				});
+
+				// Assert
+				expect(result.oversized).to.deep.equal({
+					policy: "warn",
+					count: 1,
+					chunkIds: ["b_0"],
+				});
+				expect(batchStub.firstCall.args[0]).to.deep.equal([
+					"short",
+					longChunk,
+				]);
+			});
+
+			it("should reject unknown policies", function () {
+				// Act & Assert
+				expect(() => new FaissIndexer({ overflow: "drop" })).to.throw(
+					"Unknown overflow policy"
+				);
+			});
+		});
+
+		it("should not create a cache when cache is false", async function () {
+			// Arrange
+			const metadataPath = path.join(
+				TEST_OUTPUT,
+				"nocache_metadata.json"
+			);
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([{ doc: "a", chunk: "text", chunk_id: "a_0" }])
+			);
+			const indexPath = path.join(TEST_OUTPUT, "nocache_index.bin");
+			const indexer = new FaissIndexer({ cache: false });
+			sandbox
+				.stub(indexer.embedder, "healthCheck")
+				.resolves({ ok: true });
+			sandbox.stub(indexer.embedder, "embed").resolves(mockEmbedding);
+			sandbox
+				.stub(indexer.embedder, "embedBatch")
+				.callsFake(async (texts) => texts.map(() => mockEmbedding));
+
+			// Act
+			const result = await indexer.build(metadataPath, indexPath);
+
+			// Assert
+			expect(result.cache).to.be.null;
+			expect(fs.existsSync(path.join(TEST_OUTPUT, "embedding_cache.bin")))
+				.to.be.false;
+		});
+
+		it("should detect dimension by probing the embedder", async function () {
+			// Arrange
+			const smallEmbedding = new Float32Array(384).fill(0.1);
+			const metadataPath = path.join(TEST_OUTPUT, "probe_metadata.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([{ doc: "a", chunk: "text", chunk_id: "a_0" }])
+			);
+			const indexPath = path.join(TEST_OUTPUT, "probe_index.bin");
+			const indexer = new FaissIndexer({ model: "unknown-model" });
+			sandbox
+				.stub(indexer.embedder, "healthCheck")
+				.resolves({ ok: true });
+			const embedStub = sandbox
+				.stub(indexer.embedder, "embed")
+				.resolves(smallEmbedding);
+			sandbox
+				.stub(indexer.embedder, "embedBatch")
+				.callsFake(async (texts) => texts.map(() => smallEmbedding));
+
+			// Act
+			const result = await indexer.build(metadataPath, indexPath);
+
+			// Assert
+			expect(embedStub.calledOnce).to.be.true;
+			expect(result.dimension).to.equal(384);
+			expect(indexer.getStats().dimension).to.equal(384);
+		});
+
+		it("should throw a clear error on dimension mismatch", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "dim_metadata.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([{ doc: "a", chunk: "text", chunk_id: "a_0" }])
+			);
+			const indexer = new FaissIndexer();
+			sandbox
+				.stub(indexer.embedder, "healthCheck")
+				.resolves({ ok: true });
+			sandbox.stub(indexer.embedder, "embed").resolves(mockEmbedding);
+			sandbox
+				.stub(indexer.embedder, "embedBatch")
+				.resolves([new Float32Array(512)]);
+
+			// Act & Assert
+			try {
+				await indexer.build(
+					metadataPath,
+					path.join(TEST_OUTPUT, "dim_index.bin")
+				);
+				expect.fail("Should have thrown error");
+			} catch (error) {
+				expect(error.message).to.include(
+					"dimension mismatch: expected 768, got 512"
+				);
+			}
+		});
+
 		it("should throw error for missing metadata file", async function () {
 			// Arrange
 			const indexer = new FaissIndexer();
@@ -248,6 +939,9 @@ describe("FaissIndexer", function () {
 				.stub(indexer.embedder, "healthCheck")
 				.resolves({ ok: true });
 			sandbox.stub(indexer.embedder, "embed").resolves(mockEmbedding);
+			sandbox
+				.stub(indexer.embedder, "embedBatch")
+				.callsFake(async (texts) => texts.map(() => mockEmbedding));
 			sandbox.stub(indexer.embedder, "normalize").returns(mockEmbedding);
 
 			// Act
@@ -270,47 +964,800 @@ describe("FaissIndexer", function () {
 				.stub(indexer.embedder, "healthCheck")
 				.resolves({ ok: true });
 			sandbox.stub(indexer.embedder, "embed").resolves(mockEmbedding);
+			sandbox
+				.stub(indexer.embedder, "embedBatch")
+				.callsFake(async (texts) => texts.map(() => mockEmbedding));
 			sandbox.stub(indexer.embedder, "normalize").returns(mockEmbedding);
 
 			// Act
 			await indexer.build(metadataPath, indexPath);
 
 			// Assert
-			const metaPath = indexPath.replace(".bin", "_metadata.json");
+			const metaPath = resolveIndexPath(indexPath).replace(
+				".bin",
+				"_metadata.json"
+			);
 			expect(fs.existsSync(metaPath)).to.be.true;
 		});
 	});
 
-	describe("load()", function () {
-		it("should load existing index", async function () {
-			// Arrange - First build an index
-			const metadataPath = path.join(TEST_OUTPUT, "load_metadata.json");
+	describe("update()", function () {
+		let metadataPath;
+		let indexPath;
+
+		beforeEach(async function () {
+			metadataPath = path.join(TEST_OUTPUT, "update_meta.json");
+			indexPath = path.join(TEST_OUTPUT, "update_index.bin");
 			fs.writeFileSync(
 				metadataPath,
 				JSON.stringify([
-					{ doc: "test", chunk: "text", chunk_id: "t_0" },
+					{
+						doc: "a.txt",
+						chunk: "Orders by status",
+						chunk_id: "a_0",
+					},
+					{ doc: "b.txt", chunk: "User login flow", chunk_id: "b_0" },
+					{ doc: "b.txt", chunk: "Password reset", chunk_id: "b_1" },
+					{ doc: "c.txt", chunk: "Invoice export", chunk_id: "c_0" },
 				])
 			);
-			const indexPath = path.join(TEST_OUTPUT, "load_index.bin");
-			const indexer1 = new FaissIndexer();
-			sandbox
-				.stub(indexer1.embedder, "healthCheck")
-				.resolves({ ok: true });
-			sandbox.stub(indexer1.embedder, "embed").resolves(mockEmbedding);
-			sandbox.stub(indexer1.embedder, "normalize").returns(mockEmbedding);
-			await indexer1.build(metadataPath, indexPath);
-			sandbox.restore(); // Restore to get fresh stubs
-			const metaPath = indexPath.replace(".bin", "_metadata.json");
+			await new FaissIndexer({ provider: "mock" }).build(
+				metadataPath,
+				indexPath
+			);
+		});
 
-			// Act
-			const indexer2 = new FaissIndexer();
-			await indexer2.load(indexPath, metaPath);
+		it("should remove vectors of removed docs and add new chunks", async function () {
+			// Arrange
+			const indexer = new FaissIndexer({ provider: "mock" });
 
-			// Assert
+			// Act
+			const result = await indexer.update(indexPath, {
+				add: [
+					{
+						doc: "d.txt",
+						chunk: "Shipping labels",
+						chunk_id: "d_0",
+					},
+				],
+				removeDocs: ["b.txt"],
+			});
+			const loaded = new FaissIndexer({ provider: "mock" });
+			await loaded.load(
+				indexPath,
+				indexPath.replace(".bin", "_metadata.json")
+			);
+			const [top] = await loaded.search("Invoice export", 1);
+
+			// Assert
+			expect(result).to.include({ vectors: 3, added: 1, removed: 2 });
+			expect(
+				loaded.metadata.map((m) => `${m.id}:${m.chunk_id}`)
+			).to.deep.equal(["0:a_0", "1:c_0", "2:d_0"]);
+			expect(top.chunk_id).to.equal("c_0");
+		});
+
+		it("should keep the stored vectors aligned with the metadata", async function () {
+			// Arrange
+			const indexer = new FaissIndexer({ provider: "mock" });
+
+			// Act
+			await indexer.update(indexPath, {
+				add: [
+					{ doc: "d.txt", chunk: "Shipping labels", chunk_id: "d_0" },
+				],
+				removeDocs: ["b.txt"],
+			});
+			const stored = readVectors(
+				getVectorsPath(resolveIndexPath(indexPath))
+			);
+
+			// Assert
+			expect(stored).to.have.length(3);
+			const [top] = await indexer.searchByVector(stored[2], 1);
+			expect(top.chunk_id).to.equal("d_0");
+			expect(top.similarity).to.be.closeTo(1, 1e-6);
+		});
+
+		for (const indexType of ["HNSW8", "IVF2,Flat"]) {
+			it(`should retrain and rebuild ${indexType} indexes`, async function () {
+				// Arrange
+				await new FaissIndexer({ provider: "mock", indexType }).build(
+					metadataPath,
+					indexPath
+				);
+				const indexer = new FaissIndexer({ provider: "mock" });
+				const embedSpy = sandbox.spy(indexer.embedder, "embedBatch");
+
+				// Act
+				const result = await indexer.update(indexPath, {
+					add: [
+						{
+							doc: "d.txt",
+							chunk: "Shipping labels",
+							chunk_id: "d_0",
+						},
+					],
+					removeDocs: ["b.txt"],
+				});
+				const loaded = new FaissIndexer({ provider: "mock" });
+				await loaded.load(
+					indexPath,
+					indexPath.replace(".bin", "_metadata.json")
+				);
+				const [top] = await loaded.search("Shipping labels", 1);
+
+				// Assert
+				expect(result).to.include({
+					vectors: 3,
+					added: 1,
+					removed: 2,
+					trainingVectors: indexType.startsWith("IVF") ? 3 : 0,
+				});
+				expect(embedSpy.firstCall.args[0]).to.have.length(1);
+				expect(loaded.getStats().type).to.equal(indexType);
+				expect(
+					loaded.metadata.map((m) => `${m.id}:${m.chunk_id}`)
+				).to.deep.equal(["0:a_0", "1:c_0", "2:d_0"]);
+				expect(top.chunk_id).to.equal("d_0");
+			});
+		}
+	});
+
+	describe("reindex()", function () {
+		let metadataPath;
+		let indexPath;
+
+		beforeEach(async function () {
+			metadataPath = path.join(TEST_OUTPUT, "reindex_meta.json");
+			indexPath = path.join(TEST_OUTPUT, "reindex_index.bin");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{
+						doc: "a.txt",
+						chunk: "Orders by status",
+						chunk_id: "a_0",
+					},
+					{ doc: "b.txt", chunk: "User login flow", chunk_id: "b_0" },
+					{ doc: "c.txt", chunk: "Invoice export", chunk_id: "c_0" },
+				])
+			);
+		});
+
+		it("should save the raw vectors with the index", async function () {
+			// Arrange
+			const indexer = new FaissIndexer({ provider: "mock" });
+
+			// Act
+			await indexer.build(metadataPath, indexPath);
+			const stored = readVectors(
+				getVectorsPath(resolveIndexPath(indexPath))
+			);
+
+			// Assert
+			expect(stored).to.have.length(3);
+			expect(stored[0]).to.have.length(indexer.dimension);
+			expect(Array.from(stored[1])).to.deep.equal(
+				Array.from(indexer._loadVectors()[1])
+			);
+		});
+
+		it("should rebuild with another index type without embedding", async function () {
+			// Arrange
+			await new FaissIndexer({ provider: "mock" }).build(
+				metadataPath,
+				indexPath
+			);
+			const indexer = new FaissIndexer({ provider: "mock" });
+			await indexer.load(indexPath, metadataPath);
+			const embedSpy = sandbox.spy(indexer.embedder, "embedBatch");
+
+			// Act
+			const result = await indexer.reindex(indexPath, {
+				indexType: "HNSW8",
+				efSearch: 32,
+			});
+			const loaded = new FaissIndexer({ provider: "mock" });
+			await loaded.load(indexPath, metadataPath);
+			const [top] = await loaded.search("Invoice export", 1);
+
+			// Assert
+			expect(embedSpy.called).to.be.false;
+			expect(result).to.include({ vectors: 3, indexType: "HNSW8" });
+			expect(loaded.getStats()).to.include({
+				type: "HNSW8",
+				faissType: "IndexHNSWFlat",
+			});
+			expect(loaded.getStats().searchParams.efSearch).to.equal(32);
+			expect(top.chunk_id).to.equal("c_0");
+		});
+
+		it("should read vectors of approximate indexes from the stored file", async function () {
+			// Arrange
+			await new FaissIndexer({
+				provider: "mock",
+				indexType: "HNSW8",
+			}).build(metadataPath, indexPath);
+			fs.rmSync(path.join(TEST_OUTPUT, "embedding_cache.bin"));
+			const indexer = new FaissIndexer({ provider: "mock" });
+			await indexer.load(indexPath, metadataPath);
+			const embedSpy = sandbox.spy(indexer.embedder, "embedBatch");
+
+			// Act
+			const results = await indexer.searchSimilarTo("a_0", 2);
+
+			// Assert
+			expect(embedSpy.called).to.be.false;
+			expect(results).to.have.length(2);
+		});
+
+		it("should fail without stored vectors for approximate indexes", async function () {
+			// Arrange
+			await new FaissIndexer({
+				provider: "mock",
+				indexType: "HNSW8",
+			}).build(metadataPath, indexPath);
+			fs.rmSync(getVectorsPath(resolveIndexPath(indexPath)));
+			const indexer = new FaissIndexer({ provider: "mock" });
+
+			// Act & Assert
+			try {
+				await indexer.reindex(indexPath, { indexType: "IP" });
+				expect.fail("Should have thrown error");
+			} catch (error) {
+				expect(error.message).to.include("No stored vectors");
+			}
+		});
+	});
+
+	describe("resumable builds", function () {
+		let metadataPath;
+		let indexPath;
+		const options = {
+			provider: "mock",
+			batchSize: 1,
+			concurrency: 1,
+			cache: false,
+			checkpointInterval: 0,
+		};
+
+		// Build that fails after embedding `count` chunks
+		async function failAfter(count) {
+			const indexer = new FaissIndexer(options);
+			const embedBatch = indexer.embedder.embedBatch.bind(
+				indexer.embedder
+			);
+			let calls = 0;
+			sandbox
+				.stub(indexer.embedder, "embedBatch")
+				.callsFake((texts) =>
+					++calls > count
+						? Promise.reject(new Error("Ollama connection refused"))
+						: embedBatch(texts)
+				);
+			try {
+				await indexer.build(metadataPath, indexPath);
+				expect.fail("Should have thrown error");
+			} catch (error) {
+				expect(error.message).to.include("connection refused");
+			}
+		}
+
+		beforeEach(function () {
+			metadataPath = path.join(TEST_OUTPUT, "resume_meta.json");
+			indexPath = path.join(TEST_OUTPUT, "resume_index.bin");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify(
+					["Orders", "Login", "Invoices", "Refunds"].map(
+						(chunk, i) => ({
+							doc: `${i}.txt`,
+							chunk,
+							chunk_id: `${i}_0`,
+						})
+					)
+				)
+			);
+		});
+
+		it("should save a checkpoint when the build fails", async function () {
+			// Act
+			await failAfter(2);
+			const saved = new BuildCheckpoint(indexPath).load();
+
+			// Assert
+			expect(fs.existsSync(indexPath)).to.be.false;
+			expect(saved.done).to.equal(2);
+			expect(saved.metadata.map((m) => m.chunk_id)).to.deep.equal([
+				"0_0",
+				"1_0",
+			]);
+			expect(saved.vectors).to.have.length(2);
+		});
+
+		it("should resume and embed only the remaining chunks", async function () {
+			// Arrange
+			await failAfter(2);
+			const indexer = new FaissIndexer({ ...options, resume: true });
+			const embedSpy = sandbox.spy(indexer.embedder, "embedBatch");
+
+			// Act
+			const result = await indexer.build(metadataPath, indexPath);
+			const resumedVectors = readVectors(
+				getVectorsPath(resolveIndexPath(indexPath))
+			);
+			await new FaissIndexer(options).build(metadataPath, indexPath);
+			const freshVectors = readVectors(
+				getVectorsPath(resolveIndexPath(indexPath))
+			);
+
+			// Assert
+			expect(result).to.include({ vectors: 4, resumed: 2 });
+			expect(embedSpy.args.flatMap(([texts]) => texts)).to.deep.equal([
+				"search_document: Invoices",
+				"search_document: Refunds",
+			]);
+			expect(indexer.metadata.map((m) => m.id)).to.deep.equal([
+				0, 1, 2, 3,
+			]);
+			expect(resumedVectors.map((v) => Array.from(v))).to.deep.equal(
+				freshVectors.map((v) => Array.from(v))
+			);
+		});
+
+		it("should remove the checkpoint once the index is saved", async function () {
+			// Arrange
+			await failAfter(1);
+
+			// Act
+			await new FaissIndexer({ ...options, resume: true }).build(
+				metadataPath,
+				indexPath
+			);
+
+			// Assert
+			const paths = getCheckpointPaths(indexPath);
+			expect(fs.existsSync(paths.state)).to.be.false;
+			expect(fs.existsSync(paths.vectors)).to.be.false;
+		});
+
+		it("should start over without resume", async function () {
+			// Arrange
+			await failAfter(2);
+			const indexer = new FaissIndexer(options);
+			const embedSpy = sandbox.spy(indexer.embedder, "embedBatch");
+
+			// Act
+			const result = await indexer.build(metadataPath, indexPath);
+
+			// Assert
+			expect(result.resumed).to.equal(0);
+			expect(embedSpy.callCount).to.equal(4);
+		});
+
+		it("should refuse a checkpoint of different metadata", async function () {
+			// Arrange
+			await failAfter(2);
+			const metadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
+			metadata[0].chunk = "Orders by status";
+			fs.writeFileSync(metadataPath, JSON.stringify(metadata));
+
+			// Act & Assert
+			try {
+				await new FaissIndexer({ ...options, resume: true }).build(
+					metadataPath,
+					indexPath
+				);
+				expect.fail("Should have thrown error");
+			} catch (error) {
+				expect(error.message).to.include("does not match this build");
+			}
+		});
+
+		it("should build from scratch when there is no checkpoint", async function () {
+			// Act
+			const result = await new FaissIndexer({
+				...options,
+				resume: true,
+			}).build(metadataPath, indexPath);
+
+			// Assert
+			expect(result).to.include({ vectors: 4, resumed: 0 });
+		});
+	});
+
+	describe("snapshots", function () {
+		let metadataPath;
+		let indexPath;
+
+		beforeEach(function () {
+			metadataPath = path.join(TEST_OUTPUT, "snapshot_meta.json");
+			indexPath = path.join(TEST_OUTPUT, "snapshot_index.bin");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{ doc: "a.txt", chunk: "Orders", chunk_id: "a_0" },
+					{ doc: "b.txt", chunk: "Login", chunk_id: "b_0" },
+				])
+			);
+		});
+
+		it("should save into a snapshot and load it from the index path", async function () {
+			// Arrange
+			const indexer = new FaissIndexer({
+				provider: "mock",
+				keepSnapshots: 2,
+			});
+
+			// Act
+			await indexer.build(metadataPath, indexPath);
+			const loaded = new FaissIndexer({ provider: "mock" });
+			await loaded.load(
+				indexPath,
+				indexPath.replace(".bin", "_metadata.json")
+			);
+
+			// Assert
+			expect(fs.existsSync(indexPath)).to.be.false;
+			expect(resolveIndexPath(indexPath)).to.include(indexer.snapshot);
+			expect(loaded.getStats()).to.include({
+				vectors: 2,
+				snapshot: indexer.snapshot,
+			});
+			expect(loaded.metadata).to.have.length(2);
+		});
+
+		it("should save into snapshots by default and in place with keepSnapshots 0", async function () {
+			// Arrange
+			const inPlacePath = path.join(TEST_OUTPUT, "in_place_index.bin");
+
+			// Act
+			await new FaissIndexer({ provider: "mock" }).build(
+				metadataPath,
+				indexPath
+			);
+			await new FaissIndexer({
+				provider: "mock",
+				keepSnapshots: 0,
+			}).build(metadataPath, inPlacePath);
+
+			// Assert
+			expect(getCurrentSnapshot(indexPath)).to.be.a("string");
+			expect(fs.existsSync(indexPath)).to.be.false;
+			expect(getCurrentSnapshot(inPlacePath)).to.be.null;
+			expect(fs.existsSync(inPlacePath)).to.be.true;
+		});
+
+		it("should add a snapshot per update and roll back to the previous one", async function () {
+			// Arrange
+			const options = { provider: "mock", keepSnapshots: 2 };
+			await new FaissIndexer(options).build(metadataPath, indexPath);
+			const [built] = listSnapshots(indexPath);
+
+			// Act
+			await new FaissIndexer(options).update(indexPath, {
+				add: [{ doc: "c.txt", chunk: "Invoices", chunk_id: "c_0" }],
+			});
+			await new FaissIndexer(options).update(indexPath, {
+				removeDocs: ["a.txt"],
+			});
+			const kept = listSnapshots(indexPath);
+			rollbackSnapshot(indexPath, kept[0].id);
+			const loaded = new FaissIndexer({ provider: "mock" });
+			await loaded.load(indexPath);
+
+			// Assert
+			expect(kept.map((s) => s.vectors)).to.deep.equal([3, 2]);
+			expect(kept.map((s) => s.id)).to.not.include(built.id);
+			expect(loaded.getStats().vectors).to.equal(3);
+			expect(loaded._loadVectors()).to.have.length(3);
+		});
+
+		it("should keep snapshotting a versioned index without keepSnapshots", async function () {
+			// Arrange
+			await new FaissIndexer({
+				provider: "mock",
+				keepSnapshots: 1,
+			}).build(metadataPath, indexPath);
+			const indexer = new FaissIndexer({ provider: "mock" });
+
+			// Act
+			await indexer.update(indexPath, { removeDocs: ["b.txt"] });
+
+			// Assert
+			expect(fs.existsSync(indexPath)).to.be.false;
+			expect(getCurrentSnapshot(indexPath)).to.equal(indexer.snapshot);
+			expect(listSnapshots(indexPath)).to.have.length(2);
+		});
+	});
+
+	describe("load()", function () {
+		it("should load existing index", async function () {
+			// Arrange - First build an index
+			const metadataPath = path.join(TEST_OUTPUT, "load_metadata.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{ doc: "test", chunk: "text", chunk_id: "t_0" },
+				])
+			);
+			const indexPath = path.join(TEST_OUTPUT, "load_index.bin");
+			const indexer1 = new FaissIndexer();
+			sandbox
+				.stub(indexer1.embedder, "healthCheck")
+				.resolves({ ok: true });
+			sandbox.stub(indexer1.embedder, "embed").resolves(mockEmbedding);
+			sandbox
+				.stub(indexer1.embedder, "embedBatch")
+				.callsFake(async (texts) => texts.map(() => mockEmbedding));
+			sandbox.stub(indexer1.embedder, "normalize").returns(mockEmbedding);
+			await indexer1.build(metadataPath, indexPath);
+			sandbox.restore(); // Restore to get fresh stubs
+			const metaPath = indexPath.replace(".bin", "_metadata.json");
+
+			// Act
+			const indexer2 = new FaissIndexer();
+			await indexer2.load(indexPath, metaPath);
+
+			// Assert
 			expect(indexer2.index).to.not.be.null;
 			expect(indexer2.metadata.length).to.equal(1);
 		});
 
+		it("should query with the prompts stored in the manifest", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "prompt_meta.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([{ doc: "a", chunk: "text", chunk_id: "a_0" }])
+			);
+			const indexPath = path.join(TEST_OUTPUT, "prompt_index.bin");
+			const indexer1 = new FaissIndexer({
+				documentPrompt: "passage: ",
+				queryPrompt: "query: {text}?",
+			});
+			sandbox
+				.stub(indexer1.embedder, "healthCheck")
+				.resolves({ ok: true });
+			sandbox.stub(indexer1.embedder, "embed").resolves(mockEmbedding);
+			const batchStub = sandbox
+				.stub(indexer1.embedder, "embedBatch")
+				.callsFake(async (texts) => texts.map(() => mockEmbedding));
+			await indexer1.build(metadataPath, indexPath);
+			const indexer2 = new FaissIndexer();
+			const embedStub = sandbox
+				.stub(indexer2.embedder, "embed")
+				.resolves(mockEmbedding);
+
+			// Act
+			await indexer2.load(indexPath, metadataPath);
+			await indexer2.search("hello", 1);
+
+			// Assert
+			expect(batchStub.firstCall.args[0]).to.deep.equal([
+				"passage: text",
+			]);
+			expect(embedStub.firstCall.args[0]).to.equal("query: hello?");
+			const manifest = JSON.parse(
+				fs.readFileSync(
+					resolveIndexPath(indexPath).replace(
+						".bin",
+						"_manifest.json"
+					),
+					"utf-8"
+				)
+			);
+			expect(manifest.prompts).to.deep.equal({
+				document: "passage: ",
+				query: "query: {text}?",
+			});
+		});
+
+		it("should query without prompts for indexes built without a manifest", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "legacy_meta.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([{ doc: "a", chunk: "text", chunk_id: "a_0" }])
+			);
+			const indexPath = path.join(TEST_OUTPUT, "legacy_index.bin");
+			const indexer1 = new FaissIndexer();
+			sandbox
+				.stub(indexer1.embedder, "healthCheck")
+				.resolves({ ok: true });
+			sandbox.stub(indexer1.embedder, "embed").resolves(mockEmbedding);
+			sandbox
+				.stub(indexer1.embedder, "embedBatch")
+				.callsFake(async (texts) => texts.map(() => mockEmbedding));
+			await indexer1.build(metadataPath, indexPath);
+			fs.unlinkSync(
+				resolveIndexPath(indexPath).replace(".bin", "_manifest.json")
+			);
+			const indexer2 = new FaissIndexer();
+			const embedStub = sandbox
+				.stub(indexer2.embedder, "embed")
+				.resolves(mockEmbedding);
+
+			// Act
+			await indexer2.load(indexPath, metadataPath);
+			await indexer2.search("hello", 1);
+
+			// Assert
+			expect(embedStub.firstCall.args[0]).to.equal("hello");
+		});
+
+		it("should use the model and chunking recorded in the manifest", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "manifest_meta.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([{ doc: "a", chunk: "text", chunk_id: "a_0" }])
+			);
+			const indexPath = path.join(TEST_OUTPUT, "manifest_index.bin");
+			const chunking = {
+				splitter: "markdown",
+				chunkSize: 800,
+				chunkOverlap: 80,
+			};
+			await new FaissIndexer({
+				provider: "mock",
+				model: "mxbai-embed-large",
+				chunking,
+			}).build(metadataPath, indexPath);
+			const indexer = new FaissIndexer({ provider: "mock" });
+
+			// Act
+			await indexer.load(indexPath);
+
+			// Assert
+			const manifest = JSON.parse(
+				fs.readFileSync(
+					resolveIndexPath(indexPath).replace(
+						".bin",
+						"_manifest.json"
+					),
+					"utf-8"
+				)
+			);
+			expect(manifest.provider).to.equal("mock");
+			expect(manifest.toolVersion).to.be.a("string");
+			expect(manifest.model).to.equal("mxbai-embed-large");
+			expect(indexer.model).to.equal("mxbai-embed-large");
+			expect(indexer.embedder.model).to.equal("mxbai-embed-large");
+			expect(indexer.getStats().chunking).to.deep.equal(chunking);
+		});
+
+		it("should reject options that contradict the manifest", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "manifest_meta.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([{ doc: "a", chunk: "text", chunk_id: "a_0" }])
+			);
+			const indexPath = path.join(TEST_OUTPUT, "manifest_index.bin");
+			await new FaissIndexer({
+				provider: "mock",
+				model: "mxbai-embed-large",
+			}).build(metadataPath, indexPath);
+			const indexer = new FaissIndexer({
+				provider: "mock",
+				model: "nomic-embed-text",
+				indexType: "L2",
+			});
+
+			// Act & Assert
+			try {
+				await indexer.load(indexPath);
+				expect.fail("Should have thrown error");
+			} catch (error) {
+				expect(error.message).to.include(
+					"Index was built with model 'mxbai-embed-large', not 'nomic-embed-text', index type 'IP', not 'L2'"
+				);
+			}
+		});
+
+		it("should use the index's provider when none is given", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "provider_meta.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([{ doc: "a", chunk: "text", chunk_id: "a_0" }])
+			);
+			const indexPath = path.join(TEST_OUTPUT, "provider_index.bin");
+			await new FaissIndexer({ provider: "mock" }).build(
+				metadataPath,
+				indexPath
+			);
+			const indexer = new FaissIndexer();
+
+			// Act
+			await indexer.load(indexPath);
+			const results = await indexer.search("text", 1);
+
+			// Assert
+			expect(indexer.provider).to.equal("mock");
+			expect(indexer.embedder.constructor.name).to.equal("MockEmbedder");
+			expect(results).to.have.lengthOf(1);
+		});
+
+		it("should reject a provider that contradicts the manifest", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "provider_meta.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([{ doc: "a", chunk: "text", chunk_id: "a_0" }])
+			);
+			const indexPath = path.join(TEST_OUTPUT, "provider_index.bin");
+			await new FaissIndexer({ provider: "mock" }).build(
+				metadataPath,
+				indexPath
+			);
+			const indexer = new FaissIndexer({ provider: "ollama" });
+
+			// Act & Assert
+			try {
+				await indexer.load(indexPath);
+				expect.fail("Should have thrown error");
+			} catch (error) {
+				expect(error.message).to.include(
+					"Index was built with provider 'mock', not 'ollama'"
+				);
+			}
+		});
+
+		it("should load L2 indexes as L2 and score them like IP indexes", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "l2_meta.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{ doc: "a", chunk: "Orders by status", chunk_id: "a_0" },
+					{ doc: "b", chunk: "User login flow", chunk_id: "b_0" },
+				])
+			);
+			const ipPath = path.join(TEST_OUTPUT, "ip_index.bin");
+			const l2Path = path.join(TEST_OUTPUT, "l2_index.bin");
+			await new FaissIndexer({ provider: "mock" }).build(
+				metadataPath,
+				ipPath
+			);
+			await new FaissIndexer({ provider: "mock", indexType: "L2" }).build(
+				metadataPath,
+				l2Path
+			);
+			// Only the file itself says it is L2
+			const manifestPath = resolveIndexPath(l2Path).replace(
+				".bin",
+				"_manifest.json"
+			);
+			const { indexType, metric, ...manifest } = JSON.parse(
+				fs.readFileSync(manifestPath, "utf-8")
+			);
+			fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+			const ip = new FaissIndexer({ provider: "mock" });
+			const l2 = new FaissIndexer({ provider: "mock" });
+
+			// Act
+			await ip.load(ipPath);
+			await l2.load(l2Path);
+			const ipResults = await ip.search("login", 2);
+			const l2Results = await l2.search("login", 2);
+
+			// Assert
+			expect(l2.getStats()).to.deep.include({
+				type: "L2",
+				faissType: "IndexFlatL2",
+				metric: "L2",
+			});
+			expect(l2Results.map((r) => r.id)).to.deep.equal(
+				ipResults.map((r) => r.id)
+			);
+			l2Results.forEach((result, i) =>
+				expect(result.score).to.be.closeTo(ipResults[i].score, 1e-5)
+			);
+		});
+
 		it("should throw error for non-existent index", async function () {
 			// Arrange
 			const indexer = new FaissIndexer();
@@ -356,6 +1803,9 @@ describe("FaissIndexer", function () {
 				.stub(indexer.embedder, "healthCheck")
 				.resolves({ ok: true });
 			sandbox.stub(indexer.embedder, "embed").resolves(mockEmbedding);
+			sandbox
+				.stub(indexer.embedder, "embedBatch")
+				.callsFake(async (texts) => texts.map(() => mockEmbedding));
 			sandbox.stub(indexer.embedder, "normalize").returns(mockEmbedding);
 			await indexer.build(metadataPath, indexPath);
 
@@ -369,6 +1819,572 @@ describe("FaissIndexer", function () {
 			expect(results[0]).to.have.property("doc");
 			expect(results[0]).to.have.property("chunk_id");
 			expect(results[0]).to.have.property("chunk");
+			expect(indexer.embedder.embed.lastCall.args[0]).to.equal(
+				"search_query: test"
+			);
+		});
+	});
+
+	describe("search() with filters", function () {
+		let indexer;
+
+		beforeEach(async function () {
+			const metadataPath = path.join(TEST_OUTPUT, "filter_meta.json");
+			const topics = ["orders", "login", "refunds", "shipping"];
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify(
+					Array.from({ length: 20 }, (_, i) => ({
+						doc: `${i % 2 ? "guides" : "api"}/${i}.md`,
+						chunk: `${topics[i % 4]} notes part ${i}`,
+						chunk_id: `c_${i}`,
+						lang: i < 18 ? "en" : "de",
+						year: 2010 + i,
+					}))
+				)
+			);
+			indexer = new FaissIndexer({ provider: "mock" });
+			await indexer.build(
+				metadataPath,
+				path.join(TEST_OUTPUT, "filter_index.bin")
+			);
+		});
+
+		it("should return extra metadata fields", async function () {
+			// Act
+			const [result] = await indexer.search("orders notes", 1);
+
+			// Assert
+			expect(result).to.have.property("lang");
+			expect(result).to.have.property("year");
+		});
+
+		it("should return k results that match a selective filter", async function () {
+			// Act
+			const results = await indexer.search("orders notes", 2, {
+				filter: { lang: "de" },
+			});
+
+			// Assert
+			expect(results.map((r) => r.chunk_id)).to.have.members([
+				"c_18",
+				"c_19",
+			]);
+		});
+
+		it("should combine ranges and doc globs", async function () {
+			// Act
+			const results = await indexer.search("login notes", 10, {
+				filter: { doc: "guides/*", year: { $gte: 2020 } },
+			});
+
+			// Assert
+			expect(results.length).to.equal(5);
+			expect(
+				results.every(
+					(r) => r.doc.startsWith("guides/") && r.year >= 2020
+				)
+			).to.be.true;
+		});
+
+		it("should return nothing when no entry matches", async function () {
+			// Act
+			const results = await indexer.search("orders", 5, {
+				filter: { lang: "fr" },
+			});
+
+			// Assert
+			expect(results).to.deep.equal([]);
+		});
+	});
+
+	describe("search() modes", function () {
+		let metadataPath;
+		let indexPath;
+
+		beforeEach(async function () {
+			metadataPath = path.join(TEST_OUTPUT, "modes_meta.json");
+			indexPath = path.join(TEST_OUTPUT, "modes_index.bin");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{ doc: "a.md", chunk: "Orders by status", chunk_id: "a_0" },
+					{
+						doc: "b.md",
+						chunk: "Proxy drops return ERR_CONN_RESET",
+						chunk_id: "b_0",
+					},
+					{ doc: "c.md", chunk: "User login flow", chunk_id: "c_0" },
+				])
+			);
+			await new FaissIndexer({ provider: "mock" }).build(
+				metadataPath,
+				indexPath
+			);
+		});
+
+		it("should find exact identifiers with keyword search", async function () {
+			// Arrange
+			const indexer = new FaissIndexer({ provider: "mock" });
+			await indexer.load(
+				indexPath,
+				indexPath.replace(".bin", "_metadata.json")
+			);
+
+			// Act
+			const results = await indexer.search("ERR_CONN_RESET", 3, {
+				mode: "keyword",
+			});
+
+			// Assert
+			expect(
+				fs.existsSync(
+					resolveIndexPath(indexPath).replace(".bin", "_bm25.json")
+				)
+			).to.be.true;
+			expect(results.map((r) => r.chunk_id)).to.deep.equal(["b_0"]);
+		});
+
+		it("should fuse vector and keyword rankings in hybrid mode", async function () {
+			// Arrange
+			const indexer = new FaissIndexer({ provider: "mock" });
+			await indexer.load(
+				indexPath,
+				indexPath.replace(".bin", "_metadata.json")
+			);
+
+			// Act
+			const results = await indexer.search("ERR_CONN_RESET", 3, {
+				mode: "hybrid",
+			});
+
+			// Assert
+			expect(results.length).to.equal(3);
+			expect(results[0].chunk_id).to.equal("b_0");
+			expect(results[0].keywordScore).to.be.greaterThan(0);
+			expect(results[0].vectorScore).to.be.a("number");
+		});
+
+		it("should build a keyword index for indexes saved without one", async function () {
+			// Arrange
+			fs.rmSync(
+				resolveIndexPath(indexPath).replace(".bin", "_bm25.json")
+			);
+			const indexer = new FaissIndexer({ provider: "mock" });
+			await indexer.load(
+				indexPath,
+				indexPath.replace(".bin", "_metadata.json")
+			);
+
+			// Act
+			const results = await indexer.search("login", 3, {
+				mode: "keyword",
+			});
+
+			// Assert
+			expect(results.map((r) => r.chunk_id)).to.deep.equal(["c_0"]);
+		});
+
+		it("should diversify results with mmr", async function () {
+			// Arrange
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{
+						doc: "a.md",
+						chunk: "Orders are listed by status",
+						chunk_id: "a_0",
+					},
+					{
+						doc: "a.md",
+						chunk: "Orders are listed by status",
+						chunk_id: "a_1",
+					},
+					{
+						doc: "b.md",
+						chunk: "Orders are exported nightly",
+						chunk_id: "b_0",
+					},
+				])
+			);
+			const indexer = new FaissIndexer({ provider: "mock" });
+			await indexer.build(metadataPath, indexPath);
+
+			// Act
+			const plain = await indexer.search("orders by status", 2);
+			const diverse = await indexer.search("orders by status", 2, {
+				mmr: true,
+			});
+
+			// Assert
+			expect(plain.map((r) => r.doc)).to.deep.equal(["a.md", "a.md"]);
+			expect(diverse.map((r) => r.doc)).to.deep.equal(["a.md", "b.md"]);
+		});
+
+		it("should reject unknown modes", async function () {
+			// Arrange
+			const indexer = new FaissIndexer({ provider: "mock" });
+			await indexer.load(indexPath);
+
+			// Act & Assert
+			try {
+				await indexer.search("orders", 3, { mode: "fuzzy" });
+				expect.fail("Should have thrown error");
+			} catch (error) {
+				expect(error.message).to.include("Unknown search mode");
+			}
+		});
+	});
+
+	describe("search() scores and thresholds", function () {
+		let indexer;
+
+		before(async function () {
+			const metadataPath = path.join(TEST_OUTPUT, "range_meta.json");
+			const chunks = Array.from({ length: 80 }, (_, i) => ({
+				doc: `${i % 8}.md`,
+				chunk: `Section ${i} about ${i % 2 ? "refunds" : "shipping"}`,
+				chunk_id: `c_${i}`,
+			}));
+			chunks.push({
+				doc: "codes.md",
+				chunk: "ERR_CONN_RESET",
+				chunk_id: "codes_0",
+			});
+			fs.mkdirSync(TEST_OUTPUT, { recursive: true });
+			fs.writeFileSync(metadataPath, JSON.stringify(chunks));
+			indexer = new FaissIndexer({ provider: "mock" });
+			await indexer.build(
+				metadataPath,
+				path.join(TEST_OUTPUT, "range_index.bin")
+			);
+		});
+
+		it("should add a 0..1 similarity to vector results", async function () {
+			// Act
+			const results = await indexer.search("refunds", 5);
+
+			// Assert
+			for (const result of results) {
+				expect(result.similarity).to.be.closeTo(
+					(1 + result.score) / 2,
+					1e-6
+				);
+			}
+		});
+
+		it("should not let metadata fields replace the scores", async function () {
+			// Arrange
+			const metadataPath = path.join(TEST_OUTPUT, "fields_meta.json");
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{
+						doc: "grades.md",
+						chunk: "Refunds for grade A+ orders",
+						chunk_id: "g_0",
+						score: "A+",
+						similarity: "high",
+						team: "billing",
+					},
+				])
+			);
+			const graded = new FaissIndexer({ provider: "mock" });
+			await graded.build(
+				metadataPath,
+				path.join(TEST_OUTPUT, "fields_index.bin")
+			);
+
+			// Act
+			const [vector] = await graded.search("refunds", 1);
+			const [keyword] = await graded.search("refunds", 1, {
+				mode: "keyword",
+			});
+
+			// Assert
+			expect(vector.score).to.be.a("number");
+			expect(vector.similarity).to.be.a("number");
+			expect(vector.team).to.equal("billing");
+			expect(keyword.score).to.be.a("number");
+		});
+
+		it("should drop results below minScore", async function () {
+			// Arrange
+			const top = await indexer.search("refunds", 3);
+
+			// Act
+			const results = await indexer.search("refunds", 3, {
+				minScore: top[1].similarity,
+			});
+
+			// Assert
+			expect(results.map((r) => r.id)).to.deep.equal(
+				top.slice(0, 2).map((r) => r.id)
+			);
+		});
+
+		it("should return every chunk above the threshold with rangeSearch", async function () {
+			// Act
+			const all = await indexer.rangeSearch("refunds", 0);
+			const none = await indexer.rangeSearch("refunds", 1);
+
+			// Assert
+			expect(all.length).to.equal(81);
+			expect(none).to.deep.equal([]);
+		});
+
+		it("should give keyword-only hybrid hits a similarity", async function () {
+			// Act
+			const results = await indexer.search("ERR_CONN_RESET", 3, {
+				mode: "hybrid",
+				minScore: 0,
+			});
+
+			// Assert
+			expect(results[0].chunk_id).to.equal("codes_0");
+			results.forEach((r) => expect(r.similarity).to.be.a("number"));
+		});
+
+		it("should reject thresholds it cannot apply", async function () {
+			// Act & Assert
+			for (const [k, options, message] of [
+				[5, { mode: "keyword", minScore: 0.5 }, "use mode 'vector'"],
+				[5, { minScore: 2 }, "between 0 and 1"],
+				[Infinity, {}, "needs minScore"],
+			]) {
+				try {
+					await indexer.search("refunds", k, options);
+					expect.fail("Should have thrown error");
+				} catch (error) {
+					expect(error.message).to.include(message);
+				}
+			}
+		});
+	});
+
+	describe("searchBatch()", function () {
+		let indexer;
+
+		before(async function () {
+			const metadataPath = path.join(TEST_OUTPUT, "batch_meta.json");
+			fs.mkdirSync(TEST_OUTPUT, { recursive: true });
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{
+						doc: "a.md",
+						chunk: "Orders by status",
+						chunk_id: "a_0",
+						lang: "en",
+					},
+					{
+						doc: "b.md",
+						chunk: "User login flow",
+						chunk_id: "b_0",
+						lang: "en",
+					},
+					{
+						doc: "c.md",
+						chunk: "Bestellungen nach Status",
+						chunk_id: "c_0",
+						lang: "de",
+					},
+				])
+			);
+			indexer = new FaissIndexer({ provider: "mock" });
+			await indexer.build(
+				metadataPath,
+				path.join(TEST_OUTPUT, "batch_index.bin")
+			);
+		});
+
+		it("should embed all queries in one batch and match search()", async function () {
+			// Arrange
+			const queries = ["orders by status", "login", "status"];
+			const expected = [];
+			for (const query of queries) {
+				expected.push(await indexer.search(query, 2));
+			}
+			const batchSpy = sandbox.spy(indexer.embedder, "embedBatch");
+			const searchSpy = sandbox.spy(indexer.index, "search");
+
+			// Act
+			const results = await indexer.searchBatch(queries, 2);
+
+			// Assert
+			expect(batchSpy.calledOnce).to.be.true;
+			expect(searchSpy.calledOnce).to.be.true;
+			expect(results).to.deep.equal(expected);
+		});
+
+		it("should apply search options to every query", async function () {
+			// Act
+			const results = await indexer.searchBatch(["orders", "login"], 3, {
+				filter: { lang: "en" },
+			});
+
+			// Assert
+			expect(results).to.have.length(2);
+			results.forEach((list) => {
+				expect(list).to.have.length(2);
+				list.forEach((r) => expect(r.lang).to.equal("en"));
+			});
+		});
+
+		it("should return nothing for no queries", async function () {
+			// Act & Assert
+			expect(await indexer.searchBatch([], 3)).to.deep.equal([]);
+		});
+	});
+
+	describe("searchByVector() and searchSimilarTo()", function () {
+		let indexer;
+
+		before(async function () {
+			const metadataPath = path.join(TEST_OUTPUT, "similar_meta.json");
+			fs.mkdirSync(TEST_OUTPUT, { recursive: true });
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify([
+					{ doc: "a.md", chunk: "Orders by status", chunk_id: "a_0" },
+					{ doc: "b.md", chunk: "Orders by status", chunk_id: "b_0" },
+					{ doc: "c.md", chunk: "User login flow", chunk_id: "c_0" },
+				])
+			);
+			indexer = new FaissIndexer({ provider: "mock" });
+			await indexer.build(
+				metadataPath,
+				path.join(TEST_OUTPUT, "similar_index.bin")
+			);
+		});
+
+		it("should search with a vector like with its query text", async function () {
+			// Arrange
+			const expected = await indexer.search("orders", 3);
+			const vector = await indexer.embedder.embed("orders");
+			const embedSpy = sandbox.spy(indexer.embedder, "embed");
+
+			// Act
+			const results = await indexer.searchByVector(vector, 3);
+
+			// Assert
+			expect(embedSpy.called).to.be.false;
+			expect(results.map((r) => r.id)).to.deep.equal(
+				expected.map((r) => r.id)
+			);
+		});
+
+		it("should reject vectors of another dimension", async function () {
+			// Act & Assert
+			try {
+				await indexer.searchByVector([1, 0, 0], 3);
+				expect.fail("Should have thrown error");
+			} catch (error) {
+				expect(error.message).to.include("Vector has 3 dimensions");
+			}
+		});
+
+		it("should return the neighbours of a chunk without the chunk itself", async function () {
+			// Act
+			const results = await indexer.searchSimilarTo("a_0", 2);
+
+			// Assert
+			expect(results.map((r) => r.chunk_id)).to.deep.equal([
+				"b_0",
+				"c_0",
+			]);
+			expect(results[0].similarity).to.be.closeTo(1, 1e-6);
+		});
+
+		it("should reject unknown chunk ids", async function () {
+			// Act & Assert
+			try {
+				await indexer.searchSimilarTo("nope", 2);
+				expect.fail("Should have thrown error");
+			} catch (error) {
+				expect(error.message).to.include("Chunk not found: nope");
+			}
+		});
+	});
+
+	describe("merge()", function () {
+		const buildSource = async (name, chunks, options = {}) => {
+			const metadataPath = path.join(TEST_OUTPUT, `${name}_meta.json`);
+			fs.mkdirSync(TEST_OUTPUT, { recursive: true });
+			fs.writeFileSync(
+				metadataPath,
+				JSON.stringify(
+					chunks.map((chunk, i) => ({
+						doc: `${name}.md`,
+						chunk,
+						chunk_id: `${name}_${i}`,
+					}))
+				)
+			);
+			const indexer = new FaissIndexer({ provider: "mock", ...options });
+			await indexer.build(
+				metadataPath,
+				path.join(TEST_OUTPUT, name, "index.bin")
+			);
+			return { name, indexer };
+		};
+
+		it("should combine vectors and metadata, labelled with their index", async function () {
+			// Arrange
+			const billing = await buildSource("billing", [
+				"Refunds within 14 days",
+				"Invoices are sent monthly",
+			]);
+			const support = await buildSource("support", [
+				"Reset your password",
+			]);
+			const merged = new FaissIndexer({ provider: "mock" });
+
+			// Act
+			const result = await merged.merge(
+				[billing, support],
+				path.join(TEST_OUTPUT, "merged", "index.bin")
+			);
+			const [top] = await merged.search("reset password", 1);
+
+			// Assert
+			expect(result.vectors).to.equal(3);
+			expect(result.sources).to.deep.equal([
+				{ name: "billing", vectors: 2 },
+				{ name: "support", vectors: 1 },
+			]);
+			expect(merged.metadata.map((m) => [m.id, m.index])).to.deep.equal([
+				[0, "billing"],
+				[1, "billing"],
+				[2, "support"],
+			]);
+			expect(top.chunk_id).to.equal("support_0");
+			expect(top.similarity).to.be.closeTo(
+				(await support.indexer.search("reset password", 1))[0]
+					.similarity,
+				1e-6
+			);
+		});
+
+		it("should reject indexes with different dimensions", async function () {
+			// Arrange
+			const full = await buildSource("full", ["Refunds"]);
+			const small = await buildSource("small", ["Passwords"], {
+				dimensions: 64,
+			});
+
+			// Act & Assert
+			try {
+				await new FaissIndexer({ provider: "mock" }).merge(
+					[full, small],
+					path.join(TEST_OUTPUT, "merged_bad", "index.bin")
+				);
+				expect.fail("Should have thrown error");
+			} catch (error) {
+				expect(error.message).to.include(
+					"Indexes must share model and dimension"
+				);
+			}
 		});
 	});
 
@@ -380,7 +2396,7 @@ describe("FaissIndexer", function () {
 
 			// Assert
 			expect(stats.vectors).to.equal(0);
-			expect(stats.dimension).to.equal(768);
+			expect(stats.dimension).to.be.null;
 			expect(stats.type).to.equal("IP");
 			expect(stats.model).to.equal("nomic-embed-text");
 			expect(stats.baseUrl).to.equal("http://localhost:11434");
@@ -399,6 +2415,9 @@ describe("FaissIndexer", function () {
 				.stub(indexer.embedder, "healthCheck")
 				.resolves({ ok: true });
 			sandbox.stub(indexer.embedder, "embed").resolves(mockEmbedding);
+			sandbox
+				.stub(indexer.embedder, "embedBatch")
+				.callsFake(async (texts) => texts.map(() => mockEmbedding));
 			sandbox.stub(indexer.embedder, "normalize").returns(mockEmbedding);
 			await indexer.build(metadataPath, indexPath);
 
@@ -427,7 +2446,6 @@ describe("FaissIndexer", function () {
 			// Assert
 			expect(stats.model).to.equal("mxbai-embed-large");
 			expect(stats.baseUrl).to.equal("http://custom:8080");
-			expect(stats.dimension).to.equal(1024);
 		});
 	});
 
@@ -0,0 +1,100 @@
+import { expect } from "chai";
+import { checkCompatible, mergeResults } from "../lib/federatedSearch.js";
+
+// Loaded indexes only need getStats() here
+const index = (name, model, dimension) => ({
+	name,
+	indexer: { getStats: () => ({ model, dimension }) },
+});
+
+describe("federatedSearch", function () {
+	describe("checkCompatible()", function () {
+		it("should accept indexes sharing model and dimension", function () {
+			// Act & Assert
+			expect(() =>
+				checkCompatible([
+					index("billing", "nomic-embed-text", 768),
+					index("support", "nomic-embed-text", 768),
+				])
+			).to.not.throw();
+		});
+
+		it("should name the indexes that differ", function () {
+			// Act & Assert
+			expect(() =>
+				checkCompatible([
+					index("billing", "nomic-embed-text", 768),
+					index("support", "all-minilm", 384),
+				])
+			).to.throw(
+				"billing uses 'nomic-embed-text' (768 dimensions), support uses 'all-minilm' (384 dimensions)"
+			);
+		});
+	});
+
+	describe("mergeResults()", function () {
+		const lists = [
+			{
+				name: "billing",
+				results: [
+					{ id: 0, score: 0.9, similarity: 0.8 },
+					{ id: 1, score: 0.5, similarity: 0.6 },
+				],
+			},
+			{
+				name: "support",
+				results: [{ id: 0, score: 0.2, similarity: 0.7 }],
+			},
+		];
+
+		it("should merge vector results by similarity and label them", function () {
+			// Act
+			const results = mergeResults(lists, 2);
+
+			// Assert
+			expect(results).to.deep.equal([
+				{ id: 0, score: 0.9, similarity: 0.8, index: "billing" },
+				{ id: 0, score: 0.2, similarity: 0.7, index: "support" },
+			]);
+		});
+
+		it("should merge keyword results by rank, ties by similarity", function () {
+			// Act
+			const results = mergeResults(lists, 3, "keyword");
+
+			// Assert
+			expect(results.map((r) => r.index)).to.deep.equal([
+				"billing",
+				"support",
+				"billing",
+			]);
+		});
+
+		it("should not let one index's larger scores crowd out another", function () {
+			// Arrange
+			const keywordLists = [
+				{
+					name: "large",
+					results: [
+						{ id: 0, score: 14.2, similarity: 0.5 },
+						{ id: 1, score: 12.8, similarity: 0.4 },
+						{ id: 2, score: 11.9, similarity: 0.3 },
+					],
+				},
+				{
+					name: "small",
+					results: [{ id: 0, score: 1.1, similarity: 0.9 }],
+				},
+			];
+
+			// Act
+			const results = mergeResults(keywordLists, 2, "hybrid");
+
+			// Assert
+			expect(results).to.deep.equal([
+				{ id: 0, score: 1.1, similarity: 0.9, index: "small" },
+				{ id: 0, score: 14.2, similarity: 0.5, index: "large" },
+			]);
+		});
+	});
+});
@@ -0,0 +1,223 @@
+import { expect } from "chai";
+import http from "http";
+import { HostPool, parseHosts } from "../lib/hostPool.js";
+import { OllamaEmbedder } from "../lib/embedder.js";
+
+/**
+ * Start a stub Ollama server on a random port
+ */
+function startStubOllama({ models = ["nomic-embed-text:latest"] } = {}) {
+	return new Promise((resolve) => {
+		const stub = { embedded: 0 };
+		stub.server = http.createServer((req, res) => {
+			let body = "";
+			req.on("data", (data) => (body += data));
+			req.on("end", () => {
+				const input = body ? JSON.parse(body) : {};
+				let reply = {};
+				if (req.url === "/api/tags") {
+					reply = { models: models.map((name) => ({ name })) };
+				} else if (req.url === "/api/embed") {
+					stub.embedded += input.input.length;
+					reply = { embeddings: input.input.map(() => [1, 0, 0]) };
+				} else if (req.url === "/api/embeddings") {
+					stub.embedded++;
+					reply = { embedding: [1, 0, 0] };
+				}
+				res.writeHead(200, { "Content-Type": "application/json" });
+				res.end(JSON.stringify(reply));
+			});
+		});
+		stub.server.listen(0, "127.0.0.1", () => {
+			stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+			resolve(stub);
+		});
+	});
+}
+
+describe("hostPool", function () {
+	function refused() {
+		return Object.assign(new Error("connect ECONNREFUSED"), {
+			code: "ECONNREFUSED",
+		});
+	}
+
+	describe("parseHosts()", function () {
+		it("should accept arrays and comma-separated lists", function () {
+			// Act & Assert
+			expect(parseHosts("http://a:1, http://b:2/")).to.deep.equal([
+				"http://a:1",
+				"http://b:2",
+			]);
+			expect(parseHosts(["http://a:1"])).to.deep.equal(["http://a:1"]);
+		});
+	});
+
+	describe("HostPool", function () {
+		it("should rotate hosts round-robin", async function () {
+			// Arrange
+			const pool = new HostPool(["a", "b", "c"]);
+			const used = [];
+
+			// Act
+			for (let i = 0; i < 4; i++) {
+				await pool.run(async (url) => used.push(url));
+			}
+
+			// Assert
+			expect(used).to.deep.equal(["a", "b", "c", "a"]);
+		});
+
+		it("should prefer the host with fewest in-flight requests", async function () {
+			// Arrange
+			const pool = new HostPool(["a", "b"], { scheduling: "least-busy" });
+			let release;
+			const slow = pool.run(
+				() => new Promise((resolve) => (release = resolve))
+			);
+			const used = [];
+
+			// Act
+			await pool.run(async (url) => used.push(url));
+			await pool.run(async (url) => used.push(url));
+			release();
+			await slow;
+
+			// Assert
+			expect(used).to.deep.equal(["b", "b"]);
+		});
+
+		it("should fail over and remove unreachable hosts", async function () {
+			// Arrange
+			const pool = new HostPool(["down", "up"]);
+
+			// Act
+			const result = await pool.run(async (url) => {
+				if (url === "down") throw refused();
+				return url;
+			});
+
+			// Assert
+			expect(result).to.equal("up");
+			expect(pool.healthyHosts.map((h) => h.url)).to.deep.equal(["up"]);
+			expect(pool.getStats()[0].removedReason).to.include("ECONNREFUSED");
+		});
+
+		it("should remove a host after repeated failures", async function () {
+			// Arrange
+			const pool = new HostPool(["bad", "good"], { maxFailures: 2 });
+			const fn = async (url) => {
+				if (url === "bad") throw new Error("boom");
+				return url;
+			};
+
+			// Act
+			for (let i = 0; i < 4; i++) {
+				await pool.run(fn).catch(() => {});
+			}
+
+			// Assert
+			expect(pool.getStats()[0]).to.include({
+				healthy: false,
+				failures: 2,
+			});
+		});
+
+		it("should never remove the last healthy host", async function () {
+			// Arrange
+			const pool = new HostPool(["only"]);
+
+			// Act & Assert
+			try {
+				await pool.run(async () => {
+					throw refused();
+				});
+				expect.fail("Should have thrown error");
+			} catch (error) {
+				expect(error.host).to.equal("only");
+				expect(pool.healthyHosts.length).to.equal(1);
+			}
+		});
+
+		it("should reject unknown scheduling", function () {
+			// Act & Assert
+			expect(
+				() => new HostPool(["a"], { scheduling: "random" })
+			).to.throw("Unknown scheduling");
+		});
+	});
+
+	describe("OllamaEmbedder with multiple hosts", function () {
+		let stubs;
+
+		beforeEach(async function () {
+			stubs = [await startStubOllama(), await startStubOllama()];
+		});
+
+		afterEach(async function () {
+			await Promise.all(
+				stubs.map((stub) => new Promise((r) => stub.server.close(r)))
+			);
+		});
+
+		it("should spread batches across hosts and report per-host stats", async function () {
+			// Arrange
+			const embedder = new OllamaEmbedder({
+				baseUrl: stubs.map((stub) => stub.url).join(","),
+				batchSize: 2,
+			});
+
+			// Act
+			const embeddings = await embedder.embedBatch([
+				"a",
+				"b",
+				"c",
+				"d",
+				"e",
+				"f",
+				"g",
+				"h",
+			]);
+
+			// Assert
+			expect(embeddings.length).to.equal(8);
+			expect(stubs.map((stub) => stub.embedded)).to.deep.equal([4, 4]);
+			expect(embedder.getHostStats().map((h) => h.items)).to.deep.equal([
+				4, 4,
+			]);
+		});
+
+		it("should drop hosts that fail the health check", async function () {
+			// Arrange
+			const missingModel = await startStubOllama({ models: [] });
+			stubs.push(missingModel);
+			const embedder = new OllamaEmbedder({
+				baseUrl: [stubs[0].url, missingModel.url, "http://127.0.0.1:1"],
+			});
+
+			// Act
+			const health = await embedder.healthCheck();
+			await embedder.embedBatch(["a", "b", "c"]);
+
+			// Assert
+			expect(health.ok).to.be.true;
+			expect(health.message).to.include("1/3 hosts");
+			expect(missingModel.embedded).to.equal(0);
+			expect(stubs[0].embedded).to.equal(3);
+		});
+
+		it("should fail over when a host goes down mid-build", async function () {
+			// Arrange
+			const embedder = new OllamaEmbedder({
+				baseUrl: ["http://127.0.0.1:1", stubs[0].url],
+			});
+
+			// Act
+			const embedding = await embedder.embed("hello");
+
+			// Assert
+			expect(Array.from(embedding)).to.deep.equal([1, 0, 0]);
+			expect(embedder.getHostStats()[0].healthy).to.be.false;
+		});
+	});
+});
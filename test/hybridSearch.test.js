@@ -0,0 +1,54 @@
+import { expect } from "chai";
+import { fuseResults, validateSearchOptions } from "../lib/hybridSearch.js";
+
+describe("hybridSearch", function () {
+	const vector = [
+		{ id: 1, score: 0.9 },
+		{ id: 2, score: 0.8 },
+		{ id: 3, score: 0.1 },
+	];
+	const keyword = [
+		{ id: 3, score: 12 },
+		{ id: 1, score: 2 },
+	];
+
+	describe("fuseResults()", function () {
+		it("should rank chunks found by both lists first with rrf", function () {
+			// Act
+			const fused = fuseResults(vector, keyword);
+
+			// Assert
+			expect(fused.map((r) => r.id)).to.deep.equal([1, 3, 2]);
+			expect(fused[0]).to.include({ vectorScore: 0.9, keywordScore: 2 });
+			expect(fused[2].keywordScore).to.be.null;
+		});
+
+		it("should weight normalized scores with alpha", function () {
+			// Act
+			const keywordHeavy = fuseResults(vector, keyword, {
+				fusion: "weighted",
+				alpha: 0.2,
+			});
+			const vectorOnly = fuseResults(vector, keyword, {
+				fusion: "weighted",
+				alpha: 1,
+			});
+
+			// Assert
+			expect(keywordHeavy[0].id).to.equal(3);
+			expect(vectorOnly.map((r) => r.id)).to.deep.equal([1, 2, 3]);
+		});
+	});
+
+	describe("validateSearchOptions()", function () {
+		it("should reject unknown modes and fusion methods", function () {
+			// Act & Assert
+			expect(() => validateSearchOptions("fuzzy")).to.throw(
+				"Unknown search mode 'fuzzy'"
+			);
+			expect(() => validateSearchOptions("hybrid", "max")).to.throw(
+				"Unknown fusion method 'max'"
+			);
+		});
+	});
+});
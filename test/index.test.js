@@ -0,0 +1,103 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { build, update } from "../index.js";
+import { readManifest } from "../lib/manifest.js";
+import { resolveIndexPath } from "../lib/snapshots.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEST_INPUT = path.join(__dirname, "input_api");
+const TEST_OUTPUT = path.join(__dirname, "output_api");
+
+describe("index", function () {
+	beforeEach(function () {
+		fs.mkdirSync(path.join(TEST_INPUT, "guides"), { recursive: true });
+		fs.writeFileSync(
+			path.join(TEST_INPUT, "orders.txt"),
+			"Orders by status"
+		);
+		fs.writeFileSync(
+			path.join(TEST_INPUT, "guides", "login.txt"),
+			"User login and sessions"
+		);
+		fs.writeFileSync(path.join(TEST_INPUT, "errors.log"), "Timeout errors");
+	});
+
+	afterEach(function () {
+		for (const dir of [TEST_INPUT, TEST_OUTPUT]) {
+			if (fs.existsSync(dir)) {
+				fs.rmSync(dir, { recursive: true });
+			}
+		}
+	});
+
+	describe("update()", function () {
+		it("should scan the files the build scanned", async function () {
+			// Arrange
+			await build(TEST_INPUT, TEST_OUTPUT, {
+				provider: "mock",
+				extensions: [".txt", ".log"],
+				recursive: true,
+			});
+			fs.writeFileSync(
+				path.join(TEST_INPUT, "orders.txt"),
+				"Orders by status and date"
+			);
+
+			// Act
+			const result = await update(TEST_INPUT, TEST_OUTPUT, {
+				provider: "mock",
+			});
+
+			// Assert
+			const manifest = readManifest(
+				resolveIndexPath(path.join(TEST_OUTPUT, "index.bin"))
+			);
+			expect(manifest.chunking).to.include({ recursive: true });
+			expect(manifest.chunking.extensions).to.deep.equal([
+				".txt",
+				".log",
+			]);
+			expect(result.changes.modified).to.deep.equal(["orders.txt"]);
+			expect(result.changes.removed).to.deep.equal([]);
+			expect(result.vectors).to.equal(3);
+		});
+
+		it("should reuse file hashes keyed by file name", async function () {
+			// Arrange
+			await build(TEST_INPUT, TEST_OUTPUT, {
+				provider: "mock",
+				extensions: [".txt"],
+				recursive: true,
+			});
+			const docCachePath = path.join(TEST_OUTPUT, "doc_index_cache.json");
+			const docCache = JSON.parse(fs.readFileSync(docCachePath, "utf-8"));
+			fs.writeFileSync(
+				docCachePath,
+				JSON.stringify(
+					Object.fromEntries(
+						Object.entries(docCache).map(([file, hash]) => [
+							path.basename(file),
+							hash,
+						])
+					)
+				)
+			);
+
+			// Act
+			const result = await update(TEST_INPUT, TEST_OUTPUT);
+
+			// Assert
+			expect(result.changes).to.deep.include({
+				added: [],
+				modified: [],
+				removed: [],
+			});
+			expect(result.vectors).to.equal(2);
+			expect(
+				JSON.parse(fs.readFileSync(docCachePath, "utf-8"))
+			).to.deep.equal(docCache);
+		});
+	});
+});
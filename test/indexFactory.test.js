@@ -0,0 +1,258 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+	createIndex,
+	describeIndex,
+	detectIndexType,
+	getIndexFamily,
+	getSearchParams,
+	getTrainingSize,
+	getVectorReader,
+	isFlatIndexType,
+	sampleTrainingVectors,
+	setSearchParams,
+	trainIndex,
+} from "../lib/indexFactory.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEST_OUTPUT = path.join(__dirname, "output");
+
+describe("indexFactory", function () {
+	describe("createIndex()", function () {
+		it("should create flat indexes for IP and L2", function () {
+			// Act
+			const index = createIndex(8, "L2");
+
+			// Assert
+			expect(index.getDimension()).to.equal(8);
+			expect(index.isTrained()).to.be.true;
+			expect(isFlatIndexType("L2")).to.be.true;
+		});
+
+		it("should create factory indexes", function () {
+			// Act
+			const index = createIndex(8, "IVF4,Flat", "L2");
+
+			// Assert
+			expect(index.getDimension()).to.equal(8);
+			expect(index.isTrained()).to.be.false;
+		});
+
+		it("should reject invalid factory strings", function () {
+			// Act & Assert
+			expect(() => createIndex(8, "NOPE")).to.throw(
+				"Invalid index type 'NOPE'"
+			);
+		});
+	});
+
+	describe("getTrainingSize()", function () {
+		it("should derive training needs from the factory string", function () {
+			// Act & Assert
+			expect(getTrainingSize("IP")).to.deep.equal({
+				min: 0,
+				recommended: 0,
+			});
+			expect(getTrainingSize("IVF1024,Flat")).to.deep.equal({
+				min: 1024,
+				recommended: 1024 * 39,
+			});
+			expect(getTrainingSize("PQ16").min).to.equal(256);
+			expect(getTrainingSize("HNSW32").min).to.equal(0);
+		});
+	});
+
+	describe("sampleTrainingVectors()", function () {
+		const vectors = Array.from({ length: 1000 }, (_, i) => [i, 0]);
+
+		it("should sample from all vectors, not the first ones", function () {
+			// Act
+			const sample = sampleTrainingVectors(vectors, 100);
+
+			// Assert
+			const ids = sample.map(([id]) => id);
+			expect(ids).to.have.lengthOf(100);
+			expect(new Set(ids).size).to.equal(100);
+			expect(ids.filter((id) => id >= 100)).to.not.be.empty;
+		});
+
+		it("should pick by the random source", function () {
+			// Act
+			const sample = sampleTrainingVectors(
+				vectors.slice(0, 4),
+				2,
+				() => 0
+			);
+
+			// Assert
+			expect(sample).to.deep.equal([
+				[3, 0],
+				[1, 0],
+			]);
+		});
+
+		it("should return every vector when there are no more than asked", function () {
+			// Act & Assert
+			expect(sampleTrainingVectors(vectors.slice(0, 3), 5)).to.deep.equal(
+				vectors.slice(0, 3)
+			);
+		});
+	});
+
+	describe("trainIndex()", function () {
+		it("should refuse to train on too few vectors", function () {
+			// Arrange
+			const index = createIndex(2, "IVF4,Flat");
+
+			// Act & Assert
+			expect(() => trainIndex(index, [1, 0, 0, 1], "IVF4,Flat")).to.throw(
+				"Not enough vectors to train IVF4,Flat: got 2, need at least 4"
+			);
+		});
+	});
+
+	describe("search parameters", function () {
+		function trainedIvf() {
+			const index = createIndex(2, "IVF2,Flat");
+			trainIndex(index, [1, 0, 0, 1, 1, 1, 0.5, 1], "IVF2,Flat");
+			return index;
+		}
+
+		it("should detect the index family", function () {
+			// Act & Assert
+			expect(getIndexFamily(trainedIvf().toBuffer())).to.equal("ivf");
+			expect(getIndexFamily(createIndex(2, "HNSW8").toBuffer())).to.equal(
+				"hnsw"
+			);
+			expect(getIndexFamily(createIndex(2, "IP").toBuffer())).to.be.null;
+		});
+
+		it("should set nprobe on IVF indexes", function () {
+			// Act
+			const index = setSearchParams(trainedIvf(), { nprobe: 2 });
+
+			// Assert
+			expect(getSearchParams(index)).to.deep.equal({ nprobe: 2 });
+		});
+
+		it("should set efSearch on HNSW indexes", function () {
+			// Arrange
+			const hnsw = createIndex(2, "HNSW8");
+			hnsw.add([1, 0, 0, 1, 1, 1]);
+
+			// Act
+			const index = setSearchParams(hnsw, { efSearch: 48 });
+
+			// Assert
+			expect(getSearchParams(index)).to.deep.equal({ efSearch: 48 });
+			expect(index.ntotal()).to.equal(3);
+		});
+
+		it("should leave indexes untouched without parameters", function () {
+			// Arrange
+			const index = createIndex(2, "IP");
+
+			// Act & Assert
+			expect(setSearchParams(index, {})).to.equal(index);
+			expect(getSearchParams(index)).to.deep.equal({});
+		});
+
+		it("should reject parameters for other index types", function () {
+			// Act & Assert
+			expect(() =>
+				setSearchParams(createIndex(2, "IP"), { nprobe: 4 })
+			).to.throw("nprobe only applies to IVF indexes");
+			expect(() =>
+				setSearchParams(trainedIvf(), { efSearch: 4 })
+			).to.throw("efSearch only applies to HNSW indexes");
+		});
+	});
+
+	describe("describeIndex()", function () {
+		it("should identify flat indexes by metric", function () {
+			// Act & Assert
+			expect(
+				describeIndex(createIndex(2, "IP").toBuffer())
+			).to.deep.equal({
+				indexType: "IP",
+				metric: "IP",
+				faissType: "IndexFlatIP",
+			});
+			expect(
+				describeIndex(createIndex(2, "L2").toBuffer())
+			).to.deep.equal({
+				indexType: "L2",
+				metric: "L2",
+				faissType: "IndexFlatL2",
+			});
+		});
+
+		it("should name approximate indexes by their faiss class", function () {
+			// Act
+			const info = describeIndex(
+				createIndex(2, "HNSW8", "L2").toBuffer()
+			);
+
+			// Assert
+			expect(info).to.deep.equal({
+				indexType: "IndexHNSWFlat",
+				metric: "L2",
+				faissType: "IndexHNSWFlat",
+			});
+		});
+	});
+
+	describe("detectIndexType()", function () {
+		const indexPath = path.join(TEST_OUTPUT, "detect_index.bin");
+
+		before(function () {
+			fs.mkdirSync(TEST_OUTPUT, { recursive: true });
+		});
+
+		after(function () {
+			fs.rmSync(indexPath, { force: true });
+		});
+
+		it("should read the type from the index file", function () {
+			// Arrange
+			const index = createIndex(2, "L2");
+			index.add([1, 0]);
+			index.write(indexPath);
+
+			// Act & Assert
+			expect(detectIndexType(indexPath).indexType).to.equal("L2");
+		});
+
+		it("should reject files too short to be an index", function () {
+			// Arrange
+			fs.writeFileSync(indexPath, "nope");
+
+			// Act & Assert
+			expect(() => detectIndexType(indexPath)).to.throw(
+				"Not a FAISS index"
+			);
+		});
+	});
+
+	describe("getVectorReader()", function () {
+		it("should read stored vectors from flat indexes", function () {
+			// Arrange
+			const index = createIndex(2, "L2");
+			index.add([1, 0, 0.5, 0.25]);
+
+			// Act
+			const read = getVectorReader(index);
+
+			// Assert
+			expect(Array.from(read(0))).to.deep.equal([1, 0]);
+			expect(Array.from(read(1))).to.deep.equal([0.5, 0.25]);
+		});
+
+		it("should return null for other index types", function () {
+			// Act & Assert
+			expect(getVectorReader(createIndex(2, "HNSW8"))).to.be.null;
+		});
+	});
+});
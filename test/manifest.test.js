@@ -0,0 +1,91 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+	checkManifest,
+	readManifest,
+	writeManifest,
+	TOOL_VERSION,
+} from "../lib/manifest.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEST_OUTPUT = path.join(__dirname, "output");
+
+describe("manifest", function () {
+	const manifest = {
+		provider: "ollama",
+		model: "nomic-embed-text",
+		dimension: 768,
+		dimensions: null,
+		indexType: "IP",
+	};
+
+	before(function () {
+		if (!fs.existsSync(TEST_OUTPUT)) {
+			fs.mkdirSync(TEST_OUTPUT, { recursive: true });
+		}
+	});
+
+	describe("readManifest() / writeManifest()", function () {
+		const indexPath = path.join(TEST_OUTPUT, "manifest_index.bin");
+
+		after(function () {
+			fs.rmSync(indexPath.replace(".bin", "_manifest.json"), {
+				force: true,
+			});
+		});
+
+		it("should round-trip a manifest stamped with the tool version", function () {
+			// Act
+			writeManifest(indexPath, manifest);
+			const read = readManifest(indexPath);
+
+			// Assert
+			expect(fs.existsSync(indexPath.replace(".bin", "_manifest.json")))
+				.to.be.true;
+			expect(read).to.deep.equal({
+				...manifest,
+				toolVersion: TOOL_VERSION,
+			});
+		});
+
+		it("should return null for indexes without a manifest", function () {
+			// Act & Assert
+			expect(readManifest("/non/existent/index.bin")).to.be.null;
+		});
+	});
+
+	describe("checkManifest()", function () {
+		it("should accept matching and unset settings", function () {
+			// Act & Assert
+			expect(() =>
+				checkManifest(manifest, { model: "nomic-embed-text" }, 768)
+			).to.not.throw();
+			expect(() => checkManifest(manifest, {}, 768)).to.not.throw();
+		});
+
+		it("should list every mismatch", function () {
+			// Act & Assert
+			expect(() =>
+				checkManifest(manifest, {
+					provider: "openai",
+					model: "mxbai-embed-large",
+					indexType: "HNSW32",
+					dimensions: 256,
+				})
+			).to.throw(
+				"Index was built with provider 'ollama', not 'openai', " +
+					"model 'nomic-embed-text', not 'mxbai-embed-large', " +
+					"index type 'IP', not 'HNSW32', 768 dimensions, not 256"
+			);
+		});
+
+		it("should reject a manifest that does not match the index", function () {
+			// Act & Assert
+			expect(() => checkManifest(manifest, {}, 384)).to.throw(
+				"Manifest does not match the index"
+			);
+		});
+	});
+});
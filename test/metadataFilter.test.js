@@ -0,0 +1,117 @@
+import { expect } from "chai";
+import {
+	compileFilter,
+	parseFilter,
+	globToRegExp,
+} from "../lib/metadataFilter.js";
+
+describe("metadataFilter", function () {
+	const entries = [
+		{ doc: "guides/login.md", lang: "en", year: 2021, tag: "auth" },
+		{ doc: "guides/de/login.md", lang: "de", year: 2023, tag: "auth" },
+		{ doc: "api/orders.md", lang: "en", year: 2019, tag: "api" },
+	];
+
+	function select(filter) {
+		return entries.filter(compileFilter(filter)).map((e) => e.doc);
+	}
+
+	describe("compileFilter()", function () {
+		it("should return null for empty filters", function () {
+			// Act & Assert
+			expect(compileFilter(undefined)).to.be.null;
+			expect(compileFilter({})).to.be.null;
+		});
+
+		it("should match equality and $ne", function () {
+			// Act & Assert
+			expect(select({ lang: "en" })).to.deep.equal([
+				"guides/login.md",
+				"api/orders.md",
+			]);
+			expect(select({ lang: { $ne: "en" } })).to.deep.equal([
+				"guides/de/login.md",
+			]);
+		});
+
+		it("should match $in and ranges", function () {
+			// Act & Assert
+			expect(select({ tag: { $in: ["api"] } })).to.deep.equal([
+				"api/orders.md",
+			]);
+			expect(select({ year: { $gte: 2020, $lt: 2023 } })).to.deep.equal([
+				"guides/login.md",
+			]);
+		});
+
+		it("should treat doc patterns as globs", function () {
+			// Act & Assert
+			expect(select({ doc: "guides/*.md" })).to.deep.equal([
+				"guides/login.md",
+			]);
+			expect(select({ doc: "guides/**" })).to.deep.equal([
+				"guides/login.md",
+				"guides/de/login.md",
+			]);
+		});
+
+		it("should require every field to match", function () {
+			// Act & Assert
+			expect(select({ lang: "en", tag: "auth" })).to.deep.equal([
+				"guides/login.md",
+			]);
+		});
+
+		it("should reject unknown operators", function () {
+			// Act & Assert
+			expect(() =>
+				compileFilter({ year: { $between: [1, 2] } })
+			).to.throw("Unknown filter operator '$between'");
+		});
+	});
+
+	describe("globToRegExp()", function () {
+		it("should let '**/' match zero or more directories", function () {
+			// Arrange
+			const regex = globToRegExp("**/*.md");
+
+			// Act & Assert
+			expect(regex.test("a.md")).to.be.true;
+			expect(regex.test("x/y/a.md")).to.be.true;
+			expect(regex.test("a.txt")).to.be.false;
+		});
+	});
+
+	describe("parseFilter()", function () {
+		it("should parse CLI expressions with typed values", function () {
+			// Act
+			const filter = parseFilter([
+				"lang=en",
+				"year>=2020",
+				"year<2024",
+				"tag=api|auth",
+				"draft=false",
+			]);
+
+			// Assert
+			expect(filter).to.deep.equal({
+				lang: "en",
+				year: { $gte: 2020, $lt: 2024 },
+				tag: { $in: ["api", "auth"] },
+				draft: false,
+			});
+		});
+
+		it("should accept JSON", function () {
+			// Act & Assert
+			expect(parseFilter('{"year":{"$gt":2020}}')).to.deep.equal({
+				year: { $gt: 2020 },
+			});
+		});
+
+		it("should reject expressions without an operator", function () {
+			// Act & Assert
+			expect(() => parseFilter("lang")).to.throw("Invalid filter 'lang'");
+		});
+	});
+});
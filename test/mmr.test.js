@@ -0,0 +1,52 @@
+import { expect } from "chai";
+import { dot, maximalMarginalRelevance } from "../lib/mmr.js";
+
+describe("mmr", function () {
+	describe("dot()", function () {
+		it("should compute the dot product", function () {
+			// Act & Assert
+			expect(dot([1, 2, 3], [4, 5, 6])).to.equal(32);
+		});
+	});
+
+	describe("maximalMarginalRelevance()", function () {
+		// Two near-identical candidates close to the query and one further away
+		const query = [1, 0];
+		const vectors = [
+			[0.99, 0.141],
+			[0.99, 0.141],
+			[0.6, -0.8],
+		];
+
+		it("should skip near-duplicates of selected results", function () {
+			// Act
+			const order = maximalMarginalRelevance(query, vectors, 2);
+
+			// Assert
+			expect(order).to.deep.equal([0, 2]);
+		});
+
+		it("should rank by relevance only with lambda 1", function () {
+			// Act
+			const order = maximalMarginalRelevance(query, vectors, 3, 1);
+
+			// Assert
+			expect(order).to.deep.equal([0, 1, 2]);
+		});
+
+		it("should return at most the number of candidates", function () {
+			// Act & Assert
+			expect(maximalMarginalRelevance(query, vectors, 10)).to.have.length(
+				3
+			);
+			expect(maximalMarginalRelevance(query, [], 3)).to.deep.equal([]);
+		});
+
+		it("should reject lambda outside 0..1", function () {
+			// Act & Assert
+			expect(() =>
+				maximalMarginalRelevance(query, vectors, 2, 1.5)
+			).to.throw("MMR lambda must be between 0 and 1, got 1.5");
+		});
+	});
+});
@@ -0,0 +1,83 @@
+import { expect } from "chai";
+import { MockEmbedder } from "../lib/mockEmbedder.js";
+
+describe("MockEmbedder", function () {
+	function dot(a, b) {
+		return a.reduce((sum, v, i) => sum + v * b[i], 0);
+	}
+
+	describe("constructor", function () {
+		it("should default to 384 dimensions", function () {
+			// Arrange & Act
+			const embedder = new MockEmbedder();
+
+			// Assert
+			expect(embedder.dimension).to.equal(384);
+			expect(embedder.model).to.equal("mock");
+		});
+	});
+
+	describe("embed()", function () {
+		it("should return the same normalized vector for the same text", async function () {
+			// Arrange
+			const embedder = new MockEmbedder({ dimension: 64 });
+
+			// Act
+			const a = await embedder.embed("Orders by status");
+			const b = await new MockEmbedder({ dimension: 64 }).embed(
+				"Orders by status"
+			);
+
+			// Assert
+			expect(a).to.be.instanceOf(Float32Array);
+			expect(a.length).to.equal(64);
+			expect(Array.from(a)).to.deep.equal(Array.from(b));
+			expect(dot(a, a)).to.be.closeTo(1, 1e-5);
+		});
+
+		it("should rank texts sharing words above unrelated text", async function () {
+			// Arrange
+			const embedder = new MockEmbedder();
+			const query = await embedder.embed("find orders by status");
+
+			// Act
+			const related = dot(
+				query,
+				await embedder.embed("List all orders filtered by status")
+			);
+			const unrelated = dot(
+				query,
+				await embedder.embed("The weather is sunny today")
+			);
+
+			// Assert
+			expect(related).to.be.greaterThan(unrelated);
+		});
+	});
+
+	describe("embedBatch()", function () {
+		it("should match embed() for each text", async function () {
+			// Arrange
+			const embedder = new MockEmbedder({ batchSize: 2 });
+
+			// Act
+			const batch = await embedder.embedBatch(["a b", "c d", "e f"]);
+
+			// Assert
+			expect(batch.length).to.equal(3);
+			expect(Array.from(batch[2])).to.deep.equal(
+				Array.from(await embedder.embed("e f"))
+			);
+		});
+	});
+
+	describe("healthCheck()", function () {
+		it("should always be ok", async function () {
+			// Act
+			const health = await new MockEmbedder().healthCheck();
+
+			// Assert
+			expect(health.ok).to.be.true;
+		});
+	});
+});
@@ -0,0 +1,187 @@
+import { expect } from "chai";
+import http from "http";
+import { OpenAIEmbedder } from "../lib/openaiEmbedder.js";
+
+/**
+ * Start a stub OpenAI-compatible server on a random port
+ */
+function startStubServer(handler) {
+	return new Promise((resolve) => {
+		const server = http.createServer((req, res) => {
+			let body = "";
+			req.on("data", (data) => (body += data));
+			req.on("end", () => {
+				const reply = handler(req, body ? JSON.parse(body) : null);
+				res.writeHead(reply.status || 200, {
+					"Content-Type": "application/json",
+				});
+				res.end(JSON.stringify(reply.body || {}));
+			});
+		});
+		server.listen(0, "127.0.0.1", () => {
+			const { port } = server.address();
+			resolve({ server, baseUrl: `http://127.0.0.1:${port}` });
+		});
+	});
+}
+
+describe("OpenAIEmbedder", function () {
+	let server;
+	let baseUrl;
+	let requests;
+
+	beforeEach(async function () {
+		requests = [];
+		({ server, baseUrl } = await startStubServer((req, body) => {
+			requests.push({ method: req.method, url: req.url, body });
+
+			if (req.url === "/v1/models") {
+				return { body: { data: [{ id: "stub-model" }] } };
+			}
+			if (body.model === "missing-model") {
+				return { status: 404, body: { error: "model not found" } };
+			}
+
+			// Return out of order to check index sorting
+			const data = body.input.map((text, index) => ({
+				index,
+				embedding: [text.length, index, 1],
+			}));
+			return { body: { data: data.reverse() } };
+		}));
+	});
+
+	afterEach(function (done) {
+		server.close(done);
+	});
+
+	describe("constructor", function () {
+		it("should create instance with default options", function () {
+			// Arrange & Act
+			const emb = new OpenAIEmbedder();
+
+			// Assert
+			expect(emb.baseUrl).to.equal("http://localhost:8080");
+			expect(emb.model).to.equal("nomic-embed-text");
+			expect(emb.dimension).to.be.null;
+		});
+
+		it("should accept custom options and strip trailing slash", function () {
+			// Arrange & Act
+			const emb = new OpenAIEmbedder({
+				baseUrl: "http://custom:1234/",
+				model: "custom-model",
+				dimension: 384,
+			});
+
+			// Assert
+			expect(emb.baseUrl).to.equal("http://custom:1234");
+			expect(emb.model).to.equal("custom-model");
+			expect(emb.dimension).to.equal(384);
+		});
+	});
+
+	describe("embed()", function () {
+		it("should call /v1/embeddings and return Float32Array", async function () {
+			// Arrange
+			const embedder = new OpenAIEmbedder({ baseUrl, model: "stub" });
+
+			// Act
+			const embedding = await embedder.embed("Hello");
+
+			// Assert
+			expect(embedding).to.be.instanceOf(Float32Array);
+			expect(Array.from(embedding)).to.deep.equal([5, 0, 1]);
+			expect(requests[0].url).to.equal("/v1/embeddings");
+			expect(requests[0].body).to.deep.equal({
+				model: "stub",
+				input: ["Hello"],
+			});
+		});
+
+		it("should throw when model not found", async function () {
+			// Arrange
+			const embedder = new OpenAIEmbedder({
+				baseUrl,
+				model: "missing-model",
+			});
+
+			// Act & Assert
+			try {
+				await embedder.embed("Test");
+				expect.fail("Should have thrown error");
+			} catch (err) {
+				expect(err.message).to.include("not found");
+			}
+		});
+
+		it("should throw when server not running", async function () {
+			// Arrange
+			const embedder = new OpenAIEmbedder({
+				baseUrl: "http://127.0.0.1:1",
+			});
+
+			// Act & Assert
+			try {
+				await embedder.embed("Test");
+				expect.fail("Should have thrown error");
+			} catch (err) {
+				expect(err.message).to.include("not running");
+			}
+		});
+	});
+
+	describe("embedBatch()", function () {
+		it("should embed all texts in one request, in input order", async function () {
+			// Arrange
+			const embedder = new OpenAIEmbedder({ baseUrl });
+
+			// Act
+			const embeddings = await embedder.embedBatch(["a", "bb", "ccc"]);
+
+			// Assert
+			expect(requests.length).to.equal(1);
+			expect(embeddings.map((e) => e[0])).to.deep.equal([1, 2, 3]);
+		});
+
+		it("should return empty array without calling server", async function () {
+			// Arrange
+			const embedder = new OpenAIEmbedder({ baseUrl });
+
+			// Act
+			const embeddings = await embedder.embedBatch([]);
+
+			// Assert
+			expect(embeddings).to.deep.equal([]);
+			expect(requests.length).to.equal(0);
+		});
+	});
+
+	describe("healthCheck()", function () {
+		it("should return ok:true when server is reachable", async function () {
+			// Arrange
+			const embedder = new OpenAIEmbedder({ baseUrl });
+
+			// Act
+			const health = await embedder.healthCheck();
+
+			// Assert
+			expect(health.ok).to.be.true;
+			expect(requests[0].url).to.equal("/v1/models");
+		});
+
+		it("should return ok:false when server is not reachable", async function () {
+			// Arrange
+			const embedder = new OpenAIEmbedder({
+				baseUrl: "http://127.0.0.1:1",
+			});
+
+			// Act
+			const health = await embedder.healthCheck();
+
+			// Assert
+			expect(health.ok).to.be.false;
+			expect(health.message).to.include("not reachable");
+		});
+	});
+});
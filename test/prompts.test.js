@@ -0,0 +1,91 @@
+import { expect } from "chai";
+import {
+	getDefaultPrompts,
+	resolvePrompts,
+	applyPrompt,
+} from "../lib/prompts.js";
+
+describe("prompts", function () {
+	describe("getDefaultPrompts()", function () {
+		it("should return nomic task prefixes", function () {
+			// Act
+			const prompts = getDefaultPrompts("nomic-embed-text");
+
+			// Assert
+			expect(prompts).to.deep.equal({
+				document: "search_document: ",
+				query: "search_query: ",
+			});
+		});
+
+		it("should ignore tags and registry paths", function () {
+			// Act
+			const prompts = getDefaultPrompts(
+				"hf.co/nomic-ai/nomic-embed-text:v1.5"
+			);
+
+			// Assert
+			expect(prompts.query).to.equal("search_query: ");
+		});
+
+		it("should prefer the longest matching family", function () {
+			// Act & Assert
+			expect(getDefaultPrompts("bge-m3").query).to.equal("");
+			expect(getDefaultPrompts("bge-large").query).to.include(
+				"Represent this sentence"
+			);
+		});
+
+		it("should return empty prompts for unknown models", function () {
+			// Act & Assert
+			expect(getDefaultPrompts("all-minilm")).to.deep.equal({
+				document: "",
+				query: "",
+			});
+		});
+	});
+
+	describe("resolvePrompts()", function () {
+		it("should let explicit overrides win, including empty strings", function () {
+			// Act
+			const prompts = resolvePrompts("nomic-embed-text", {
+				document: "",
+			});
+
+			// Assert
+			expect(prompts).to.deep.equal({
+				document: "",
+				query: "search_query: ",
+			});
+		});
+
+		it("should start from base instead of model defaults", function () {
+			// Act
+			const prompts = resolvePrompts("nomic-embed-text", {}, {});
+
+			// Assert
+			expect(prompts).to.deep.equal({ document: "", query: "" });
+		});
+	});
+
+	describe("applyPrompt()", function () {
+		it("should prepend prefix templates", function () {
+			// Act & Assert
+			expect(applyPrompt("search_query: ", "cats")).to.equal(
+				"search_query: cats"
+			);
+		});
+
+		it("should substitute {text} placeholders", function () {
+			// Act & Assert
+			expect(applyPrompt("Query: {text}\nAnswer:", "cats")).to.equal(
+				"Query: cats\nAnswer:"
+			);
+		});
+
+		it("should return text unchanged for empty template", function () {
+			// Act & Assert
+			expect(applyPrompt("", "cats")).to.equal("cats");
+		});
+	});
+});
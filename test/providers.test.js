@@ -0,0 +1,112 @@
+import { expect } from "chai";
+import {
+	createEmbedder,
+	getProviderName,
+	PROVIDERS,
+} from "../lib/providers.js";
+import { OllamaEmbedder } from "../lib/embedder.js";
+import { OpenAIEmbedder } from "../lib/openaiEmbedder.js";
+import { MockEmbedder } from "../lib/mockEmbedder.js";
+import { BaseEmbedder } from "../lib/baseEmbedder.js";
+
+describe("providers", function () {
+	class CustomEmbedder extends BaseEmbedder {
+		async embed(text) {
+			return new Float32Array([text.length, 0]);
+		}
+	}
+
+	describe("createEmbedder()", function () {
+		it("should create OllamaEmbedder by default", function () {
+			// Arrange & Act
+			const embedder = createEmbedder();
+
+			// Assert
+			expect(embedder).to.be.instanceOf(OllamaEmbedder);
+		});
+
+		it("should create OpenAIEmbedder for 'openai'", function () {
+			// Arrange & Act
+			const embedder = createEmbedder(PROVIDERS.OPENAI, {
+				model: "stub",
+			});
+
+			// Assert
+			expect(embedder).to.be.instanceOf(OpenAIEmbedder);
+			expect(embedder.model).to.equal("stub");
+		});
+
+		it("should create MockEmbedder for 'mock'", function () {
+			// Arrange & Act
+			const embedder = createEmbedder(PROVIDERS.MOCK, { dimension: 16 });
+
+			// Assert
+			expect(embedder).to.be.instanceOf(MockEmbedder);
+			expect(embedder.dimension).to.equal(16);
+		});
+
+		it("should instantiate a custom class with options", function () {
+			// Arrange & Act
+			const embedder = createEmbedder(CustomEmbedder, { dimension: 2 });
+
+			// Assert
+			expect(embedder).to.be.instanceOf(CustomEmbedder);
+			expect(embedder.dimension).to.equal(2);
+		});
+
+		it("should return an embedder instance unchanged", function () {
+			// Arrange
+			const instance = new CustomEmbedder();
+
+			// Act
+			const embedder = createEmbedder(instance);
+
+			// Assert
+			expect(embedder).to.equal(instance);
+		});
+
+		it("should throw for unknown provider", function () {
+			// Act & Assert
+			expect(() => createEmbedder("nope")).to.throw(
+				"Unknown embedding provider"
+			);
+		});
+	});
+
+	describe("BaseEmbedder", function () {
+		it("should provide embedBatch on top of embed()", async function () {
+			// Arrange
+			const embedder = new CustomEmbedder();
+
+			// Act
+			const embeddings = await embedder.embedBatch(["a", "bbb"]);
+
+			// Assert
+			expect(embeddings.map((e) => e[0])).to.deep.equal([1, 3]);
+		});
+
+		it("should throw when embed() is not implemented", async function () {
+			// Arrange
+			const embedder = new BaseEmbedder();
+
+			// Act & Assert
+			try {
+				await embedder.embed("x");
+				expect.fail("Should have thrown error");
+			} catch (err) {
+				expect(err.message).to.include("must implement embed()");
+			}
+		});
+	});
+
+	describe("getProviderName()", function () {
+		it("should name strings, classes and instances", function () {
+			// Act & Assert
+			expect(getProviderName("openai")).to.equal("openai");
+			expect(getProviderName(CustomEmbedder)).to.equal("CustomEmbedder");
+			expect(getProviderName(new CustomEmbedder())).to.equal(
+				"CustomEmbedder"
+			);
+		});
+	});
+});
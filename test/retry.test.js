@@ -0,0 +1,185 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import {
+	withRetry,
+	isRetryableError,
+	backoffDelay,
+	CircuitBreaker,
+} from "../lib/retry.js";
+
+describe("retry", function () {
+	function httpError(status) {
+		const error = new Error(`Request failed with status code ${status}`);
+		error.response = { status };
+		return error;
+	}
+
+	afterEach(function () {
+		sinon.restore();
+	});
+
+	describe("isRetryableError()", function () {
+		it("should retry 5xx, 408 and 429", function () {
+			// Act & Assert
+			expect(isRetryableError(httpError(500))).to.be.true;
+			expect(isRetryableError(httpError(503))).to.be.true;
+			expect(isRetryableError(httpError(408))).to.be.true;
+			expect(isRetryableError(httpError(429))).to.be.true;
+		});
+
+		it("should not retry other 4xx", function () {
+			// Act & Assert
+			expect(isRetryableError(httpError(400))).to.be.false;
+			expect(isRetryableError(httpError(404))).to.be.false;
+		});
+
+		it("should retry timeouts and dropped connections", function () {
+			// Arrange
+			const timeout = Object.assign(new Error("timeout"), {
+				code: "ECONNABORTED",
+			});
+			const reset = Object.assign(new Error("reset"), {
+				code: "ECONNRESET",
+			});
+
+			// Act & Assert
+			expect(isRetryableError(timeout)).to.be.true;
+			expect(isRetryableError(reset)).to.be.true;
+		});
+
+		it("should not retry refused connections", function () {
+			// Arrange
+			const refused = Object.assign(new Error("refused"), {
+				code: "ECONNREFUSED",
+			});
+
+			// Act & Assert
+			expect(isRetryableError(refused)).to.be.false;
+		});
+	});
+
+	describe("backoffDelay()", function () {
+		it("should grow exponentially within jitter bounds", function () {
+			// Arrange
+			sinon.stub(Math, "random").returns(1);
+
+			// Act & Assert
+			expect(backoffDelay(0, 100, 10000)).to.equal(100);
+			expect(backoffDelay(2, 100, 10000)).to.equal(400);
+		});
+
+		it("should cap at maxDelay", function () {
+			// Arrange
+			sinon.stub(Math, "random").returns(0);
+
+			// Act
+			const delay = backoffDelay(20, 100, 1000);
+
+			// Assert
+			expect(delay).to.equal(500);
+		});
+	});
+
+	describe("withRetry()", function () {
+		it("should return result after transient failures", async function () {
+			// Arrange
+			const fn = sinon.stub();
+			fn.onCall(0).rejects(httpError(500));
+			fn.onCall(1).rejects(httpError(503));
+			fn.onCall(2).resolves("ok");
+			const onRetry = sinon.spy();
+
+			// Act
+			const result = await withRetry(fn, { retryDelay: 1, onRetry });
+
+			// Assert
+			expect(result).to.equal("ok");
+			expect(fn.callCount).to.equal(3);
+			expect(onRetry.callCount).to.equal(2);
+			expect(onRetry.secondCall.args[1]).to.equal(2);
+		});
+
+		it("should give up after configured retries", async function () {
+			// Arrange
+			const fn = sinon.stub().rejects(httpError(500));
+
+			// Act & Assert
+			try {
+				await withRetry(fn, { retries: 2, retryDelay: 1 });
+				expect.fail("Should have thrown error");
+			} catch (error) {
+				expect(error.response.status).to.equal(500);
+				expect(fn.callCount).to.equal(3);
+			}
+		});
+
+		it("should not retry non-retryable errors", async function () {
+			// Arrange
+			const fn = sinon.stub().rejects(httpError(404));
+
+			// Act & Assert
+			try {
+				await withRetry(fn, { retryDelay: 1 });
+				expect.fail("Should have thrown error");
+			} catch (error) {
+				expect(fn.callCount).to.equal(1);
+			}
+		});
+	});
+
+	describe("CircuitBreaker", function () {
+		it("should open after threshold consecutive failures", function () {
+			// Arrange
+			const breaker = new CircuitBreaker({
+				threshold: 2,
+				cooldown: 1000,
+			});
+
+			// Act
+			breaker.recordFailure(new Error("boom"));
+			breaker.recordFailure(new Error("boom"));
+
+			// Assert
+			expect(breaker.state).to.equal("open");
+			expect(() => breaker.check()).to.throw("Circuit breaker open");
+		});
+
+		it("should reset on success", function () {
+			// Arrange
+			const breaker = new CircuitBreaker({ threshold: 2 });
+			breaker.recordFailure(new Error("boom"));
+
+			// Act
+			breaker.recordSuccess();
+			breaker.recordFailure(new Error("boom"));
+
+			// Assert
+			expect(breaker.state).to.equal("closed");
+		});
+
+		it("should go half-open after cooldown", function () {
+			// Arrange
+			const clock = sinon.useFakeTimers();
+			const breaker = new CircuitBreaker({ threshold: 1, cooldown: 100 });
+			breaker.recordFailure(new Error("boom"));
+
+			// Act
+			clock.tick(150);
+
+			// Assert
+			expect(breaker.state).to.equal("half-open");
+			expect(() => breaker.check()).to.not.throw();
+		});
+
+		it("should never open when threshold is 0", function () {
+			// Arrange
+			const breaker = new CircuitBreaker({ threshold: 0 });
+
+			// Act
+			for (let i = 0; i < 10; i++) breaker.recordFailure(new Error("x"));
+
+			// Assert
+			expect(breaker.state).to.equal("closed");
+		});
+	});
+});
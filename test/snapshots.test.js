@@ -0,0 +1,235 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+	getSnapshotPaths,
+	getCurrentSnapshot,
+	resolveIndexPath,
+	createSnapshot,
+	commitSnapshot,
+	listSnapshots,
+	rollbackSnapshot,
+	pruneSnapshots,
+} from "../lib/snapshots.js";
+import { writeManifest } from "../lib/manifest.js";
+import { writeVectors } from "../lib/vectorStore.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEST_OUTPUT = path.join(__dirname, "output_snapshots");
+
+describe("snapshots", function () {
+	const indexPath = path.join(TEST_OUTPUT, "index.bin");
+
+	// Write a finished save into a new snapshot and make it current
+	function save(keep, vectors = [[1, 0]]) {
+		const snapshot = createSnapshot(indexPath);
+		fs.writeFileSync(snapshot.indexPath, "index");
+		writeVectors(
+			snapshot.indexPath.replace(".bin", "_vectors.fvecs"),
+			vectors
+		);
+		writeManifest(snapshot.indexPath, {
+			model: "nomic-embed-text",
+			dimension: 2,
+			indexType: "IP",
+		});
+		commitSnapshot(indexPath, snapshot.id, keep);
+		return snapshot.id;
+	}
+
+	beforeEach(function () {
+		fs.mkdirSync(TEST_OUTPUT, { recursive: true });
+	});
+
+	afterEach(function () {
+		if (fs.existsSync(TEST_OUTPUT)) {
+			fs.rmSync(TEST_OUTPUT, { recursive: true });
+		}
+	});
+
+	describe("getSnapshotPaths()", function () {
+		it("should sit next to the index file", function () {
+			// Act & Assert
+			expect(getSnapshotPaths("out/index.bin")).to.deep.equal({
+				dir: "out/index_snapshots",
+				current: "out/index_current",
+			});
+		});
+	});
+
+	describe("resolveIndexPath()", function () {
+		it("should return the path itself for indexes saved in place", function () {
+			// Act & Assert
+			expect(getCurrentSnapshot(indexPath)).to.be.null;
+			expect(resolveIndexPath(indexPath)).to.equal(indexPath);
+		});
+
+		it("should point into the current snapshot", function () {
+			// Arrange
+			const id = save();
+
+			// Act & Assert
+			expect(getCurrentSnapshot(indexPath)).to.equal(id);
+			expect(resolveIndexPath(indexPath)).to.equal(
+				path.join(TEST_OUTPUT, "index_snapshots", id, "index.bin")
+			);
+		});
+	});
+
+	describe("createSnapshot()", function () {
+		it("should give every save its own directory", function () {
+			// Act
+			const first = createSnapshot(indexPath);
+			const second = createSnapshot(indexPath);
+
+			// Assert
+			expect(second.id).to.not.equal(first.id);
+			expect(fs.existsSync(path.dirname(second.indexPath))).to.be.true;
+			expect(getCurrentSnapshot(indexPath)).to.be.null;
+		});
+	});
+
+	describe("commitSnapshot()", function () {
+		it("should keep only the newest snapshots", function () {
+			// Act
+			const ids = [save(2), save(2), save(2)];
+
+			// Assert
+			expect(listSnapshots(indexPath).map((s) => s.id)).to.deep.equal(
+				ids.slice(1)
+			);
+			expect(getCurrentSnapshot(indexPath)).to.equal(ids[2]);
+		});
+
+		it("should move an index saved in place into a snapshot", function () {
+			// Arrange
+			fs.writeFileSync(indexPath, "legacy");
+			writeManifest(indexPath, { model: "nomic-embed-text" });
+			const yesterday = new Date(Date.now() - 86400000);
+			fs.utimesSync(indexPath, yesterday, yesterday);
+
+			// Act
+			const id = save();
+			const [legacy, current] = listSnapshots(indexPath);
+
+			// Assert
+			expect(fs.existsSync(indexPath)).to.be.false;
+			expect(current.id).to.equal(id);
+			expect(legacy.complete).to.be.true;
+			expect(
+				fs.readFileSync(
+					path.join(
+						TEST_OUTPUT,
+						"index_snapshots",
+						legacy.id,
+						"index.bin"
+					),
+					"utf-8"
+				)
+			).to.equal("legacy");
+		});
+	});
+
+	describe("listSnapshots()", function () {
+		it("should describe each snapshot, oldest first", function () {
+			// Arrange
+			const first = save(5, [[1, 0]]);
+			const second = save(5, [
+				[1, 0],
+				[0, 1],
+			]);
+			createSnapshot(indexPath); // a save that never finished
+
+			// Act
+			const snapshots = listSnapshots(indexPath);
+
+			// Assert
+			expect(snapshots).to.have.length(3);
+			expect(snapshots[0]).to.include({
+				id: first,
+				current: false,
+				complete: true,
+				model: "nomic-embed-text",
+				indexType: "IP",
+				vectors: 1,
+			});
+			expect(snapshots[1]).to.include({
+				id: second,
+				current: true,
+				vectors: 2,
+			});
+			expect(snapshots[2]).to.include({ complete: false, vectors: null });
+		});
+
+		it("should return an empty list without snapshots", function () {
+			// Act & Assert
+			expect(listSnapshots(indexPath)).to.deep.equal([]);
+		});
+	});
+
+	describe("rollbackSnapshot()", function () {
+		it("should make an earlier snapshot current", function () {
+			// Arrange
+			const first = save();
+			const second = save();
+
+			// Act
+			const result = rollbackSnapshot(indexPath, first);
+
+			// Assert
+			expect(result).to.deep.equal({ previous: second, current: first });
+			expect(getCurrentSnapshot(indexPath)).to.equal(first);
+		});
+
+		it("should reject unknown and incomplete snapshots", function () {
+			// Arrange
+			const id = save();
+			const unfinished = createSnapshot(indexPath);
+
+			// Act & Assert
+			expect(() => rollbackSnapshot(indexPath, "nope")).to.throw(
+				`Snapshot not found: nope. Available: ${id}`
+			);
+			expect(() => rollbackSnapshot(indexPath, unfinished.id)).to.throw(
+				"is incomplete"
+			);
+		});
+	});
+
+	describe("pruneSnapshots()", function () {
+		it("should never delete the current snapshot", function () {
+			// Arrange
+			const first = save();
+			save();
+			save();
+			rollbackSnapshot(indexPath, first);
+
+			// Act
+			const removed = pruneSnapshots(indexPath, 1);
+
+			// Assert
+			expect(removed).to.have.length(1);
+			expect(listSnapshots(indexPath).map((s) => s.id)).to.include(first);
+			expect(getCurrentSnapshot(indexPath)).to.equal(first);
+		});
+
+		it("should not count incomplete snapshots toward keep", function () {
+			// Arrange
+			const first = save();
+			const second = save();
+			const unfinished = createSnapshot(indexPath);
+
+			// Act
+			const removed = pruneSnapshots(indexPath, 2);
+
+			// Assert
+			expect(removed).to.deep.equal([]);
+			expect(listSnapshots(indexPath).map((s) => s.id)).to.deep.equal([
+				first,
+				second,
+				unfinished.id,
+			]);
+		});
+	});
+});
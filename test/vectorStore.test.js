@@ -0,0 +1,98 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+	getVectorsPath,
+	writeVectors,
+	appendVectors,
+	readVectors,
+} from "../lib/vectorStore.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEST_OUTPUT = path.join(__dirname, "output_vector_store");
+
+describe("vectorStore", function () {
+	const vectorsPath = path.join(TEST_OUTPUT, "index_vectors.fvecs");
+
+	beforeEach(function () {
+		fs.mkdirSync(TEST_OUTPUT, { recursive: true });
+	});
+
+	afterEach(function () {
+		if (fs.existsSync(TEST_OUTPUT)) {
+			fs.rmSync(TEST_OUTPUT, { recursive: true });
+		}
+	});
+
+	describe("getVectorsPath()", function () {
+		it("should sit next to the index file", function () {
+			// Act & Assert
+			expect(getVectorsPath("out/index.bin")).to.equal(
+				"out/index_vectors.fvecs"
+			);
+		});
+	});
+
+	describe("writeVectors() / readVectors()", function () {
+		it("should round-trip vectors in .fvecs layout", function () {
+			// Arrange
+			const vectors = [[0.5, -0.25, 1], new Float32Array([0, 0.75, -1])];
+
+			// Act
+			writeVectors(vectorsPath, vectors);
+			const read = readVectors(vectorsPath);
+
+			// Assert
+			expect(fs.statSync(vectorsPath).size).to.equal(2 * (4 + 3 * 4));
+			expect(fs.readFileSync(vectorsPath).readInt32LE(16)).to.equal(3);
+			expect(read.map((v) => Array.from(v))).to.deep.equal([
+				[0.5, -0.25, 1],
+				[0, 0.75, -1],
+			]);
+		});
+
+		it("should handle an empty list", function () {
+			// Act
+			writeVectors(vectorsPath, []);
+
+			// Assert
+			expect(readVectors(vectorsPath)).to.deep.equal([]);
+		});
+
+		it("should reject vectors of different dimensions", function () {
+			// Act & Assert
+			expect(() => writeVectors(vectorsPath, [[1, 2], [3]])).to.throw(
+				"Vector 1 has 1 dimensions, expected 2"
+			);
+		});
+
+		it("should append to an existing file", function () {
+			// Arrange
+			writeVectors(vectorsPath, [[1, 2]]);
+
+			// Act
+			appendVectors(vectorsPath, [[3, 4]]);
+			appendVectors(vectorsPath, []);
+
+			// Assert
+			expect(
+				readVectors(vectorsPath).map((v) => Array.from(v))
+			).to.deep.equal([
+				[1, 2],
+				[3, 4],
+			]);
+		});
+
+		it("should reject truncated files", function () {
+			// Arrange
+			writeVectors(vectorsPath, [[1, 2, 3]]);
+			fs.truncateSync(vectorsPath, 10);
+
+			// Act & Assert
+			expect(() => readVectors(vectorsPath)).to.throw(
+				"Invalid vectors file"
+			);
+		});
+	});
+});